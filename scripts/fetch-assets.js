@@ -0,0 +1,91 @@
+/**
+ * Fetch Assets
+ * Downloads the libraries, wasm binaries and TF Hub models listed in ASSETS into public/vendor/
+ * so the app and its service worker work without internet access.
+ * Usage: npm run fetch-assets
+ */
+
+import { createHash } from 'node:crypto';
+import { mkdir, rm, writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { ASSETS } from '../src/config/constants.js';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+const OUT_DIR = join(ROOT, 'public', ASSETS.BASE_PATH);
+const TFHUB_QUERY = '?tfjs-format=file';
+
+/**
+ * Download a file
+ * @param {string} url
+ * @returns {Promise<Buffer>}
+ */
+async function download(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`${response.status} ${response.statusText}: ${url}`);
+  }
+  return Buffer.from(await response.arrayBuffer());
+}
+
+/**
+ * Write a file under the vendor directory and record it
+ * @param {string} path - Relative to the vendor directory
+ * @param {Buffer} data
+ * @param {Array<object>} files - Collected { path, hash }
+ */
+async function save(path, data, files) {
+  const target = join(OUT_DIR, path);
+  await mkdir(dirname(target), { recursive: true });
+  await writeFile(target, data);
+  files.push({ path, hash: createHash('sha256').update(data).digest('hex') });
+  console.log(`  ${path} (${(data.length / 1024).toFixed(0)} KB)`);
+}
+
+/**
+ * Download a TF Hub model and its weight shards
+ * @param {object} model - Entry of ASSETS.MODELS
+ * @param {Array<object>} files
+ */
+async function fetchModel({ dir, url }, files) {
+  const modelJson = await download(`${url}/model.json${TFHUB_QUERY}`);
+  await save(`${dir}/model.json`, modelJson, files);
+
+  const { weightsManifest } = JSON.parse(modelJson.toString('utf8'));
+  for (const group of weightsManifest) {
+    for (const path of group.paths) {
+      await save(`${dir}/${path}`, await download(`${url}/${path}${TFHUB_QUERY}`), files);
+    }
+  }
+}
+
+async function main() {
+  const files = [];
+  await rm(OUT_DIR, { recursive: true, force: true });
+
+  console.log(`Fetching assets into ${OUT_DIR}`);
+  for (const library of Object.values(ASSETS.LIBRARIES)) {
+    await save(library.file, await download(library.url), files);
+  }
+  for (const file of ASSETS.WASM.files) {
+    await save(`${ASSETS.WASM.dir}${file}`, await download(`${ASSETS.WASM.url}${file}`), files);
+  }
+  for (const model of Object.values(ASSETS.MODELS)) {
+    await fetchModel(model, files);
+  }
+
+  // The service worker build precaches these and versions its cache by this hash
+  const version = createHash('sha256')
+    .update(files.map(file => `${file.path}:${file.hash}`).join('\n'))
+    .digest('hex')
+    .slice(0, 12);
+  const manifest = { version, files: files.map(file => file.path) };
+  await writeFile(join(OUT_DIR, ASSETS.MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+
+  console.log(`Done: ${files.length} files, version ${version}`);
+}
+
+main().catch(error => {
+  console.error(`Failed to fetch assets: ${error.message}`);
+  process.exit(1);
+});
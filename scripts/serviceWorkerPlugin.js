@@ -0,0 +1,69 @@
+/**
+ * Service Worker Plugin
+ * Emits sw.js from src/offline/serviceWorker.js with the build output and the
+ * fetched vendor assets as its precache list. The cache version is a hash of
+ * everything precached, so any change invalidates the previous cache.
+ */
+
+import { createHash } from 'node:crypto';
+import { existsSync, readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { APP, ASSETS, OFFLINE } from '../src/config/constants.js';
+
+const TEMPLATE = 'src/offline/serviceWorker.js';
+
+/**
+ * Read the vendor manifest written by scripts/fetch-assets.js
+ * @param {string} root - Project root
+ * @returns {object} { version, files }
+ */
+function readVendorManifest(root) {
+  const path = join(root, 'public', ASSETS.BASE_PATH, ASSETS.MANIFEST_FILE);
+  if (!existsSync(path)) {
+    return { version: 'none', files: [] };
+  }
+  return JSON.parse(readFileSync(path, 'utf8'));
+}
+
+/**
+ * @returns {object} Vite plugin
+ */
+export function serviceWorkerPlugin() {
+  let root = process.cwd();
+
+  return {
+    name: 'face-filter-service-worker',
+    apply: 'build',
+    // Run after the HTML plugin so index.html is in the bundle
+    enforce: 'post',
+
+    configResolved(config) {
+      root = config.root;
+    },
+
+    generateBundle(options, bundle) {
+      const vendor = readVendorManifest(root);
+      const hash = createHash('sha256').update(APP.VERSION).update(vendor.version);
+      const urls = [];
+
+      Object.values(bundle)
+        .filter(file => !file.fileName.endsWith('.map'))
+        .sort((a, b) => a.fileName.localeCompare(b.fileName))
+        .forEach(file => {
+          urls.push(file.fileName);
+          hash.update(file.fileName).update(file.type === 'chunk' ? file.code : file.source);
+        });
+
+      vendor.files.forEach(file => urls.push(`${ASSETS.BASE_PATH}${file}`));
+
+      const source = readFileSync(join(root, TEMPLATE), 'utf8')
+        .replace('__CACHE_PREFIX__', OFFLINE.CACHE_PREFIX)
+        .replace('__CACHE_VERSION__', hash.digest('hex').slice(0, 12))
+        .replace('__PRECACHE_URLS__', JSON.stringify(['./', ...urls], null, 2));
+
+      this.emitFile({ type: 'asset', fileName: OFFLINE.SERVICE_WORKER_URL, source });
+    }
+  };
+}
+
+export default serviceWorkerPlugin;
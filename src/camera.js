@@ -1,46 +1,483 @@
 /**
  * Camera Module
- * Handles camera initialization and stream management
+ * Handles camera initialization, stream management, device switching
+ * and the camera lifecycle (suspend, loss and permission changes)
  */
 
 import { CAMERA_CONFIG } from './config/constants.js';
 import { browserDetector } from './utils/browserDetection.js';
 
+const { STATES } = CAMERA_CONFIG;
+
+// Allowed lifecycle transitions
+const TRANSITIONS = {
+  [STATES.IDLE]: [STATES.REQUESTING],
+  [STATES.REQUESTING]: [STATES.LIVE, STATES.LOST, STATES.DENIED, STATES.IDLE],
+  [STATES.LIVE]: [STATES.REQUESTING, STATES.SUSPENDED, STATES.LOST, STATES.DENIED, STATES.IDLE],
+  [STATES.SUSPENDED]: [STATES.REQUESTING, STATES.IDLE],
+  [STATES.LOST]: [STATES.REQUESTING, STATES.LIVE, STATES.SUSPENDED, STATES.DENIED, STATES.IDLE],
+  [STATES.DENIED]: [STATES.REQUESTING, STATES.SUSPENDED, STATES.IDLE]
+};
+
 export class Camera {
   constructor() {
     this.video = null;
     this.stream = null;
     this.initialized = false;
+    this.devices = [];
+    this.deviceId = null;
+    this.isSwitching = false;
+    this.onDevicesChange = null;
+    this.onSwitch = null;
+    this.state = STATES.IDLE;
+    this.error = null;
+    this.onStateChange = null;
+    this.permissionStatus = null;
+    this.muteTimeout = null;
+    this.captureQuality = null;
+    this.handleDeviceChange = this.handleDeviceChange.bind(this);
+    this.handleTrackEnded = this.handleTrackEnded.bind(this);
+    this.handleTrackMute = this.handleTrackMute.bind(this);
+    this.handleTrackUnmute = this.handleTrackUnmute.bind(this);
+    this.handlePermissionChange = this.handlePermissionChange.bind(this);
   }
 
   /**
    * Setup camera and video element
+   * Opens the remembered camera if it is still connected
    * @param {HTMLVideoElement} videoElement
    * @returns {Promise<void>}
    */
   async setup(videoElement) {
     this.video = videoElement;
-    const constraints = browserDetector.getCameraConstraints();
+    navigator.mediaDevices?.addEventListener?.('devicechange', this.handleDeviceChange);
+    this.watchPermission();
+
+    await this.acquire(this.loadPreferredDevice());
+
+    // Labels are only exposed once permission has been granted
+    await this.refreshDevices();
+  }
+
+  /**
+   * Open a camera and show it, falling back to the default camera
+   * @param {string|null} deviceId - Preferred camera
+   * @returns {Promise<void>}
+   */
+  async acquire(deviceId) {
+    this.setState(STATES.REQUESTING);
 
     try {
-      this.stream = await this.accessCamera(constraints);
-      this.video.srcObject = this.stream;
-
-      // iOS Safari specific setup
-      if (browserDetector.isIOS) {
-        this.video.muted = true;
-        this.video.playsInline = true;
-        this.video.setAttribute('playsinline', 'true');
-        this.video.setAttribute('muted', 'true');
+      try {
+        this.stream = await this.accessCamera(this.getConstraints(deviceId));
+      } catch (error) {
+        // Preferred camera is gone or busy, use the default one
+        if (!deviceId || isPermissionError(error)) throw error;
+        this.stream = await this.accessCamera(this.getConstraints(null));
       }
 
-      await this.waitForVideoReady();
+      await this.attachStream();
       this.initialized = true;
+      this.setState(STATES.LIVE);
     } catch (error) {
+      this.stopTracks();
+      this.setState(isPermissionError(error) ? STATES.DENIED : STATES.LOST, error);
       throw new Error(`Camera access failed: ${error.message}`);
     }
   }
 
+  /**
+   * Release the camera while the page is hidden
+   */
+  suspend() {
+    if (this.state !== STATES.LIVE && this.state !== STATES.LOST) return;
+
+    this.stopTracks();
+    this.setState(STATES.SUSPENDED);
+  }
+
+  /**
+   * Re-open the camera after a suspend, loss or permission change
+   * @returns {Promise<void>}
+   */
+  async resume() {
+    if (!this.video || this.isSwitching || this.state === STATES.LIVE || this.state === STATES.REQUESTING) {
+      return;
+    }
+
+    await this.acquire(this.deviceId || this.loadPreferredDevice());
+    await this.refreshDevices();
+  }
+
+  /**
+   * Move to a lifecycle state
+   * @param {string} state - One of CAMERA_CONFIG.STATES
+   * @param {Error} [error] - Cause for lost/denied
+   * @returns {boolean} False if the transition is not allowed
+   */
+  setState(state, error = null) {
+    if (state === this.state || !TRANSITIONS[this.state].includes(state)) {
+      return false;
+    }
+
+    this.state = state;
+    this.error = error;
+    if (this.onStateChange) {
+      this.onStateChange(state, error);
+    }
+    return true;
+  }
+
+  /**
+   * Get the lifecycle state
+   * @returns {string} One of CAMERA_CONFIG.STATES
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Show the current stream in the video element and wait for frames
+   * @returns {Promise<void>}
+   */
+  async attachStream() {
+    this.video.srcObject = this.stream;
+
+    // iOS Safari specific setup
+    if (browserDetector.isIOS) {
+      this.video.muted = true;
+      this.video.playsInline = true;
+      this.video.setAttribute('playsinline', 'true');
+      this.video.setAttribute('muted', 'true');
+    }
+
+    await this.waitForVideoReady();
+
+    const track = this.getTrack();
+    this.deviceId = track?.getSettings?.().deviceId || null;
+    track?.addEventListener('ended', this.handleTrackEnded);
+    track?.addEventListener('mute', this.handleTrackMute);
+    track?.addEventListener('unmute', this.handleTrackUnmute);
+  }
+
+  /**
+   * Build constraints for a device
+   * @param {string|null} deviceId - Null for the platform default (front camera)
+   * @returns {object}
+   */
+  getConstraints(deviceId) {
+    // Copy so retries can degrade constraints without touching the config
+    const constraints = JSON.parse(JSON.stringify(browserDetector.getCameraConstraints()));
+    Object.assign(constraints.video, this.getQualityConstraints(this.captureQuality));
+
+    if (deviceId) {
+      delete constraints.video.facingMode;
+      constraints.video.deviceId = { exact: deviceId };
+    }
+
+    return constraints;
+  }
+
+  /**
+   * Build size and frame rate constraints for a capture quality
+   * Scales the platform's ideal size; keeps its maximums
+   * @param {object|null} quality - { scale, frameRate }, null for the platform defaults
+   * @returns {object} { width, height, frameRate }
+   */
+  getQualityConstraints(quality) {
+    const { width, height } = browserDetector.getCameraConstraints().video;
+    if (!quality) {
+      return { width: { ...width }, height: { ...height } };
+    }
+
+    return {
+      width: { ...width, ideal: Math.max(CAMERA_CONFIG.MIN_WIDTH, Math.round(width.ideal * quality.scale)) },
+      height: { ...height, ideal: Math.max(CAMERA_CONFIG.MIN_HEIGHT, Math.round(height.ideal * quality.scale)) },
+      frameRate: { ideal: quality.frameRate }
+    };
+  }
+
+  /**
+   * Renegotiate capture size and frame rate on the live track
+   * Streams opened later (switches, resumes) use it too
+   * @param {object|null} quality - { scale, frameRate }, null for the platform defaults
+   * @returns {Promise<boolean>} True if the live track was updated
+   */
+  async setCaptureQuality(quality) {
+    this.captureQuality = quality;
+
+    const track = this.getTrack();
+    if (this.state !== STATES.LIVE || this.isSwitching || !track?.applyConstraints) {
+      return false;
+    }
+
+    try {
+      await track.applyConstraints(this.getQualityConstraints(quality));
+      return true;
+    } catch (error) {
+      // Camera can't satisfy the constraints; keep the current mode
+      return false;
+    }
+  }
+
+  /**
+   * List connected cameras
+   * @returns {Promise<Array<object>>} [{ deviceId, label }]
+   */
+  async refreshDevices() {
+    if (!navigator.mediaDevices?.enumerateDevices) {
+      this.devices = [];
+      return this.devices;
+    }
+
+    try {
+      const devices = await navigator.mediaDevices.enumerateDevices();
+      this.devices = devices
+        .filter(device => device.kind === 'videoinput')
+        .map((device, index) => ({
+          deviceId: device.deviceId,
+          label: device.label || `Camera ${index + 1}`
+        }));
+    } catch (error) {
+      this.devices = [];
+    }
+
+    if (this.onDevicesChange) {
+      this.onDevicesChange(this.devices);
+    }
+
+    return this.devices;
+  }
+
+  /**
+   * Switch to another camera without reloading anything else
+   * @param {string} deviceId
+   * @returns {Promise<void>}
+   */
+  async switchDevice(deviceId) {
+    const isLive = this.getTrack()?.readyState === 'live';
+    if (!this.video || this.isSwitching || (deviceId === this.deviceId && isLive)) {
+      return;
+    }
+
+    this.isSwitching = true;
+    const previousId = this.deviceId;
+    this.setState(STATES.REQUESTING);
+
+    try {
+      // Many phones cannot open two cameras at once
+      this.stopTracks();
+
+      try {
+        this.stream = await this.accessCamera(this.getConstraints(deviceId));
+      } catch (error) {
+        // Restore the previous camera so the preview isn't left blank
+        try {
+          this.stream = await this.accessCamera(this.getConstraints(previousId));
+          await this.attachStream();
+          this.setState(STATES.LIVE);
+        } catch (restoreError) {
+          this.stopTracks();
+          this.setState(isPermissionError(restoreError) ? STATES.DENIED : STATES.LOST, restoreError);
+        }
+        throw new Error(`Could not open camera: ${error.message}`);
+      }
+
+      await this.attachStream();
+      this.savePreferredDevice(this.deviceId);
+      this.setState(STATES.LIVE);
+    } catch (error) {
+      if (this.state === STATES.REQUESTING) {
+        this.stopTracks();
+        this.setState(STATES.LOST, error);
+      }
+      throw error;
+    } finally {
+      this.isSwitching = false;
+    }
+
+    if (this.onSwitch) {
+      this.onSwitch(this.getCurrentDevice());
+    }
+  }
+
+  /**
+   * Switch to the next camera in the list (front/back on phones)
+   * @returns {Promise<void>}
+   */
+  async switchToNext() {
+    if (this.devices.length < 2) return;
+
+    const index = this.devices.findIndex(device => device.deviceId === this.deviceId);
+    const next = this.devices[(index + 1) % this.devices.length];
+    await this.switchDevice(next.deviceId);
+  }
+
+  /**
+   * Re-list cameras when one is plugged in or removed
+   */
+  async handleDeviceChange() {
+    await this.refreshDevices();
+
+    if (this.state !== STATES.LIVE && this.state !== STATES.LOST) return;
+
+    // Active camera was unplugged or its track died: fall back to a connected one
+    const stillConnected = this.devices.some(device => device.deviceId === this.deviceId);
+    if ((!stillConnected || this.state === STATES.LOST) && this.devices.length > 0) {
+      const fallback = stillConnected ? this.deviceId : this.devices[0].deviceId;
+      try {
+        await this.switchDevice(fallback);
+      } catch (error) {
+        // No usable camera left; the recovery UI offers a retry
+      }
+    }
+  }
+
+  /**
+   * Handle the track ending (unplugged, revoked or taken by the system)
+   */
+  async handleTrackEnded() {
+    if (this.isSwitching) return;
+
+    this.stopTracks();
+
+    // Chrome ends tracks when permission is revoked
+    const denied = this.permissionStatus?.state === 'denied';
+    const error = new Error(denied ? 'Camera permission was revoked' : 'Camera disconnected');
+    this.setState(denied ? STATES.DENIED : STATES.LOST, error);
+
+    if (!denied) {
+      await this.handleDeviceChange();
+    }
+  }
+
+  /**
+   * Treat a track that stays muted (no frames) as lost
+   */
+  handleTrackMute() {
+    clearTimeout(this.muteTimeout);
+    this.muteTimeout = setTimeout(() => {
+      if (this.getTrack()?.muted) {
+        this.setState(STATES.LOST, new Error('Camera stopped sending video'));
+      }
+    }, CAMERA_CONFIG.MUTE_GRACE_MS);
+  }
+
+  /**
+   * Recover from a mute once frames flow again
+   */
+  handleTrackUnmute() {
+    clearTimeout(this.muteTimeout);
+    if (this.state === STATES.LOST && this.getTrack()?.readyState === 'live') {
+      this.setState(STATES.LIVE);
+    }
+  }
+
+  /**
+   * Watch the camera permission so revocation is noticed without a track event
+   */
+  async watchPermission() {
+    if (this.permissionStatus || !navigator.permissions?.query) return;
+
+    try {
+      this.permissionStatus = await navigator.permissions.query({ name: 'camera' });
+      this.permissionStatus.addEventListener('change', this.handlePermissionChange);
+    } catch (error) {
+      // 'camera' is not a queryable permission in this browser
+    }
+  }
+
+  /**
+   * Release the camera when permission is revoked and reopen it when granted again
+   */
+  handlePermissionChange() {
+    const permission = this.permissionStatus.state;
+
+    if (permission === 'denied' && this.state !== STATES.IDLE && this.state !== STATES.SUSPENDED) {
+      this.stopTracks();
+      this.setState(STATES.DENIED, new Error('Camera permission was revoked'));
+    } else if (permission === 'granted' && this.state === STATES.DENIED) {
+      this.resume().catch(() => {
+        // State change carries the error to the recovery UI
+      });
+    }
+  }
+
+  /**
+   * Get the active camera
+   * @returns {object|null} { deviceId, label }
+   */
+  getCurrentDevice() {
+    return this.devices.find(device => device.deviceId === this.deviceId) || null;
+  }
+
+  /**
+   * Get the active video track
+   * @returns {MediaStreamTrack|null}
+   */
+  getTrack() {
+    return this.stream?.getVideoTracks()[0] || null;
+  }
+
+  /**
+   * Check if the active camera faces the user (preview is mirrored)
+   * Cameras that don't report a facing mode are treated as webcams
+   * @returns {boolean}
+   */
+  isFrontFacing() {
+    return this.getTrack()?.getSettings?.().facingMode !== 'environment';
+  }
+
+  /**
+   * Set callback invoked with the camera list whenever it changes
+   * @param {Function} callback
+   */
+  setDevicesChangeCallback(callback) {
+    this.onDevicesChange = callback;
+  }
+
+  /**
+   * Set callback invoked on lifecycle changes
+   * @param {Function} callback - Receives (state, error)
+   */
+  setStateChangeCallback(callback) {
+    this.onStateChange = callback;
+  }
+
+  /**
+   * Set callback invoked after switching cameras
+   * @param {Function} callback - Receives the new device
+   */
+  setSwitchCallback(callback) {
+    this.onSwitch = callback;
+  }
+
+  /**
+   * Load the remembered camera
+   * @returns {string|null}
+   */
+  loadPreferredDevice() {
+    try {
+      return localStorage.getItem(CAMERA_CONFIG.DEVICE_STORAGE_KEY);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Remember a camera for next time
+   * @param {string|null} deviceId
+   */
+  savePreferredDevice(deviceId) {
+    if (!deviceId) return;
+
+    try {
+      localStorage.setItem(CAMERA_CONFIG.DEVICE_STORAGE_KEY, deviceId);
+    } catch (e) {
+      // Could not persist camera preference
+    }
+  }
+
   /**
    * Access camera with retry logic
    * @param {object} constraints
@@ -105,8 +542,25 @@ export class Camera {
   waitForVideoReady() {
     return new Promise((resolve, reject) => {
       let resolved = false;
+      let timeoutId = null;
       const timeoutMs = browserDetector.getCameraTimeout();
 
+      // Listeners are removed once settled so camera switches don't pile them up
+      const settle = (error) => {
+        resolved = true;
+        clearTimeout(timeoutId);
+        this.video.removeEventListener('loadedmetadata', handleVideoReady);
+        this.video.removeEventListener('canplay', handleVideoReady);
+        this.video.removeEventListener('loadeddata', handleVideoReady);
+        this.video.removeEventListener('error', handleError);
+
+        if (error) {
+          reject(error);
+        } else {
+          resolve();
+        }
+      };
+
       const handleVideoReady = async () => {
         if (resolved) return;
 
@@ -121,11 +575,15 @@ export class Camera {
             throw new Error('Video dimensions are invalid');
           }
 
-          resolved = true;
-          resolve();
+          settle();
         } catch (error) {
-          resolved = true;
-          reject(error);
+          settle(error);
+        }
+      };
+
+      const handleError = error => {
+        if (!resolved) {
+          settle(new Error(`Video error: ${error.message || 'Unknown video error'}`));
         }
       };
 
@@ -133,19 +591,12 @@ export class Camera {
       this.video.addEventListener('loadedmetadata', handleVideoReady);
       this.video.addEventListener('canplay', handleVideoReady);
       this.video.addEventListener('loadeddata', handleVideoReady);
-
-      this.video.addEventListener('error', error => {
-        if (!resolved) {
-          resolved = true;
-          reject(new Error(`Video error: ${error.message || 'Unknown video error'}`));
-        }
-      });
+      this.video.addEventListener('error', handleError);
 
       // Timeout
-      setTimeout(() => {
+      timeoutId = setTimeout(() => {
         if (!resolved) {
-          resolved = true;
-          reject(new Error(`Video loading timeout after ${timeoutMs}ms`));
+          settle(new Error(`Video loading timeout after ${timeoutMs}ms`));
         }
       }, timeoutMs);
     });
@@ -173,17 +624,36 @@ export class Camera {
   }
 
   /**
-   * Stop camera stream
+   * Stop the current stream's tracks
    */
-  stop() {
+  stopTracks() {
+    clearTimeout(this.muteTimeout);
+
     if (this.stream) {
+      // stop() doesn't fire 'ended', but drop the listeners with the track
+      this.stream.getVideoTracks().forEach(track => {
+        track.removeEventListener('ended', this.handleTrackEnded);
+        track.removeEventListener('mute', this.handleTrackMute);
+        track.removeEventListener('unmute', this.handleTrackUnmute);
+      });
       this.stream.getTracks().forEach(track => track.stop());
       this.stream = null;
     }
+  }
+
+  /**
+   * Stop camera stream
+   */
+  stop() {
+    this.stopTracks();
+    navigator.mediaDevices?.removeEventListener?.('devicechange', this.handleDeviceChange);
+    this.permissionStatus?.removeEventListener('change', this.handlePermissionChange);
+    this.permissionStatus = null;
     if (this.video) {
       this.video.srcObject = null;
     }
     this.initialized = false;
+    this.setState(STATES.IDLE);
   }
 
   /**
@@ -215,4 +685,13 @@ export class Camera {
   }
 }
 
+/**
+ * Check if getUserMedia failed because access was refused
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isPermissionError(error) {
+  return ['NotAllowedError', 'PermissionDeniedError', 'SecurityError'].includes(error?.name);
+}
+
 export default Camera;
@@ -0,0 +1,107 @@
+/**
+ * Frame Compositor
+ * Combines the mirrored video frame (or a still) with a filter into one canvas
+ */
+
+import { scaleFaces } from '../utils/viewportUtils.js';
+
+export class FrameCompositor {
+  constructor(video, filterRenderer) {
+    this.video = video;
+    this.filterRenderer = filterRenderer;
+
+    // Unmirrored working canvas the filters are drawn onto
+    this.workCanvas = null;
+    this.workCtx = null;
+
+    // Front cameras are mirrored like the preview; rear cameras are not
+    this.mirrored = true;
+  }
+
+  /**
+   * Set whether output is mirrored
+   * @param {boolean} mirrored
+   */
+  setMirrored(mirrored) {
+    this.mirrored = mirrored;
+  }
+
+  /**
+   * Check if output is mirrored
+   * @returns {boolean}
+   */
+  isMirrored() {
+    return this.mirrored;
+  }
+
+  /**
+   * Initialize working canvas
+   */
+  initCanvas() {
+    if (!this.workCanvas) {
+      this.workCanvas = document.createElement('canvas');
+      // MorphFilter reads the video pixels back with getImageData
+      this.workCtx = this.workCanvas.getContext('2d', { willReadFrequently: true });
+    }
+  }
+
+  /**
+   * Compose the current video frame, optionally with the active filter baked in
+   * frameState.filterName and frameState.animationTime override the live filter
+   * @param {HTMLCanvasElement} canvas - Target canvas
+   * @param {object} frameState - { faces, qualitySettings, filterName, animationTime }
+   * @param {object} options - { filtered, width, height, source }
+   * @returns {HTMLCanvasElement}
+   */
+  compose(canvas, frameState, options = {}) {
+    // Unmirrored frame to draw; defaults to the live video
+    const source = options.source || this.video;
+    const sourceWidth = source.videoWidth || source.width;
+    const sourceHeight = source.videoHeight || source.height;
+    const width = options.width || sourceWidth;
+    const height = options.height || sourceHeight;
+    const filtered = options.filtered !== false;
+
+    this.initCanvas();
+
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+    }
+    if (this.workCanvas.width !== width || this.workCanvas.height !== height) {
+      this.workCanvas.width = width;
+      this.workCanvas.height = height;
+    }
+
+    // Draw video in detection coordinates so landmarks line up
+    this.workCtx.clearRect(0, 0, width, height);
+    this.workCtx.drawImage(source, 0, 0, width, height);
+
+    const faces = frameState?.faces || [];
+    if (filtered && faces.length > 0 && frameState.qualitySettings) {
+      const scaledFaces = scaleFaces(faces, width / sourceWidth, height / sourceHeight);
+      this.filterRenderer.renderFilter(
+        this.workCtx,
+        scaledFaces,
+        frameState.qualitySettings,
+        frameState.filterName ?? this.filterRenderer.getCurrentFilter(),
+        frameState.animationTime ?? this.filterRenderer.animationTime
+      );
+    }
+
+    // Mirror to match the preview
+    const ctx = canvas.getContext('2d');
+    if (this.mirrored) {
+      ctx.save();
+      ctx.scale(-1, 1);
+      ctx.drawImage(this.workCanvas, -width, 0, width, height);
+      ctx.restore();
+    } else {
+      ctx.drawImage(this.workCanvas, 0, 0, width, height);
+    }
+
+    return canvas;
+  }
+}
+
+export default FrameCompositor;
@@ -0,0 +1,210 @@
+/**
+ * GIF Encoder
+ * Pure JavaScript GIF89a writer with LZW compression and looping
+ */
+
+const MAX_LZW_CODE = 4096;
+const MAX_SUB_BLOCK = 255;
+
+export class GifEncoder {
+  /**
+   * @param {number} width
+   * @param {number} height
+   * @param {Array<Array<number>>} palette - Global palette as [r, g, b] entries (max 256)
+   * @param {object} options - { loop } where 0 loops forever
+   */
+  constructor(width, height, palette, options = {}) {
+    this.width = width;
+    this.height = height;
+    this.palette = palette;
+    this.loop = options.loop ?? 0;
+    this.bytes = [];
+
+    // Global color table size is 2^(tableBits)
+    this.tableBits = Math.max(1, Math.ceil(Math.log2(Math.max(2, palette.length))));
+    this.writeHeader();
+  }
+
+  /**
+   * Write header, screen descriptor, global palette and loop extension
+   */
+  writeHeader() {
+    this.writeString('GIF89a');
+
+    // Logical screen descriptor
+    this.writeShort(this.width);
+    this.writeShort(this.height);
+    this.writeByte(0x80 | ((this.tableBits - 1) << 4) | (this.tableBits - 1));
+    this.writeByte(0); // Background color index
+    this.writeByte(0); // Pixel aspect ratio
+
+    // Global color table, padded to a power of two
+    const tableSize = 1 << this.tableBits;
+    for (let i = 0; i < tableSize; i++) {
+      const color = this.palette[i] || [0, 0, 0];
+      this.writeByte(color[0]);
+      this.writeByte(color[1]);
+      this.writeByte(color[2]);
+    }
+
+    // NETSCAPE2.0 application extension for looping
+    this.writeByte(0x21);
+    this.writeByte(0xff);
+    this.writeByte(11);
+    this.writeString('NETSCAPE2.0');
+    this.writeByte(3);
+    this.writeByte(1);
+    this.writeShort(this.loop);
+    this.writeByte(0);
+  }
+
+  /**
+   * Add a frame
+   * @param {Uint8Array} indices - Palette index per pixel
+   * @param {number} delayMs - Frame duration
+   */
+  addFrame(indices, delayMs) {
+    // Graphic control extension
+    this.writeByte(0x21);
+    this.writeByte(0xf9);
+    this.writeByte(4);
+    this.writeByte(0x04); // Disposal: do not dispose, no transparency
+    this.writeShort(Math.max(2, Math.round(delayMs / 10)));
+    this.writeByte(0);
+    this.writeByte(0);
+
+    // Image descriptor (full frame, global palette)
+    this.writeByte(0x2c);
+    this.writeShort(0);
+    this.writeShort(0);
+    this.writeShort(this.width);
+    this.writeShort(this.height);
+    this.writeByte(0);
+
+    // Image data
+    const minCodeSize = Math.max(2, this.tableBits);
+    this.writeByte(minCodeSize);
+    const compressed = lzwEncode(indices, minCodeSize);
+
+    for (let offset = 0; offset < compressed.length; offset += MAX_SUB_BLOCK) {
+      const length = Math.min(MAX_SUB_BLOCK, compressed.length - offset);
+      this.writeByte(length);
+      for (let i = 0; i < length; i++) {
+        this.bytes.push(compressed[offset + i]);
+      }
+    }
+    this.writeByte(0);
+  }
+
+  /**
+   * Finish the file
+   * @returns {Blob}
+   */
+  finish() {
+    this.writeByte(0x3b);
+    return new Blob([new Uint8Array(this.bytes)], { type: 'image/gif' });
+  }
+
+  /**
+   * Write a single byte
+   * @param {number} value
+   */
+  writeByte(value) {
+    this.bytes.push(value & 0xff);
+  }
+
+  /**
+   * Write a little-endian 16-bit value
+   * @param {number} value
+   */
+  writeShort(value) {
+    this.bytes.push(value & 0xff, (value >> 8) & 0xff);
+  }
+
+  /**
+   * Write an ASCII string
+   * @param {string} text
+   */
+  writeString(text) {
+    for (let i = 0; i < text.length; i++) {
+      this.bytes.push(text.charCodeAt(i));
+    }
+  }
+}
+
+/**
+ * LZW-compress palette indices with variable-width codes
+ * @param {Uint8Array} indices
+ * @param {number} minCodeSize
+ * @returns {Array<number>} Packed bytes (before sub-block framing)
+ */
+function lzwEncode(indices, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const output = [];
+  const dictionary = new Map();
+
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let bitBuffer = 0;
+  let bitCount = 0;
+
+  const emit = code => {
+    bitBuffer |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      output.push(bitBuffer & 0xff);
+      bitBuffer >>>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  emit(clearCode);
+
+  if (indices.length === 0) {
+    emit(endCode);
+    if (bitCount > 0) output.push(bitBuffer & 0xff);
+    return output;
+  }
+
+  let prefix = indices[0];
+
+  for (let i = 1; i < indices.length; i++) {
+    const symbol = indices[i];
+    const key = (prefix << 8) | symbol;
+    const code = dictionary.get(key);
+
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+
+    emit(prefix);
+
+    if (nextCode < MAX_LZW_CODE) {
+      if (nextCode >= (1 << codeSize)) {
+        codeSize++;
+      }
+      dictionary.set(key, nextCode++);
+    } else {
+      // Table full, start over
+      emit(clearCode);
+      dictionary.clear();
+      codeSize = minCodeSize + 1;
+      nextCode = endCode + 1;
+    }
+
+    prefix = symbol;
+  }
+
+  emit(prefix);
+  emit(endCode);
+
+  if (bitCount > 0) {
+    output.push(bitBuffer & 0xff);
+  }
+
+  return output;
+}
+
+export default GifEncoder;
@@ -0,0 +1,134 @@
+/**
+ * GIF Recorder
+ * Grabs composited frames from the render loop and encodes a looping GIF
+ */
+
+import { GIF } from '../config/constants.js';
+import { GifEncoder } from './GifEncoder.js';
+import { buildPalette, ditherToPalette } from './colorQuantizer.js';
+
+export class GifRecorder {
+  constructor(compositor) {
+    this.compositor = compositor;
+    this.canvas = document.createElement('canvas');
+    this.frames = [];
+    this.settings = null;
+    this.width = 0;
+    this.height = 0;
+    this.frameInterval = 0;
+    this.startTime = 0;
+    this.lastGrabTime = 0;
+    this.recording = false;
+  }
+
+  /**
+   * Start collecting frames
+   * @param {object} settings - { frameRate, width, boomerang }
+   * @param {number} sourceWidth - Video width
+   * @param {number} sourceHeight - Video height
+   */
+  start(settings, sourceWidth, sourceHeight) {
+    this.settings = settings;
+    this.width = Math.min(settings.width, sourceWidth);
+    this.height = Math.round(this.width * sourceHeight / sourceWidth);
+    this.frameInterval = 1000 / settings.frameRate;
+    this.frames = [];
+    this.startTime = performance.now();
+    this.lastGrabTime = -Infinity;
+    this.recording = true;
+  }
+
+  /**
+   * Grab the current frame if it is due
+   * @param {object} frameState - { faces, qualitySettings } from the render loop
+   * @returns {boolean} True when the clip is complete
+   */
+  captureFrame(frameState) {
+    if (!this.recording) return false;
+
+    const now = performance.now();
+    if (now - this.lastGrabTime < this.frameInterval) return false;
+    this.lastGrabTime = now;
+
+    this.compositor.compose(this.canvas, frameState, {
+      filtered: true,
+      width: this.width,
+      height: this.height
+    });
+
+    const ctx = this.canvas.getContext('2d');
+    this.frames.push(ctx.getImageData(0, 0, this.width, this.height));
+
+    if (now - this.startTime >= GIF.DURATION_MS) {
+      this.recording = false;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Encode collected frames
+   * @param {Function} onProgress - Called with 0-1 while encoding
+   * @returns {Promise<Blob>}
+   */
+  async encode(onProgress = () => {}) {
+    if (this.frames.length === 0) {
+      throw new Error('No frames captured');
+    }
+
+    const palette = buildPalette(this.frames);
+    const encoder = new GifEncoder(this.width, this.height, palette, { loop: 0 });
+    const delay = 1000 / this.settings.frameRate;
+    const sequence = this.getSequence();
+    const indexed = new Map();
+
+    for (let i = 0; i < sequence.length; i++) {
+      const frameIndex = sequence[i];
+
+      // Boomerang reuses frames, so only dither each once
+      if (!indexed.has(frameIndex)) {
+        const frame = this.frames[frameIndex];
+        indexed.set(frameIndex, ditherToPalette(frame.data, this.width, this.height, palette));
+      }
+
+      encoder.addFrame(indexed.get(frameIndex), delay);
+      onProgress((i + 1) / sequence.length);
+
+      // Yield so the preview keeps running while encoding
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    this.frames = [];
+    return encoder.finish();
+  }
+
+  /**
+   * Get frame order, ping-ponging in boomerang mode
+   * @returns {Array<number>}
+   */
+  getSequence() {
+    const forward = this.frames.map((frame, index) => index);
+    if (!this.settings.boomerang || forward.length < 3) {
+      return forward;
+    }
+    return forward.concat(forward.slice(1, -1).reverse());
+  }
+
+  /**
+   * Abort and drop collected frames
+   */
+  cancel() {
+    this.recording = false;
+    this.frames = [];
+  }
+
+  /**
+   * Check if frames are being collected
+   * @returns {boolean}
+   */
+  isRecording() {
+    return this.recording;
+  }
+}
+
+export default GifRecorder;
@@ -0,0 +1,179 @@
+/**
+ * Layout Composer
+ * Arranges several captures into printable photo-booth layouts
+ */
+
+import { LAYOUT } from '../config/constants.js';
+
+export class LayoutComposer {
+  /**
+   * Get the pixel size of a template at print DPI
+   * @param {string} templateName - Key of LAYOUT.TEMPLATES
+   * @returns {object} { width, height, shots }
+   */
+  static getSize(templateName) {
+    const template = LAYOUT.TEMPLATES[templateName];
+    if (!template) {
+      throw new Error(`Unknown layout: ${templateName}`);
+    }
+
+    return {
+      width: Math.round(template.widthIn * LAYOUT.DPI),
+      height: Math.round(template.heightIn * LAYOUT.DPI),
+      shots: template.columns * template.rows
+    };
+  }
+
+  /**
+   * Compose shots into a layout
+   * @param {Array<HTMLCanvasElement|ImageBitmap>} shots - Mirrored captures, in order
+   * @param {object} options - { template, border, background, caption, logo }
+   * @returns {HTMLCanvasElement}
+   */
+  compose(shots, options) {
+    const template = LAYOUT.TEMPLATES[options.template];
+    const { width, height } = LayoutComposer.getSize(options.template);
+    const border = Math.round((LAYOUT.BORDERS_IN[options.border] || 0) * LAYOUT.DPI);
+    const caption = (options.caption || '').trim();
+    const hasFooter = !!caption || !!options.logo;
+    const footerHeight = hasFooter ? Math.round(template.footerIn * LAYOUT.DPI) : 0;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = options.background || LAYOUT.DEFAULT_BACKGROUND;
+    ctx.fillRect(0, 0, width, height);
+
+    // Photo cells share the border as gutter
+    const innerWidth = width - border * 2;
+    const gridHeight = height - border * 2 - footerHeight;
+    const cellWidth = (innerWidth - border * (template.columns - 1)) / template.columns;
+    const cellHeight = (gridHeight - border * (template.rows - 1)) / template.rows;
+
+    shots.slice(0, template.columns * template.rows).forEach((shot, index) => {
+      const column = index % template.columns;
+      const row = Math.floor(index / template.columns);
+      drawCover(
+        ctx,
+        shot,
+        border + column * (cellWidth + border),
+        border + row * (cellHeight + border),
+        cellWidth,
+        cellHeight
+      );
+    });
+
+    if (hasFooter) {
+      this.drawFooter(ctx, {
+        x: border,
+        y: border + gridHeight,
+        width: innerWidth,
+        height: footerHeight
+      }, caption, options.logo, getContrastColor(options.background || LAYOUT.DEFAULT_BACKGROUND));
+    }
+
+    return canvas;
+  }
+
+  /**
+   * Draw logo and caption in the footer band
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {object} area - { x, y, width, height }
+   * @param {string} caption
+   * @param {HTMLImageElement|ImageBitmap|null} logo
+   * @param {string} color - Caption color
+   */
+  drawFooter(ctx, area, caption, logo, color) {
+    // Narrow footers (strips) stack the logo above the caption
+    const stacked = area.width < area.height * 3;
+    let textArea = area;
+
+    if (logo) {
+      const maxHeight = area.height * LAYOUT.LOGO_HEIGHT_RATIO * (stacked && caption ? 0.6 : 1);
+      const maxWidth = stacked || !caption ? area.width : area.width * 0.4;
+      const scale = Math.min(maxHeight / logo.height, maxWidth / logo.width);
+      const logoWidth = logo.width * scale;
+      const logoHeight = logo.height * scale;
+
+      let logoX;
+      let logoY;
+      if (!caption) {
+        logoX = area.x + (area.width - logoWidth) / 2;
+        logoY = area.y + (area.height - logoHeight) / 2;
+      } else if (stacked) {
+        logoX = area.x + (area.width - logoWidth) / 2;
+        logoY = area.y + area.height * 0.1;
+        textArea = { ...area, y: logoY + logoHeight, height: area.y + area.height - logoY - logoHeight };
+      } else {
+        const padding = (area.height - logoHeight) / 2;
+        logoX = area.x + padding;
+        logoY = area.y + padding;
+        textArea = { ...area, x: logoX + logoWidth + padding, width: area.x + area.width - logoX - logoWidth - padding * 2 };
+      }
+
+      ctx.drawImage(logo, logoX, logoY, logoWidth, logoHeight);
+    }
+
+    if (!caption) return;
+
+    // Shrink the font until the caption fits on one line
+    let fontSize = area.height * LAYOUT.CAPTION_FONT_RATIO;
+    ctx.font = `600 ${fontSize}px ${LAYOUT.CAPTION_FONT_FAMILY}`;
+    const measured = ctx.measureText(caption).width;
+    const available = textArea.width * 0.9;
+    if (measured > available) {
+      fontSize *= available / measured;
+      ctx.font = `600 ${fontSize}px ${LAYOUT.CAPTION_FONT_FAMILY}`;
+    }
+
+    ctx.fillStyle = color;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(caption, textArea.x + textArea.width / 2, textArea.y + textArea.height / 2);
+  }
+}
+
+/**
+ * Draw an image scaled to cover a rectangle, cropping the overflow evenly
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {HTMLCanvasElement|ImageBitmap} image
+ * @param {number} x
+ * @param {number} y
+ * @param {number} width
+ * @param {number} height
+ */
+function drawCover(ctx, image, x, y, width, height) {
+  const scale = Math.max(width / image.width, height / image.height);
+  const sourceWidth = width / scale;
+  const sourceHeight = height / scale;
+
+  ctx.drawImage(
+    image,
+    (image.width - sourceWidth) / 2,
+    (image.height - sourceHeight) / 2,
+    sourceWidth,
+    sourceHeight,
+    x,
+    y,
+    width,
+    height
+  );
+}
+
+/**
+ * Pick black or white text for a background color
+ * @param {string} hex - '#rrggbb'
+ * @returns {string}
+ */
+function getContrastColor(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  const r = (value >> 16) & 0xff;
+  const g = (value >> 8) & 0xff;
+  const b = value & 0xff;
+  const luminance = (0.299 * r + 0.587 * g + 0.114 * b) / 255;
+  return luminance > 0.5 ? '#111111' : '#ffffff';
+}
+
+export default LayoutComposer;
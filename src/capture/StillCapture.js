@@ -0,0 +1,81 @@
+/**
+ * Still Capture
+ * Takes full-sensor photos through the ImageCapture API
+ */
+
+export class StillCapture {
+  constructor(video) {
+    this.video = video;
+    this.track = null;
+    this.imageCapture = null;
+  }
+
+  /**
+   * Check if ImageCapture is available
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return typeof window.ImageCapture === 'function';
+  }
+
+  /**
+   * Get an ImageCapture for the video's current track
+   * Recreated when the track changes (e.g. after switching cameras)
+   * @returns {ImageCapture|null}
+   */
+  getImageCapture() {
+    const track = this.video.srcObject?.getVideoTracks?.()[0];
+    if (!StillCapture.isSupported() || !track || track.readyState !== 'live') {
+      return null;
+    }
+
+    if (track !== this.track) {
+      this.track = track;
+      this.imageCapture = new window.ImageCapture(track);
+    }
+
+    return this.imageCapture;
+  }
+
+  /**
+   * Take a still at the highest resolution the camera offers
+   * Tries takePhoto() first and falls back to grabFrame()
+   * @returns {Promise<ImageBitmap|null>} Null if neither method works
+   */
+  async capture() {
+    const imageCapture = this.getImageCapture();
+    if (!imageCapture) return null;
+
+    try {
+      const blob = await imageCapture.takePhoto(await this.getPhotoSettings(imageCapture));
+      return await createImageBitmap(blob);
+    } catch (error) {
+      // takePhoto is missing (Firefox) or the camera is busy; try a video frame
+    }
+
+    try {
+      return await imageCapture.grabFrame();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Request the largest supported photo size
+   * @param {ImageCapture} imageCapture
+   * @returns {Promise<object>} PhotoSettings
+   */
+  async getPhotoSettings(imageCapture) {
+    try {
+      const capabilities = await imageCapture.getPhotoCapabilities();
+      const settings = {};
+      if (capabilities.imageWidth?.max) settings.imageWidth = capabilities.imageWidth.max;
+      if (capabilities.imageHeight?.max) settings.imageHeight = capabilities.imageHeight.max;
+      return settings;
+    } catch (error) {
+      return {};
+    }
+  }
+}
+
+export default StillCapture;
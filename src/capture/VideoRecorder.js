@@ -0,0 +1,187 @@
+/**
+ * Video Recorder
+ * Records a canvas into a video clip with MediaRecorder
+ */
+
+import { RECORDING } from '../config/constants.js';
+
+export class VideoRecorder {
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.stream = null;
+    this.recorder = null;
+    this.chunks = [];
+    this.mimeType = '';
+    this.startTime = 0;
+    this.pausedAt = 0;
+    this.pausedDuration = 0;
+  }
+
+  /**
+   * Check if recording is possible in this browser
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return typeof MediaRecorder !== 'undefined' &&
+      typeof HTMLCanvasElement.prototype.captureStream === 'function';
+  }
+
+  /**
+   * Check if the recorder can pause and resume
+   * @returns {boolean}
+   */
+  static supportsPause() {
+    return typeof MediaRecorder !== 'undefined' &&
+      typeof MediaRecorder.prototype.pause === 'function';
+  }
+
+  /**
+   * Pick the first supported container/codec
+   * @returns {string} MIME type, or '' to let the browser choose
+   */
+  selectMimeType() {
+    if (typeof MediaRecorder.isTypeSupported !== 'function') {
+      return '';
+    }
+    return RECORDING.MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+  }
+
+  /**
+   * Start recording
+   */
+  start() {
+    if (this.isRecording()) return;
+
+    this.stream = this.canvas.captureStream(RECORDING.FRAME_RATE);
+    this.chunks = [];
+    this.mimeType = this.selectMimeType();
+
+    try {
+      this.recorder = new MediaRecorder(this.stream, {
+        mimeType: this.mimeType || undefined,
+        videoBitsPerSecond: RECORDING.VIDEO_BITS_PER_SECOND
+      });
+    } catch (error) {
+      // Codec rejected despite isTypeSupported, fall back to browser default
+      this.mimeType = '';
+      this.recorder = new MediaRecorder(this.stream);
+    }
+
+    this.recorder.addEventListener('dataavailable', event => {
+      if (event.data && event.data.size > 0) {
+        this.chunks.push(event.data);
+      }
+    });
+
+    this.recorder.start(RECORDING.TIMESLICE_MS);
+    this.startTime = performance.now();
+    this.pausedAt = 0;
+    this.pausedDuration = 0;
+  }
+
+  /**
+   * Pause recording
+   */
+  pause() {
+    if (this.recorder?.state !== 'recording' || !VideoRecorder.supportsPause()) return;
+
+    this.recorder.pause();
+    this.pausedAt = performance.now();
+  }
+
+  /**
+   * Resume recording
+   */
+  resume() {
+    if (this.recorder?.state !== 'paused') return;
+
+    this.recorder.resume();
+    this.pausedDuration += performance.now() - this.pausedAt;
+    this.pausedAt = 0;
+  }
+
+  /**
+   * Stop recording
+   * @returns {Promise<Blob>} Recorded clip
+   */
+  stop() {
+    if (!this.isRecording()) {
+      return Promise.reject(new Error('Recorder is not running'));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.recorder.addEventListener('stop', () => {
+        const type = this.recorder.mimeType || this.mimeType || 'video/webm';
+        const blob = new Blob(this.chunks, { type });
+        this.releaseStream();
+
+        if (blob.size === 0) {
+          reject(new Error('Recording produced no data'));
+        } else {
+          resolve(blob);
+        }
+      }, { once: true });
+
+      this.recorder.stop();
+    });
+  }
+
+  /**
+   * Abort recording and discard recorded data
+   */
+  cancel() {
+    if (this.isRecording()) {
+      this.recorder.stop();
+    }
+    this.releaseStream();
+  }
+
+  /**
+   * Stop the canvas capture stream
+   */
+  releaseStream() {
+    if (this.stream) {
+      this.stream.getTracks().forEach(track => track.stop());
+      this.stream = null;
+    }
+    this.chunks = [];
+  }
+
+  /**
+   * Get recorded duration, excluding paused time
+   * @returns {number} Milliseconds
+   */
+  getElapsed() {
+    if (!this.isRecording()) return 0;
+
+    const now = this.pausedAt || performance.now();
+    return now - this.startTime - this.pausedDuration;
+  }
+
+  /**
+   * Check if a recording is in progress (including paused)
+   * @returns {boolean}
+   */
+  isRecording() {
+    return !!this.recorder && this.recorder.state !== 'inactive';
+  }
+
+  /**
+   * Check if recording is paused
+   * @returns {boolean}
+   */
+  isPaused() {
+    return this.recorder?.state === 'paused';
+  }
+
+  /**
+   * Get file extension for the recorded container
+   * @returns {string}
+   */
+  getFileExtension() {
+    const type = this.recorder?.mimeType || this.mimeType;
+    return type.startsWith('video/mp4') ? 'mp4' : 'webm';
+  }
+}
+
+export default VideoRecorder;
@@ -0,0 +1,64 @@
+/**
+ * Capture Metadata
+ * Describes how a capture was produced (filter, settings, face geometry)
+ */
+
+import { APP, METADATA } from '../config/constants.js';
+
+/**
+ * Build the metadata block for a capture
+ * Landmarks are converted to the saved image's pixel space (scaled, and mirrored if the image is)
+ * @param {object} frameState - { faces, qualitySettings, filterName, animationTime }
+ * @param {object} details - { captureWidth, captureHeight, cameraWidth, cameraHeight, filtered, mirrored }
+ * @returns {object}
+ */
+export function buildCaptureMetadata(frameState, details) {
+  const { captureWidth, captureHeight, cameraWidth, cameraHeight, filtered } = details;
+  const mirrored = details.mirrored !== false;
+  const scaleX = captureWidth / cameraWidth;
+  const scaleY = captureHeight / cameraHeight;
+  const faces = frameState?.faces || [];
+
+  return {
+    schemaVersion: METADATA.SCHEMA_VERSION,
+    app: {
+      name: APP.NAME,
+      version: APP.VERSION
+    },
+    capturedAt: new Date().toISOString(),
+    filter: {
+      name: frameState?.filterName || 'none',
+      applied: filtered,
+      animationTime: frameState?.animationTime ?? null
+    },
+    qualitySettings: frameState?.qualitySettings || null,
+    camera: {
+      width: cameraWidth,
+      height: cameraHeight
+    },
+    image: {
+      width: captureWidth,
+      height: captureHeight,
+      mirrored
+    },
+    faces: faces.map((face, index) => ({
+      index,
+      id: face.id,
+      landmarks: (face.scaledMesh || []).map(point => [
+        roundCoordinate(mirrored ? captureWidth - point[0] * scaleX : point[0] * scaleX),
+        roundCoordinate(point[1] * scaleY),
+        roundCoordinate((point[2] || 0) * scaleX)
+      ])
+    }))
+  };
+}
+
+/**
+ * Round a coordinate to the configured precision
+ * @param {number} value
+ * @returns {number}
+ */
+function roundCoordinate(value) {
+  const factor = Math.pow(10, METADATA.LANDMARK_PRECISION);
+  return Math.round(value * factor) / factor;
+}
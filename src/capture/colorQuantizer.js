@@ -0,0 +1,189 @@
+/**
+ * Color Quantizer
+ * Median-cut palette generation and Floyd-Steinberg dithering for GIF export
+ */
+
+import { GIF } from '../config/constants.js';
+
+/**
+ * Build a shared palette from several RGBA frames using median cut
+ * @param {Array<ImageData>} frames
+ * @param {number} maxColors - Palette size (power of two up to 256)
+ * @returns {Array<Array<number>>} Palette as [r, g, b] entries
+ */
+export function buildPalette(frames, maxColors = GIF.MAX_COLORS) {
+  const totalPixels = frames.reduce((sum, frame) => sum + frame.width * frame.height, 0);
+  const step = Math.max(1, Math.floor(totalPixels / GIF.PALETTE_SAMPLE_LIMIT));
+
+  // Sample pixels evenly across all frames
+  const samples = [];
+  let counter = 0;
+  frames.forEach(frame => {
+    const data = frame.data;
+    for (let i = 0; i < data.length; i += 4) {
+      if (counter++ % step === 0) {
+        samples.push([data[i], data[i + 1], data[i + 2]]);
+      }
+    }
+  });
+
+  if (samples.length === 0) {
+    return [[0, 0, 0]];
+  }
+
+  let boxes = [samples];
+
+  while (boxes.length < maxColors) {
+    // Split the box with the widest channel range
+    let target = -1;
+    let targetRange = 0;
+    let targetChannel = 0;
+
+    boxes.forEach((box, index) => {
+      if (box.length < 2) return;
+      const { channel, range } = widestChannel(box);
+      if (range > targetRange) {
+        target = index;
+        targetRange = range;
+        targetChannel = channel;
+      }
+    });
+
+    if (target === -1) break;
+
+    const box = boxes[target];
+    box.sort((a, b) => a[targetChannel] - b[targetChannel]);
+    const mid = box.length >> 1;
+    boxes.splice(target, 1, box.slice(0, mid), box.slice(mid));
+  }
+
+  return boxes.map(averageColor);
+}
+
+/**
+ * Map RGBA pixels to palette indices with optional Floyd-Steinberg dithering
+ * @param {Uint8ClampedArray} data - RGBA pixels
+ * @param {number} width
+ * @param {number} height
+ * @param {Array<Array<number>>} palette
+ * @param {boolean} dither
+ * @returns {Uint8Array} Palette index per pixel
+ */
+export function ditherToPalette(data, width, height, palette, dither = GIF.DITHER) {
+  const indices = new Uint8Array(width * height);
+  const lookup = createNearestLookup(palette);
+
+  // Per-channel error for the current and next row
+  let currentError = new Float32Array((width + 2) * 3);
+  let nextError = new Float32Array((width + 2) * 3);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const pixelIndex = y * width + x;
+      const dataIndex = pixelIndex * 4;
+      const errorIndex = (x + 1) * 3;
+
+      const r = clampChannel(data[dataIndex] + currentError[errorIndex]);
+      const g = clampChannel(data[dataIndex + 1] + currentError[errorIndex + 1]);
+      const b = clampChannel(data[dataIndex + 2] + currentError[errorIndex + 2]);
+
+      const index = lookup(r, g, b);
+      indices[pixelIndex] = index;
+
+      if (!dither) continue;
+
+      const color = palette[index];
+      const errors = [r - color[0], g - color[1], b - color[2]];
+
+      for (let c = 0; c < 3; c++) {
+        const error = errors[c];
+        currentError[errorIndex + 3 + c] += error * 7 / 16;
+        nextError[errorIndex - 3 + c] += error * 3 / 16;
+        nextError[errorIndex + c] += error * 5 / 16;
+        nextError[errorIndex + 3 + c] += error * 1 / 16;
+      }
+    }
+
+    const swap = currentError;
+    currentError = nextError;
+    nextError = swap;
+    nextError.fill(0);
+  }
+
+  return indices;
+}
+
+/**
+ * Create a cached nearest-color lookup (15-bit color key)
+ * @param {Array<Array<number>>} palette
+ * @returns {Function} (r, g, b) => palette index
+ */
+function createNearestLookup(palette) {
+  const cache = new Int16Array(32768).fill(-1);
+
+  return (r, g, b) => {
+    const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+    if (cache[key] !== -1) return cache[key];
+
+    let best = 0;
+    let bestDistance = Infinity;
+    for (let i = 0; i < palette.length; i++) {
+      const dr = r - palette[i][0];
+      const dg = g - palette[i][1];
+      const db = b - palette[i][2];
+      const distance = dr * dr + dg * dg + db * db;
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        best = i;
+      }
+    }
+
+    cache[key] = best;
+    return best;
+  };
+}
+
+/**
+ * Find the channel with the largest value range in a box
+ * @param {Array<Array<number>>} box
+ * @returns {object} { channel, range }
+ */
+function widestChannel(box) {
+  const min = [255, 255, 255];
+  const max = [0, 0, 0];
+
+  box.forEach(pixel => {
+    for (let c = 0; c < 3; c++) {
+      if (pixel[c] < min[c]) min[c] = pixel[c];
+      if (pixel[c] > max[c]) max[c] = pixel[c];
+    }
+  });
+
+  const ranges = [max[0] - min[0], max[1] - min[1], max[2] - min[2]];
+  const channel = ranges.indexOf(Math.max(...ranges));
+  return { channel, range: ranges[channel] };
+}
+
+/**
+ * Average color of a box
+ * @param {Array<Array<number>>} box
+ * @returns {Array<number>}
+ */
+function averageColor(box) {
+  const sum = [0, 0, 0];
+  box.forEach(pixel => {
+    sum[0] += pixel[0];
+    sum[1] += pixel[1];
+    sum[2] += pixel[2];
+  });
+  return sum.map(value => Math.round(value / box.length));
+}
+
+/**
+ * Clamp a color channel to 0-255
+ * @param {number} value
+ * @returns {number}
+ */
+function clampChannel(value) {
+  return value < 0 ? 0 : value > 255 ? 255 : Math.round(value);
+}
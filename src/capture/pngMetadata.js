@@ -0,0 +1,180 @@
+/**
+ * PNG Metadata
+ * Writes tEXt/iTXt text and pHYs resolution chunks into PNG files
+ */
+
+import { crc32 } from '../utils/crc32.js';
+
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+const MAX_KEYWORD_LENGTH = 79;
+const METERS_PER_INCH = 0.0254;
+
+/**
+ * Insert text chunks before IEND and, if given, a print resolution after IHDR
+ * @param {Blob} blob - PNG file
+ * @param {object} entries - { text: { keyword: latin1 }, international: { keyword: utf8 }, dpi }
+ * @returns {Promise<Blob>}
+ */
+export async function embedPngMetadata(blob, { text = {}, international = {}, dpi = 0 }) {
+  let bytes = new Uint8Array(await blob.arrayBuffer());
+
+  if (!PNG_SIGNATURE.every((value, index) => bytes[index] === value)) {
+    throw new Error('Not a PNG file');
+  }
+
+  if (dpi > 0) {
+    bytes = setResolution(bytes, dpi);
+  }
+
+  const iendOffset = findChunk(bytes, 'IEND');
+  if (iendOffset === -1) {
+    throw new Error('PNG file has no IEND chunk');
+  }
+
+  const chunks = [];
+
+  Object.entries(text).forEach(([keyword, value]) => {
+    chunks.push(createChunk('tEXt', concatBytes([encodeKeyword(keyword), [0], encodeLatin1(value)])));
+  });
+
+  for (const [keyword, value] of Object.entries(international)) {
+    const raw = new TextEncoder().encode(value);
+    const compressed = await deflate(raw);
+
+    // keyword, null, compression flag, method, empty language tag, empty translated keyword
+    const header = concatBytes([encodeKeyword(keyword), [0, compressed ? 1 : 0, 0, 0, 0]]);
+    chunks.push(createChunk('iTXt', concatBytes([header, compressed || raw])));
+  }
+
+  return new Blob([bytes.subarray(0, iendOffset), ...chunks, bytes.subarray(iendOffset)], {
+    type: 'image/png'
+  });
+}
+
+/**
+ * Replace any pHYs chunk with one for the given DPI (must precede IDAT)
+ * @param {Uint8Array} bytes - PNG file
+ * @param {number} dpi
+ * @returns {Uint8Array}
+ */
+function setResolution(bytes, dpi) {
+  const existing = findChunk(bytes, 'pHYs');
+  if (existing !== -1) {
+    const length = new DataView(bytes.buffer, bytes.byteOffset).getUint32(existing);
+    bytes = concatBytes([bytes.subarray(0, existing), bytes.subarray(existing + 12 + length)]);
+  }
+
+  const ihdrOffset = findChunk(bytes, 'IHDR');
+  const ihdrEnd = ihdrOffset + 12 + new DataView(bytes.buffer, bytes.byteOffset).getUint32(ihdrOffset);
+
+  // Pixels per meter on both axes, unit 1 = meter
+  const pixelsPerMeter = Math.round(dpi / METERS_PER_INCH);
+  const data = new Uint8Array(9);
+  const view = new DataView(data.buffer);
+  view.setUint32(0, pixelsPerMeter);
+  view.setUint32(4, pixelsPerMeter);
+  data[8] = 1;
+
+  return concatBytes([bytes.subarray(0, ihdrEnd), createChunk('pHYs', data), bytes.subarray(ihdrEnd)]);
+}
+
+/**
+ * Find the byte offset of the first chunk of a type
+ * @param {Uint8Array} bytes
+ * @param {string} type
+ * @returns {number} Offset, or -1 if missing
+ */
+function findChunk(bytes, type) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = PNG_SIGNATURE.length;
+
+  while (offset + 8 <= bytes.length) {
+    const length = view.getUint32(offset);
+    const chunkType = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    if (chunkType === type) {
+      return offset;
+    }
+    offset += 12 + length;
+  }
+
+  return -1;
+}
+
+/**
+ * Build a chunk: length, type, data, CRC over type and data
+ * @param {string} type
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+function createChunk(type, data) {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) {
+    chunk[4 + i] = type.charCodeAt(i);
+  }
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk, 4, 8 + data.length));
+
+  return chunk;
+}
+
+/**
+ * zlib-compress bytes when CompressionStream is available
+ * @param {Uint8Array} data
+ * @returns {Promise<Uint8Array|null>} Null if compression is unsupported
+ */
+async function deflate(data) {
+  if (typeof CompressionStream === 'undefined') {
+    return null;
+  }
+
+  try {
+    const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Encode a chunk keyword (Latin-1, at most 79 bytes)
+ * @param {string} keyword
+ * @returns {Uint8Array}
+ */
+function encodeKeyword(keyword) {
+  return encodeLatin1(keyword).subarray(0, MAX_KEYWORD_LENGTH);
+}
+
+/**
+ * Encode a string as Latin-1, dropping unsupported characters
+ * @param {string} value
+ * @returns {Uint8Array}
+ */
+function encodeLatin1(value) {
+  const bytes = [];
+  for (let i = 0; i < value.length; i++) {
+    const code = value.charCodeAt(i);
+    if (code > 0 && code <= 0xff) {
+      bytes.push(code);
+    }
+  }
+  return Uint8Array.from(bytes);
+}
+
+/**
+ * Concatenate byte arrays
+ * @param {Array<Uint8Array|Array<number>>} parts
+ * @returns {Uint8Array}
+ */
+function concatBytes(parts) {
+  const total = parts.reduce((sum, part) => sum + part.length, 0);
+  const result = new Uint8Array(total);
+  let offset = 0;
+  parts.forEach(part => {
+    result.set(part, offset);
+    offset += part.length;
+  });
+  return result;
+}
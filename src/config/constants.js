@@ -3,6 +3,12 @@
  * All magic numbers and configuration values centralized here
  */
 
+// Application Info (keep in sync with package.json)
+export const APP = {
+  NAME: 'Face Filter Camera',
+  VERSION: '2.0.0'
+};
+
 // Performance Configuration
 export const PERFORMANCE = {
   HIGH: {
@@ -13,7 +19,8 @@ export const PERFORMANCE = {
     animationSpeed: 1.0,
     cleanupInterval: 60,
     targetFPS: 30,
-    detectionConfidence: 0.5
+    detectionConfidence: 0.5,
+    refineLandmarks: true      // Iris points (468-477) for real eye centers
   },
   MEDIUM: {
     maxFaces: 3,
@@ -23,7 +30,8 @@ export const PERFORMANCE = {
     animationSpeed: 0.8,
     cleanupInterval: 40,
     targetFPS: 24,
-    detectionConfidence: 0.6
+    detectionConfidence: 0.6,
+    refineLandmarks: true
   },
   LOW: {
     maxFaces: 1,
@@ -33,7 +41,8 @@ export const PERFORMANCE = {
     animationSpeed: 0.6,
     cleanupInterval: 20,
     targetFPS: 20,
-    detectionConfidence: 0.7
+    detectionConfidence: 0.7,
+    refineLandmarks: false
   }
 };
 
@@ -62,6 +71,19 @@ export const CAMERA_CONFIG = {
   DEFAULT_TIMEOUT_MS: 10000,
   RETRY_ATTEMPTS: 3,
   RETRY_DELAY_MS: 500,
+  DEVICE_STORAGE_KEY: 'faceFilterCameraDevice',
+  MUTE_GRACE_MS: 3000,    // A muted track counts as lost after this long
+  DOWNGRADE_SCALES: [1, 0.75, 0.5], // Capture size by levels below the detected one
+  MIN_WIDTH: 240,
+  MIN_HEIGHT: 180,
+  STATES: {
+    IDLE: 'idle',
+    REQUESTING: 'requesting',
+    LIVE: 'live',
+    SUSPENDED: 'suspended', // Released while the page is hidden
+    LOST: 'lost',           // Track ended or stalled (unplugged, taken by another app)
+    DENIED: 'denied'        // Permission refused or revoked
+  },
   DEFAULT_CONSTRAINTS: {
     video: {
       facingMode: 'user',
@@ -101,7 +123,8 @@ export const ANIMATION = {
   FLOAT_SPEED: 2,
   SCALE_SPEED: 3,
   PARTICLE_BURST_DISTANCE: 30,
-  PARTICLE_BURST_AMPLITUDE: 20
+  PARTICLE_BURST_AMPLITUDE: 20,
+  FACE_PHASE_OFFSET: 0.37   // Seconds of animation offset per face ID, so faces don't move in lockstep
 };
 
 // Face Morph Configuration
@@ -177,16 +200,151 @@ export const LANDMARKS = {
   MOUTH_TOP_CENTER: 13,
   MOUTH_BOTTOM_CENTER: 17,
   UPPER_LIP_TOP: 12,
-  LOWER_LIP_BOTTOM: 15
+  LOWER_LIP_BOTTOM: 15,
+  LEFT_BROW: 105,
+  RIGHT_BROW: 334
+};
+
+// Face Detectors
+export const DETECTOR = {
+  TYPES: {
+    MEDIAPIPE: 'mediapipe',
+    BLAZEFACE: 'blazeface',
+    MOCK: 'mock'
+  },
+  LABELS: {
+    mediapipe: 'Full mesh (accurate)',
+    blazeface: 'Keypoints (fast)',
+    mock: 'Mock (testing)'
+  },
+  DEFAULT_TYPE: 'mediapipe',
+  STORAGE_KEY: 'faceFilterDetector',
+  QUERY_PARAM: 'detector',  // ?detector=mock runs without model files
+  MESH_POINTS: 468,
+  REFINED_MESH_POINTS: 478, // Mesh plus five iris points per eye
+  BLAZEFACE_SCORE_THRESHOLD: 0.75,
+  MOCK_FRAME_RATE: 30,      // Script frames per second of the default mock motion
+  MOCK_FACE_SIZE: 0.3       // Default mock face width relative to the frame
+};
+
+// TensorFlow.js backends, benchmarked on first load and cached per device and detector
+export const BACKEND = {
+  AUTO: 'auto',
+  CANDIDATES: ['webgpu', 'webgl', 'wasm', 'cpu'], // Benchmarked in this order
+  DEFAULT_ORDER: ['webgl', 'wasm', 'cpu'],        // Tried in order when there is no benchmark yet
+  LABELS: {
+    auto: 'Auto (fastest)',
+    webgpu: 'WebGPU',
+    webgl: 'WebGL',
+    wasm: 'WebAssembly',
+    cpu: 'CPU'
+  },
+  STORAGE_KEY: 'faceFilterBackend',           // User override
+  CACHE_KEY: 'faceFilterBackendBenchmark',    // Benchmark results
+  QUERY_PARAM: 'backend',                     // ?backend=wasm overrides the saved choice
+  BENCHMARK_RUNS: 3,          // Timed detections per backend, after one warm-up
+  BENCHMARK_MAX_MS: 2000,     // A warm-up slower than this rules the backend out without timed runs
+  BENCHMARK_FRAME_WIDTH: 640,
+  BENCHMARK_FRAME_HEIGHT: 480
+};
+
+// Self-hosted libraries and model weights (fetched by `npm run fetch-assets`)
+// Local copies under BASE_PATH win; the hosted URLs are the fallback
+export const ASSETS = {
+  BASE_PATH: 'vendor/',
+  MANIFEST_FILE: 'manifest.json',
+  LIBRARIES: {
+    TFJS: {
+      file: 'tf.min.js',
+      url: 'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.22.0/dist/tf.min.js'
+    },
+    FACE_LANDMARKS: {
+      file: 'face-landmarks-detection.min.js',
+      url: 'https://cdn.jsdelivr.net/npm/@tensorflow-models/face-landmarks-detection@1.0.2/dist/face-landmarks-detection.min.js'
+    },
+    BLAZEFACE: {
+      file: 'blazeface.min.js',
+      url: 'https://cdn.jsdelivr.net/npm/@tensorflow-models/blazeface@0.1.0/dist/blazeface.min.js'
+    },
+    // Optional backends, loaded only when tried
+    TFJS_WASM: {
+      file: 'tf-backend-wasm.min.js',
+      url: 'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs-backend-wasm@4.22.0/dist/tf-backend-wasm.min.js'
+    },
+    TFJS_WEBGPU: {
+      file: 'tf-backend-webgpu.min.js',
+      url: 'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs-backend-webgpu@4.22.0/dist/tf-backend-webgpu.min.js'
+    }
+  },
+  // WebAssembly binaries of the wasm backend; it picks the SIMD/threaded build the browser supports
+  WASM: {
+    dir: 'wasm/',
+    files: ['tfjs-backend-wasm.wasm', 'tfjs-backend-wasm-simd.wasm', 'tfjs-backend-wasm-threaded-simd.wasm'],
+    url: 'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs-backend-wasm@4.22.0/dist/'
+  },
+  // TF Hub models; local copies live in <dir>/model.json with their weight shards
+  MODELS: {
+    FACE_DETECTOR: {
+      dir: 'models/face_detection_short',
+      url: 'https://tfhub.dev/mediapipe/tfjs-model/face_detection/short/1'
+    },
+    FACE_MESH: {
+      dir: 'models/face_mesh',
+      url: 'https://tfhub.dev/mediapipe/tfjs-model/face_landmarks_detection/face_mesh/1'
+    },
+    // Face mesh with refined iris landmarks (refineLandmarks)
+    ATTENTION_MESH: {
+      dir: 'models/attention_mesh',
+      url: 'https://tfhub.dev/mediapipe/tfjs-model/face_landmarks_detection/attention_mesh/1'
+    },
+    BLAZEFACE: {
+      dir: 'models/blazeface',
+      url: 'https://tfhub.dev/tensorflow/tfjs-model/blazeface/1/default/1'
+    }
+  }
+};
+
+// Offline support (service worker is generated by the production build)
+export const OFFLINE = {
+  SERVICE_WORKER_URL: 'sw.js',
+  CACHE_PREFIX: 'face-filter-'
 };
 
 // Face Tracking
 export const TRACKING = {
   MOVEMENT_THRESHOLD: 10,
   STABLE_FRAMES_THRESHOLD: 3,
-  INTERPOLATION_FACTOR: 0.3,
   MAX_SKIP_INTERVAL: 5,
-  MIN_SKIP_INTERVAL: 1
+  MIN_SKIP_INTERVAL: 1,
+  FACE_GRACE_MS: 500,       // A lost face keeps its ID this long in case it is re-detected
+  MATCH_MIN_SCORE: 0.3,     // Minimum similarity (0-1) to continue a face's track
+  MATCH_IOU_WEIGHT: 0.5,    // Share of box overlap vs landmark distance in the similarity
+  // One Euro landmark smoothing; speeds are in face widths per second
+  SMOOTHING_MIN_CUTOFF: 1.0,      // Hz at rest; lower removes more jitter
+  SMOOTHING_BETA: 1.5,            // Cutoff added per unit of speed; higher lags less when moving fast
+  SMOOTHING_DERIVATE_CUTOFF: 1.0, // Hz; smoothing of the speed estimate
+  SMOOTHING_RESET_MS: 500,        // Start fresh after a gap this long
+  EXTRAPOLATION_MAX_MS: 100,      // Furthest landmarks are predicted past the last detection
+  // Region of interest: while faces move less than MOVEMENT_THRESHOLD px per detection,
+  // only a padded box around them is searched
+  ROI_PADDING: 0.6,               // Face sizes added on each side of the face box
+  ROI_MARGIN: 0.1,                // Share of the region kept clear at its edges before it re-centers
+  ROI_MAX_AREA: 0.5,              // Share of the frame above which a region saves too little
+  ROI_FULL_SCAN_INTERVAL: 15      // Region detections between full-frame scans for new faces
+};
+
+// Facial Expressions
+// Each ratio is compared to the person's calibrated neutral face; `range` is the
+// relative change that counts as a full expression, `on`/`off` the hysteresis (0-1)
+export const EXPRESSIONS = {
+  CALIBRATION_FRAMES: 30,     // Detections averaged into a new face's neutral ratios
+  BASELINE_ADAPT_RATE: 0.01,  // How fast the neutral face follows slow drift while relaxed
+  TRIGGER_DURATION: 1.0,      // Seconds a part with a `trigger` plays after the expression starts
+  BIND_SCALE: 1.0,            // Extra size of a part with a `bind` at full expression
+  MOUTH_OPEN: { range: 2.0, on: 0.5, off: 0.3 },   // Lip gap / mouth width rises
+  BLINK: { range: 0.6, on: 0.6, off: 0.4 },        // Eye height / eye width drops
+  SMILE: { range: 0.25, on: 0.5, off: 0.3 },       // Mouth width / eye distance rises
+  BROW_RAISE: { range: 0.3, on: 0.5, off: 0.3 }    // Brow-to-eye gap / eye distance rises
 };
 
 // Performance Detection
@@ -198,7 +356,9 @@ export const PERFORMANCE_DETECTION = {
   MEDIUM_THRESHOLD_MOBILE: 40,
   MEDIUM_THRESHOLD_DESKTOP: 30,
   CACHE_DURATION_MS: 24 * 60 * 60 * 1000, // 24 hours
-  CACHE_KEY: 'faceFilterPerformance'
+  CACHE_KEY: 'faceFilterPerformance',
+  UPGRADE_CHECKS: 5,   // Detection rate checks with headroom before raising the level
+  DETECTION_WINDOW: 30 // Detections averaged per detection rate check
 };
 
 // Math Lookup Tables
@@ -214,6 +374,151 @@ export const UI = {
   VIEWPORT_UPDATE_INTERVAL_MS: 100
 };
 
+// Input Sources
+export const INPUT = {
+  TYPES: {
+    CAMERA: 'camera',
+    VIDEO: 'video',
+    IMAGE: 'image',
+    STREAM: 'stream',
+    REPLAY: 'replay'
+  },
+  LOAD_TIMEOUT_MS: 10000,
+  IMAGE_FRAME_RATE: 15,   // Still images are replayed as a stream at this rate
+  MAX_IMAGE_SIZE: 1920    // Longest side of still images
+};
+
+// Photo Capture
+export const CAPTURE = {
+  MODES: {
+    FILTERED: 'filtered',
+    RAW: 'raw'
+  },
+  DEFAULT_MODE: 'filtered',
+  MODE_STORAGE_KEY: 'faceFilterCaptureMode',
+  IMAGE_TYPE: 'image/png',
+  FILENAME_PREFIX: 'face-filter',
+  SETTINGS_STORAGE_KEY: 'faceFilterPhotoSettings',
+  DEFAULT_FULL_RESOLUTION: true,  // Use ImageCapture stills when available
+  MAX_DETECTION_SIZE: 1920,       // Longest side fed to the model for stills
+  ASPECT_TOLERANCE: 0.01          // Reuse live landmarks only if the still has the preview's aspect
+};
+
+// Capture Metadata
+export const METADATA = {
+  MODES: {
+    EMBEDDED: 'embedded',
+    SIDECAR: 'sidecar',
+    OFF: 'off'
+  },
+  DEFAULT_MODE: 'embedded',
+  SCHEMA_VERSION: 1,
+  PNG_KEYWORD: 'FaceFilterMetadata',
+  LANDMARK_PRECISION: 2     // Decimal places kept for landmark coordinates
+};
+
+// Self-timer
+export const TIMER = {
+  OPTIONS_S: [0, 3, 5, 10],
+  DEFAULT_S: 0,
+  FONT_SIZE_RATIO: 0.35,    // Countdown digit height relative to canvas height
+  FONT_FAMILY: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+  COLOR: '#FFFFFF',
+  SHADOW_COLOR: 'rgba(0, 0, 0, 0.6)',
+  SHADOW_BLUR: 20,
+  PULSE_SCALE: 0.3          // Extra scale at the start of each second
+};
+
+// Burst Capture
+export const BURST = {
+  COUNTS: [1, 3, 4, 6, 9],  // 1 = burst off
+  DEFAULT_COUNT: 1,
+  INTERVALS_MS: [250, 500, 1000],
+  DEFAULT_INTERVAL_MS: 500
+};
+
+// Video Recording
+export const RECORDING = {
+  MAX_DURATION_MS: 15000,
+  FRAME_RATE: 30,
+  VIDEO_BITS_PER_SECOND: 2500000,
+  TIMESLICE_MS: 1000,
+  // Tried in order, first supported wins
+  MIME_TYPES: [
+    'video/webm;codecs=vp9',
+    'video/webm;codecs=vp8',
+    'video/webm',
+    'video/mp4;codecs=avc1',
+    'video/mp4'
+  ],
+  PROGRESS_RING_RADIUS: 16
+};
+
+// GIF Export
+export const GIF = {
+  DURATION_MS: 3000,
+  FRAME_RATES: [8, 12, 15],
+  DEFAULT_FRAME_RATE: 12,
+  SIZES: {
+    SMALL: 240,
+    MEDIUM: 320,
+    LARGE: 480
+  },
+  DEFAULT_SIZE: 'MEDIUM',
+  DEFAULT_BOOMERANG: false,
+  MAX_COLORS: 256,
+  PALETTE_SAMPLE_LIMIT: 60000,
+  DITHER: true,
+  SETTINGS_STORAGE_KEY: 'faceFilterGifSettings'
+};
+
+// Gallery (IndexedDB)
+export const GALLERY = {
+  DB_NAME: 'faceFilterGallery',
+  DB_VERSION: 1,
+  ITEMS_STORE: 'items',
+  BLOBS_STORE: 'blobs',
+  THUMBNAIL_SIZE: 240,
+  THUMBNAIL_TYPE: 'image/jpeg',
+  THUMBNAIL_QUALITY: 0.8,
+  QUOTA_WARNING_RATIO: 0.8,
+  ZIP_FILENAME_PREFIX: 'face-filter-gallery',
+  DEFAULT_AUTO_DOWNLOAD: true
+};
+
+// Photo-booth Layouts (sizes in inches, rendered at DPI)
+export const LAYOUT = {
+  DPI: 300,
+  TEMPLATES: {
+    STRIP: { label: '2x6 strip', widthIn: 2, heightIn: 6, columns: 1, rows: 4, footerIn: 0.9 },
+    GRID: { label: '2x2 grid', widthIn: 4, heightIn: 4, columns: 2, rows: 2, footerIn: 0.6 },
+    POSTCARD: { label: '4x6 postcard', widthIn: 6, heightIn: 4, columns: 2, rows: 2, footerIn: 0.6 }
+  },
+  DEFAULT_TEMPLATE: 'off',
+  BORDERS_IN: { None: 0, Thin: 0.05, Medium: 0.1, Thick: 0.2 },
+  DEFAULT_BORDER: 'Medium',
+  DEFAULT_BACKGROUND: '#ffffff',
+  CAPTION_MAX_LENGTH: 60,
+  CAPTION_FONT_FAMILY: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+  CAPTION_FONT_RATIO: 0.32,   // Of footer height
+  LOGO_HEIGHT_RATIO: 0.7,     // Of footer height
+  SHOT_DELAY_S: 3,            // Countdown between shots when the self-timer is off
+  SETTINGS_STORAGE_KEY: 'faceFilterLayoutSettings'
+};
+
+// Post-capture Editor
+export const EDITOR = {
+  TIME_RANGE_S: 10,       // Animation phases to scrub through
+  TIME_STEP_S: 0.05
+};
+
+// Landmark Recording & Replay
+export const REPLAY = {
+  FILE_EXTENSION: 'ffl',
+  MAX_RECORDING_S: 120,   // Recordings stop themselves after this long
+  TIME_STEP_MS: 1000 / 30 // Animation time advanced per replayed frame
+};
+
 // Filter Size Multipliers
 export const FILTER_SIZES = {
   BALL_SIZE: 0.08,          // 8% of face width
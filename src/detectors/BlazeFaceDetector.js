@@ -0,0 +1,106 @@
+/**
+ * BlazeFace Detector
+ * Lightweight six-keypoint detector. Keypoints are placed at their Face Mesh
+ * indices so filters that only need eyes, nose and forehead keep working.
+ */
+
+import { FaceDetector } from './FaceDetector.js';
+import { ASSETS, DETECTOR, LANDMARKS } from '../config/constants.js';
+import { loadLibrary, resolveModelUrl } from '../utils/assets.js';
+
+// BlazeFace keypoint order: right eye, left eye, nose, mouth, right ear, left ear
+// (subject's side, matching the Face Mesh eye indices)
+const KEYPOINT_INDICES = [LANDMARKS.LEFT_EYE, LANDMARKS.RIGHT_EYE, LANDMARKS.NOSE_TIP, LANDMARKS.MOUTH_TOP_CENTER];
+
+// Forehead sits above the eyes by about half the eye-to-mouth distance
+const FOREHEAD_RATIO = 0.5;
+
+export class BlazeFaceDetector extends FaceDetector {
+  constructor() {
+    super(DETECTOR.TYPES.BLAZEFACE);
+    this.model = null;
+  }
+
+  /**
+   * Load the BlazeFace script and model
+   * @param {object} options - { maxFaces, assetBase }
+   * @returns {Promise<void>}
+   */
+  async load({ maxFaces, assetBase }) {
+    const blazeface = await loadLibrary(ASSETS.LIBRARIES.BLAZEFACE, 'blazeface', assetBase);
+
+    this.model = await blazeface.load({
+      maxFaces,
+      scoreThreshold: DETECTOR.BLAZEFACE_SCORE_THRESHOLD,
+      modelUrl: await resolveModelUrl(ASSETS.MODELS.BLAZEFACE, assetBase)
+    });
+    this.maxFaces = maxFaces;
+  }
+
+  /**
+   * Detect faces and map keypoints onto a sparse mesh
+   * @param {HTMLVideoElement|HTMLCanvasElement|HTMLImageElement} input
+   * @returns {Promise<Array>}
+   */
+  async detect(input) {
+    const predictions = await this.model.estimateFaces(input, false);
+    return predictions.map(toFace);
+  }
+
+  /**
+   * Describe the keypoints placed on the mesh
+   * @returns {object}
+   */
+  getCapabilities() {
+    return {
+      landmarks: FaceDetector.getLandmarkKeys([...KEYPOINT_INDICES, LANDMARKS.FOREHEAD_CENTER]),
+      pointCount: KEYPOINT_INDICES.length + 1,
+      maxFaces: this.maxFaces,
+      usesTensorFlow: true,
+      regionOfInterest: true
+    };
+  }
+
+  /**
+   * Release the model
+   */
+  dispose() {
+    this.model = null;
+  }
+}
+
+/**
+ * Convert a BlazeFace prediction to the Face Mesh face shape
+ * @param {object} prediction - { topLeft, bottomRight, landmarks }
+ * @returns {object} { scaledMesh, boundingBox }
+ */
+function toFace(prediction) {
+  const scaledMesh = new Array(DETECTOR.MESH_POINTS);
+
+  KEYPOINT_INDICES.forEach((meshIndex, keypoint) => {
+    const [x, y] = prediction.landmarks[keypoint];
+    scaledMesh[meshIndex] = [x, y, 0];
+  });
+
+  const leftEye = scaledMesh[LANDMARKS.LEFT_EYE];
+  const rightEye = scaledMesh[LANDMARKS.RIGHT_EYE];
+  const mouth = scaledMesh[LANDMARKS.MOUTH_TOP_CENTER];
+  const eyeX = (leftEye[0] + rightEye[0]) / 2;
+  const eyeY = (leftEye[1] + rightEye[1]) / 2;
+
+  scaledMesh[LANDMARKS.FOREHEAD_CENTER] = [
+    eyeX + (eyeX - mouth[0]) * FOREHEAD_RATIO,
+    eyeY + (eyeY - mouth[1]) * FOREHEAD_RATIO,
+    0
+  ];
+
+  return {
+    scaledMesh,
+    boundingBox: {
+      topLeft: prediction.topLeft,
+      bottomRight: prediction.bottomRight
+    }
+  };
+}
+
+export default BlazeFaceDetector;
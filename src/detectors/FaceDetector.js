@@ -0,0 +1,71 @@
+/**
+ * Base Face Detector
+ * Common interface for face detection backends. Every detector returns faces
+ * as { scaledMesh, boundingBox } with points at MediaPipe Face Mesh indices,
+ * so filters work unchanged; sparse detectors leave unknown indices empty.
+ */
+
+import { LANDMARKS } from '../config/constants.js';
+
+export class FaceDetector {
+  constructor(type) {
+    this.type = type;
+    this.maxFaces = 1;
+  }
+
+  /**
+   * Load models and prepare for detection
+   * @param {object} options - { maxFaces, performanceLevel }
+   * @returns {Promise<void>}
+   */
+  async load(options) {
+    throw new Error('load() must be implemented by subclass');
+  }
+
+  /**
+   * Detect faces in a video frame or still image
+   * @param {HTMLVideoElement|HTMLCanvasElement|HTMLImageElement} input
+   * @returns {Promise<Array>} Faces as { scaledMesh, boundingBox }
+   */
+  async detect(input) {
+    throw new Error('detect() must be implemented by subclass');
+  }
+
+  /**
+   * Forget faces followed between calls, when the next input shows a different view
+   * (e.g. a crop instead of the full frame)
+   * @returns {Promise<void>}
+   */
+  async resetTracking() {
+    // Override in subclass if needed
+  }
+
+  /**
+   * Release models
+   */
+  dispose() {
+    // Override in subclass if needed
+  }
+
+  /**
+   * Describe what the detector provides
+   * @returns {object} { landmarks, pointCount, maxFaces, usesTensorFlow, regionOfInterest }
+   *   landmarks: LANDMARKS keys that detected faces contain
+   *   regionOfInterest: faces are found the same in a crop of the frame
+   */
+  getCapabilities() {
+    throw new Error('getCapabilities() must be implemented by subclass');
+  }
+
+  /**
+   * List the LANDMARKS keys covered by a set of mesh indices
+   * @param {Iterable<number>} indices
+   * @returns {Array<string>}
+   */
+  static getLandmarkKeys(indices) {
+    const provided = new Set(indices);
+    return Object.keys(LANDMARKS).filter(key => provided.has(LANDMARKS[key]));
+  }
+}
+
+export default FaceDetector;
@@ -0,0 +1,220 @@
+/**
+ * MediaPipe Face Mesh Detector
+ * Full 468-point mesh through the tfjs runtime, plus ten iris points
+ * (478 total) when refined landmarks are enabled
+ */
+
+import { FaceDetector } from './FaceDetector.js';
+import { ASSETS, DETECTOR, SAFARI_CONFIG, PERFORMANCE } from '../config/constants.js';
+import { browserDetector } from '../utils/browserDetection.js';
+import { resolveModelUrl } from '../utils/assets.js';
+
+export class MediaPipeDetector extends FaceDetector {
+  /**
+   * @param {object} faceLandmarksDetection - face-landmarks-detection global
+   */
+  constructor(faceLandmarksDetection) {
+    super(DETECTOR.TYPES.MEDIAPIPE);
+    this.faceLandmarksDetection = faceLandmarksDetection;
+    this.model = null;
+    this.pointCount = DETECTOR.MESH_POINTS;
+  }
+
+  /**
+   * Load the Face Mesh model
+   * @param {object} options - { maxFaces, performanceLevel, assetBase }
+   * @returns {Promise<void>}
+   */
+  async load({ maxFaces, performanceLevel, assetBase }) {
+    if (!this.faceLandmarksDetection) {
+      throw new Error('face-landmarks-detection is not loaded');
+    }
+
+    const refine = PERFORMANCE[performanceLevel.toUpperCase()].refineLandmarks;
+    let modelConfig = await this.buildModelConfig(maxFaces, performanceLevel, refine, assetBase);
+
+    try {
+      this.model = await this.loadModelWithRetry(modelConfig);
+    } catch (error) {
+      if (!refine) throw error;
+
+      // Iris model unavailable (e.g. not self-hosted while offline); the plain mesh still works
+      modelConfig = await this.buildModelConfig(maxFaces, performanceLevel, false, assetBase);
+      this.model = await this.loadModelWithRetry(modelConfig);
+    }
+
+    this.maxFaces = modelConfig.maxFaces;
+    this.pointCount = modelConfig.refineLandmarks ? DETECTOR.REFINED_MESH_POINTS : DETECTOR.MESH_POINTS;
+  }
+
+  /**
+   * Build model configuration
+   * @param {number} maxFaces
+   * @param {string} performanceLevel
+   * @param {boolean} refineLandmarks - Use the iris (attention mesh) model
+   * @param {string} assetBase - Self-hosted model directory
+   * @returns {Promise<object>}
+   */
+  async buildModelConfig(maxFaces, performanceLevel, refineLandmarks, assetBase) {
+    // Self-hosted copies when present, otherwise the library's hosted defaults
+    const [detectorModelUrl, landmarkModelUrl] = await Promise.all([
+      resolveModelUrl(ASSETS.MODELS.FACE_DETECTOR, assetBase),
+      resolveModelUrl(refineLandmarks ? ASSETS.MODELS.ATTENTION_MESH : ASSETS.MODELS.FACE_MESH, assetBase)
+    ]);
+
+    const config = {
+      maxFaces: maxFaces,
+      refineLandmarks,
+      detectionConfidence: browserDetector.isSafari
+        ? SAFARI_CONFIG.DETECTION_CONFIDENCE
+        : PERFORMANCE[performanceLevel.toUpperCase()].detectionConfidence,
+      maxContinuousChecks: browserDetector.isSafari
+        ? SAFARI_CONFIG.MAX_CONTINUOUS_CHECKS
+        : 5,
+      detectorModelUrl,
+      landmarkModelUrl
+    };
+
+    // Safari-specific optimizations
+    if (browserDetector.isSafari) {
+      config.scoreThreshold = SAFARI_CONFIG.SCORE_THRESHOLD;
+      config.iouThreshold = SAFARI_CONFIG.IOU_THRESHOLD;
+
+      if (browserDetector.isIOS) {
+        config.maxVideoSize = SAFARI_CONFIG.MAX_VIDEO_SIZE_IOS;
+      } else {
+        config.maxVideoSize = SAFARI_CONFIG.MAX_VIDEO_SIZE_DESKTOP;
+      }
+    }
+
+    return config;
+  }
+
+  /**
+   * Load model with retry logic
+   * @param {object} modelConfig
+   * @returns {Promise<object>}
+   */
+  async loadModelWithRetry(modelConfig) {
+    const maxAttempts = browserDetector.isSafari ? SAFARI_CONFIG.MODEL_LOAD_ATTEMPTS : 1;
+    let model = null;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      try {
+        // Progressive degradation for Safari
+        if (browserDetector.isSafari && attempt > 1) {
+          modelConfig.maxFaces = Math.max(1, Math.floor(modelConfig.maxFaces / 2));
+          modelConfig.detectionConfidence = Math.min(0.9, modelConfig.detectionConfidence + 0.1);
+        }
+
+        model = await this.faceLandmarksDetection.load(
+          this.faceLandmarksDetection.SupportedModels.MediaPipeFaceMesh,
+          modelConfig
+        );
+
+        if (model) {
+          break;
+        }
+      } catch (error) {
+
+        if (attempt >= maxAttempts) {
+          throw error;
+        }
+
+        // Wait before retry
+        await new Promise(resolve => setTimeout(resolve, SAFARI_CONFIG.RETRY_DELAY_MS));
+      }
+    }
+
+    if (!model) {
+      throw new Error('Failed to load model after multiple attempts');
+    }
+
+    return model;
+  }
+
+  /**
+   * Detect faces in a video frame or still image
+   * @param {HTMLVideoElement|HTMLCanvasElement|HTMLImageElement} input
+   * @returns {Promise<Array>}
+   */
+  async detect(input) {
+    // Safari-specific detection with retry
+    if (browserDetector.isSafari) {
+      return this.detectSafari(input);
+    }
+
+    return this.model.estimateFaces(input, false);
+  }
+
+  /**
+   * Detect faces on Safari with retry logic
+   * @param {HTMLVideoElement|HTMLCanvasElement|HTMLImageElement} input
+   * @returns {Promise<Array>}
+   */
+  async detectSafari(input) {
+    const maxAttempts = 3;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      try {
+        const faces = await this.model.estimateFaces(input, false);
+
+        // Validate face mesh integrity
+        if (faces && faces.length > 0) {
+          const validFaces = faces.filter(
+            face => face.scaledMesh && face.scaledMesh.length >= this.pointCount
+          );
+
+          if (validFaces.length > 0) {
+            return validFaces;
+          }
+        }
+
+        // If no valid faces and not last attempt, retry
+        if (attempt < maxAttempts) {
+          await new Promise(resolve => setTimeout(resolve, 10));
+        }
+      } catch (error) {
+        if (attempt >= maxAttempts) {
+          return [];
+        }
+      }
+    }
+
+    return [];
+  }
+
+  /**
+   * Make the next detection search the whole input instead of last frame's face boxes
+   * @returns {Promise<void>}
+   */
+  async resetTracking() {
+    this.model?.reset?.();
+  }
+
+  /**
+   * Describe the full mesh (with iris centers when refined)
+   * @returns {object}
+   */
+  getCapabilities() {
+    const indices = Array.from({ length: this.pointCount }, (_, index) => index);
+
+    return {
+      landmarks: FaceDetector.getLandmarkKeys(indices),
+      pointCount: this.pointCount,
+      maxFaces: this.maxFaces,
+      usesTensorFlow: true,
+      regionOfInterest: true
+    };
+  }
+
+  /**
+   * Release the model
+   */
+  dispose() {
+    // MediaPipe models don't have a dispose method, but we can null the reference
+    this.model = null;
+  }
+}
+
+export default MediaPipeDetector;
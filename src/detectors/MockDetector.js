@@ -0,0 +1,148 @@
+/**
+ * Mock Detector
+ * Scripted synthetic faces for tests and CI. Needs no model files and no
+ * TensorFlow backend.
+ */
+
+import { FaceDetector } from './FaceDetector.js';
+import { DETECTOR, LANDMARKS } from '../config/constants.js';
+
+// Named landmark positions within the face box (0-1, image orientation)
+const TEMPLATE = {
+  NOSE_TIP: [0.5, 0.55],
+  FOREHEAD_CENTER: [0.5, 0.2],
+  LEFT_EYE: [0.22, 0.38],
+  LEFT_EYE_INNER: [0.4, 0.38],
+  LEFT_EYE_TOP: [0.31, 0.35],
+  LEFT_EYE_BOTTOM: [0.31, 0.41],
+  LEFT_EYE_CENTER: [0.31, 0.38],
+  RIGHT_EYE: [0.78, 0.38],
+  RIGHT_EYE_INNER: [0.6, 0.38],
+  RIGHT_EYE_TOP: [0.69, 0.35],
+  RIGHT_EYE_BOTTOM: [0.69, 0.41],
+  RIGHT_EYE_CENTER: [0.69, 0.38],
+  LEFT_BROW: [0.31, 0.28],
+  RIGHT_BROW: [0.69, 0.28],
+  LEFT_CHEEK: [0.2, 0.55],
+  RIGHT_CHEEK: [0.8, 0.55],
+  FACE_LEFT: [0.12, 0.75],
+  FACE_RIGHT: [0.88, 0.75],
+  CHIN_TIP: [0.5, 0.97],
+  MOUTH_LEFT_CORNER: [0.35, 0.75],
+  MOUTH_RIGHT_CORNER: [0.65, 0.75],
+  UPPER_LIP_TOP: [0.5, 0.71],
+  MOUTH_TOP_CENTER: [0.5, 0.73],
+  LOWER_LIP_BOTTOM: [0.5, 0.78],
+  MOUTH_BOTTOM_CENTER: [0.5, 0.8]
+};
+
+// Face height relative to its width
+const FACE_ASPECT = 1.25;
+
+export class MockDetector extends FaceDetector {
+  /**
+   * @param {object} [options]
+   * @param {Array|Function} [options.script] - Face descriptors per call:
+   *   an array of frames (each an array of { x, y, size }) played in a loop,
+   *   or a function (frameIndex, { width, height }) returning one frame.
+   *   x and y are the face centre and size its width, all relative to the input.
+   */
+  constructor({ script = defaultScript } = {}) {
+    super(DETECTOR.TYPES.MOCK);
+    this.script = script;
+    this.frameIndex = 0;
+  }
+
+  /**
+   * Nothing to load
+   * @param {object} options - { maxFaces }
+   * @returns {Promise<void>}
+   */
+  async load({ maxFaces } = {}) {
+    this.maxFaces = maxFaces || 1;
+    this.frameIndex = 0;
+  }
+
+  /**
+   * Return the next scripted frame
+   * @param {HTMLVideoElement|HTMLCanvasElement|HTMLImageElement} input
+   * @returns {Promise<Array>}
+   */
+  async detect(input) {
+    const width = input.videoWidth || input.width;
+    const height = input.videoHeight || input.height;
+
+    const descriptors = typeof this.script === 'function'
+      ? this.script(this.frameIndex, { width, height })
+      : this.script[this.frameIndex % this.script.length];
+    this.frameIndex++;
+
+    return (descriptors || [])
+      .slice(0, this.maxFaces)
+      .map(descriptor => MockDetector.createFace(descriptor, width, height));
+  }
+
+  /**
+   * Mock faces carry every named landmark
+   * @returns {object}
+   */
+  getCapabilities() {
+    return {
+      landmarks: FaceDetector.getLandmarkKeys(Object.keys(TEMPLATE).map(key => LANDMARKS[key])),
+      pointCount: DETECTOR.REFINED_MESH_POINTS,
+      maxFaces: this.maxFaces,
+      usesTensorFlow: false,
+      // Scripted positions are relative to whatever frame it is given
+      regionOfInterest: false
+    };
+  }
+
+  /**
+   * Build a synthetic face mesh
+   * @param {object} descriptor - { x, y, size } relative to the frame
+   * @param {number} width - Frame width in pixels
+   * @param {number} height - Frame height in pixels
+   * @returns {object} { scaledMesh, boundingBox }
+   */
+  static createFace({ x, y, size }, width, height) {
+    const faceWidth = size * width;
+    const faceHeight = faceWidth * FACE_ASPECT;
+    const left = x * width - faceWidth / 2;
+    const top = y * height - faceHeight / 2;
+    const toPixels = ([u, v]) => [left + u * faceWidth, top + v * faceHeight, 0];
+
+    // Unnamed points trace the face outline
+    const scaledMesh = Array.from({ length: DETECTOR.REFINED_MESH_POINTS }, (_, index) => {
+      const angle = (index / DETECTOR.REFINED_MESH_POINTS) * Math.PI * 2;
+      return toPixels([0.5 + Math.cos(angle) * 0.45, 0.55 + Math.sin(angle) * 0.45]);
+    });
+
+    Object.entries(TEMPLATE).forEach(([key, point]) => {
+      scaledMesh[LANDMARKS[key]] = toPixels(point);
+    });
+
+    return {
+      scaledMesh,
+      boundingBox: {
+        topLeft: [left, top],
+        bottomRight: [left + faceWidth, top + faceHeight]
+      }
+    };
+  }
+}
+
+/**
+ * One face drifting slowly around the centre of the frame
+ * @param {number} frameIndex
+ * @returns {Array<object>}
+ */
+function defaultScript(frameIndex) {
+  const t = frameIndex / DETECTOR.MOCK_FRAME_RATE;
+  return [{
+    x: 0.5 + Math.sin(t) * 0.1,
+    y: 0.5 + Math.cos(t * 0.7) * 0.05,
+    size: DETECTOR.MOCK_FACE_SIZE
+  }];
+}
+
+export default MockDetector;
@@ -0,0 +1,144 @@
+/**
+ * Worker Detector
+ * Runs another detector in a dedicated worker so slow inference never blocks
+ * drawing. Frames are sent as transferred ImageBitmaps.
+ */
+
+import { FaceDetector } from './FaceDetector.js';
+import { resolveAsset } from '../utils/assets.js';
+
+export class WorkerDetector extends FaceDetector {
+  /**
+   * @param {string} type - One of DETECTOR.TYPES, created inside the worker
+   */
+  constructor(type) {
+    super(type);
+    this.worker = null;
+    this.capabilities = null;
+    this.backend = null;
+    this.timings = null;
+    this.requestId = 0;
+    // Request ID -> { resolve, reject }
+    this.pending = new Map();
+  }
+
+  /**
+   * Start the worker and load the detector in it
+   * @param {object} options - { maxFaces, performanceLevel, assetBase, backend }
+   * @returns {Promise<void>}
+   */
+  async load({ maxFaces, performanceLevel, assetBase, backend }) {
+    if (!this.worker) {
+      this.worker = new Worker(new URL('./detectionWorker.js', import.meta.url), { type: 'module' });
+      this.worker.addEventListener('message', event => this.handleMessage(event.data));
+      this.worker.addEventListener('error', event => {
+        event.preventDefault();
+        this.rejectAll(new Error(event.message || 'Detection worker failed'));
+      });
+    }
+
+    const result = await this.request({
+      type: 'load',
+      detector: this.type,
+      // The worker resolves paths against its own URL, so send an absolute base
+      options: { maxFaces, performanceLevel, backend, assetBase: resolveAsset('', assetBase) }
+    });
+    const { capabilities } = result;
+
+    this.capabilities = capabilities;
+    this.backend = result.backend;
+    this.timings = result.timings;
+    this.maxFaces = capabilities.maxFaces;
+  }
+
+  /**
+   * Detect faces in the worker
+   * @param {HTMLVideoElement|HTMLCanvasElement|HTMLImageElement} input
+   * @param {object} [region] - { x, y, width, height } to send instead of the whole input
+   * @returns {Promise<Array>} Faces in input pixel coordinates (region pixels when cropped)
+   */
+  async detect(input, region) {
+    const frame = region
+      ? await createImageBitmap(input, region.x, region.y, region.width, region.height)
+      : await createImageBitmap(input);
+    return this.request({ type: 'detect', frame }, [frame]);
+  }
+
+  /**
+   * Forget faces the worker's detector followed between frames
+   * @returns {Promise<void>}
+   */
+  resetTracking() {
+    return this.request({ type: 'reset' });
+  }
+
+  /**
+   * Describe the detector running in the worker
+   * @returns {object}
+   */
+  getCapabilities() {
+    return {
+      landmarks: [],
+      pointCount: 0,
+      ...this.capabilities,
+      // TensorFlow runs in the worker, not on this thread
+      usesTensorFlow: false
+    };
+  }
+
+  /**
+   * Send a message and wait for the worker's reply
+   * @param {object} message
+   * @param {Array<Transferable>} [transfer]
+   * @returns {Promise<*>}
+   */
+  request(message, transfer = []) {
+    if (!this.worker) {
+      return Promise.reject(new Error('Detection worker is not running'));
+    }
+
+    const id = ++this.requestId;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject });
+      this.worker.postMessage({ ...message, id }, transfer);
+    });
+  }
+
+  /**
+   * Settle the request a worker reply belongs to
+   * @param {object} data - { id, result } or { id, error }
+   */
+  handleMessage({ id, result, error }) {
+    const request = this.pending.get(id);
+    if (!request) return;
+
+    this.pending.delete(id);
+    if (error) {
+      request.reject(new Error(error));
+    } else {
+      request.resolve(result);
+    }
+  }
+
+  /**
+   * Fail every outstanding request
+   * @param {Error} error
+   */
+  rejectAll(error) {
+    this.pending.forEach(request => request.reject(error));
+    this.pending.clear();
+  }
+
+  /**
+   * Stop the worker and its detector
+   */
+  dispose() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.rejectAll(new Error('Detection worker stopped'));
+  }
+}
+
+export default WorkerDetector;
@@ -0,0 +1,101 @@
+/**
+ * Benchmark Frame
+ * A face drawn on the fly for backend benchmarks, so they need neither the
+ * camera nor an extra download. Works in the detection worker too.
+ */
+
+import { BACKEND } from '../config/constants.js';
+
+/**
+ * Draw the benchmark frame
+ * @param {number} [width]
+ * @param {number} [height]
+ * @returns {ImageData}
+ */
+export function createBenchmarkFrame(width = BACKEND.BENCHMARK_FRAME_WIDTH, height = BACKEND.BENCHMARK_FRAME_HEIGHT) {
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  const cx = width / 2;
+  const cy = height / 2;
+  const r = height * 0.3;
+
+  // Background and shoulders
+  ctx.fillStyle = '#6b7b8c';
+  ctx.fillRect(0, 0, width, height);
+  ctx.fillStyle = '#2f3b4a';
+  ctx.beginPath();
+  ctx.ellipse(cx, height, r * 1.8, r * 0.9, 0, 0, Math.PI * 2);
+  ctx.fill();
+
+  // Head, shaded so the detector sees some depth
+  const skin = ctx.createRadialGradient(cx - r * 0.2, cy - r * 0.3, r * 0.2, cx, cy, r * 1.3);
+  skin.addColorStop(0, '#f1c7a5');
+  skin.addColorStop(1, '#b9835f');
+  ctx.fillStyle = skin;
+  ctx.beginPath();
+  ctx.ellipse(cx, cy, r * 0.78, r, 0, 0, Math.PI * 2);
+  ctx.fill();
+
+  // Hair
+  ctx.fillStyle = '#3b2a20';
+  ctx.beginPath();
+  ctx.ellipse(cx, cy - r * 0.7, r * 0.8, r * 0.4, 0, Math.PI, Math.PI * 2);
+  ctx.fill();
+
+  [-1, 1].forEach(side => {
+    const ex = cx + side * r * 0.33;
+    const ey = cy - r * 0.15;
+
+    // Brow
+    ctx.strokeStyle = '#3b2a20';
+    ctx.lineWidth = r * 0.06;
+    ctx.beginPath();
+    ctx.moveTo(ex - r * 0.17, ey - r * 0.17);
+    ctx.quadraticCurveTo(ex, ey - r * 0.25, ex + r * 0.17, ey - r * 0.17);
+    ctx.stroke();
+
+    // Eye
+    ctx.fillStyle = '#ffffff';
+    ctx.beginPath();
+    ctx.ellipse(ex, ey, r * 0.15, r * 0.07, 0, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = '#2b1d14';
+    ctx.beginPath();
+    ctx.arc(ex, ey, r * 0.06, 0, Math.PI * 2);
+    ctx.fill();
+  });
+
+  // Nose
+  ctx.strokeStyle = '#9a6a4c';
+  ctx.lineWidth = r * 0.04;
+  ctx.beginPath();
+  ctx.moveTo(cx, cy - r * 0.05);
+  ctx.lineTo(cx - r * 0.08, cy + r * 0.25);
+  ctx.lineTo(cx + r * 0.06, cy + r * 0.28);
+  ctx.stroke();
+
+  // Mouth
+  ctx.fillStyle = '#a4424a';
+  ctx.beginPath();
+  ctx.ellipse(cx, cy + r * 0.52, r * 0.26, r * 0.07, 0, 0, Math.PI * 2);
+  ctx.fill();
+
+  return ctx.getImageData(0, 0, width, height);
+}
+
+/**
+ * Create a canvas on the main thread or in a worker
+ * @param {number} width
+ * @param {number} height
+ * @returns {OffscreenCanvas|HTMLCanvasElement}
+ */
+function createCanvas(width, height) {
+  if (typeof OffscreenCanvas !== 'undefined') {
+    return new OffscreenCanvas(width, height);
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
@@ -0,0 +1,28 @@
+/**
+ * Detector Factory
+ * Builds a face detector by type. Shared by the main thread and the detection worker.
+ */
+
+import { DETECTOR } from '../config/constants.js';
+import { MediaPipeDetector } from './MediaPipeDetector.js';
+import { BlazeFaceDetector } from './BlazeFaceDetector.js';
+import { MockDetector } from './MockDetector.js';
+
+/**
+ * Create a detector for a type
+ * @param {string} type - One of DETECTOR.TYPES
+ * @param {object} faceLandmarksDetection - face-landmarks-detection global (MediaPipe only)
+ * @returns {FaceDetector}
+ */
+export function createDetector(type, faceLandmarksDetection) {
+  switch (type) {
+    case DETECTOR.TYPES.MEDIAPIPE:
+      return new MediaPipeDetector(faceLandmarksDetection);
+    case DETECTOR.TYPES.BLAZEFACE:
+      return new BlazeFaceDetector();
+    case DETECTOR.TYPES.MOCK:
+      return new MockDetector();
+    default:
+      throw new Error(`Unknown face detector: ${type}`);
+  }
+}
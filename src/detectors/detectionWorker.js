@@ -0,0 +1,104 @@
+/**
+ * Detection Worker
+ * Hosts a face detector off the main thread. Messages carry an `id` that the
+ * reply echoes: { type: 'load', detector, options } answers with
+ * { capabilities, backend, timings }; { type: 'detect', frame: ImageBitmap }
+ * answers with the faces; { type: 'reset' } forgets faces tracked between frames.
+ */
+
+import { ASSETS, DETECTOR } from '../config/constants.js';
+import { loadLibrary } from '../utils/assets.js';
+import { createDetector } from './createDetector.js';
+import { loadOnBestBackend } from './tfBackend.js';
+
+let detector = null;
+let backend = null;
+let timings = null;
+let canvas = null;
+let ctx = null;
+
+// Handle one message at a time so loads and detections never overlap
+let queue = Promise.resolve();
+
+self.addEventListener('message', ({ data }) => {
+  queue = queue.then(() => handleMessage(data));
+});
+
+/**
+ * Run a request and post its result
+ * @param {object} data
+ * @returns {Promise<void>}
+ */
+async function handleMessage(data) {
+  try {
+    let result;
+    switch (data.type) {
+      case 'load':
+        result = await load(data.detector, data.options);
+        break;
+      case 'detect':
+        result = await detect(data.frame);
+        break;
+      case 'reset':
+        await detector?.resetTracking();
+        break;
+      default:
+        throw new Error(`Unknown request: ${data.type}`);
+    }
+    self.postMessage({ id: data.id, result });
+  } catch (error) {
+    self.postMessage({ id: data.id, error: error.message || String(error) });
+  } finally {
+    data.frame?.close();
+  }
+}
+
+/**
+ * Load libraries, the TensorFlow backend and the detector
+ * @param {string} type - One of DETECTOR.TYPES
+ * @param {object} options - { maxFaces, performanceLevel, assetBase, backend }
+ * @returns {Promise<object>} { capabilities, backend, timings }
+ */
+async function load(type, options) {
+  let tf = null;
+  let faceLandmarksDetection = null;
+
+  // Only the mock detector runs without TensorFlow
+  if (type !== DETECTOR.TYPES.MOCK) {
+    tf = await loadLibrary(ASSETS.LIBRARIES.TFJS, 'tf', options.assetBase);
+    faceLandmarksDetection = await loadLibrary(ASSETS.LIBRARIES.FACE_LANDMARKS, 'faceLandmarksDetection', options.assetBase);
+  }
+
+  const next = createDetector(type, faceLandmarksDetection);
+  if (next.getCapabilities().usesTensorFlow) {
+    ({ backend, timings } = await loadOnBestBackend(tf, next, options));
+  } else {
+    await next.load(options);
+    timings = null;
+  }
+
+  detector?.dispose();
+  detector = next;
+
+  return { capabilities: detector.getCapabilities(), backend, timings };
+}
+
+/**
+ * Detect faces in a transferred frame
+ * @param {ImageBitmap} frame
+ * @returns {Promise<Array>}
+ */
+async function detect(frame) {
+  if (!detector) {
+    throw new Error('No face detector loaded');
+  }
+
+  // Detectors take pixel data; ImageBitmap support varies by model version
+  if (!canvas || canvas.width !== frame.width || canvas.height !== frame.height) {
+    canvas = new OffscreenCanvas(frame.width, frame.height);
+    ctx = canvas.getContext('2d', { willReadFrequently: true });
+  }
+  ctx.drawImage(frame, 0, 0);
+
+  return detector.detect(ctx.getImageData(0, 0, frame.width, frame.height));
+}
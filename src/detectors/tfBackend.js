@@ -0,0 +1,159 @@
+/**
+ * TensorFlow.js Backend Setup
+ * Initializes the webgpu, webgl, wasm or cpu backend, and benchmarks them to find
+ * the fastest on this device. Shared by the main thread and the detection worker.
+ */
+
+import { ASSETS, BACKEND } from '../config/constants.js';
+import { browserDetector } from '../utils/browserDetection.js';
+import { loadLibrary, resolveWasmPath } from '../utils/assets.js';
+import { createBenchmarkFrame } from './benchmarkFrame.js';
+
+// setWasmPaths only takes effect before the wasm backend first initializes
+let wasmPathsSet = false;
+
+/**
+ * Switch to a backend, loading its library first if tf.min.js does not include it
+ * @param {object} tf - TensorFlow.js
+ * @param {string} name - One of BACKEND.CANDIDATES
+ * @param {string} [assetBase]
+ * @returns {Promise<boolean>} False if the backend cannot run here
+ */
+export async function trySetBackend(tf, name, assetBase) {
+  try {
+    if (name === 'webgpu') {
+      if (!globalThis.navigator?.gpu) return false;
+      await loadLibrary(ASSETS.LIBRARIES.TFJS_WEBGPU, 'tf.webgpu', assetBase);
+    } else if (name === 'wasm') {
+      const wasm = await loadLibrary(ASSETS.LIBRARIES.TFJS_WASM, 'tf.wasm', assetBase);
+      if (!wasmPathsSet) {
+        wasm.setWasmPaths(await resolveWasmPath(assetBase));
+        wasmPathsSet = true;
+      }
+    } else if (name === 'webgl' && browserDetector.isSafari && !isSafariWebglUsable(tf)) {
+      return false;
+    }
+
+    if (!await tf.setBackend(name)) return false;
+    await tf.ready();
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check Safari's WebGL for the float textures the models need
+ * @param {object} tf - TensorFlow.js
+ * @returns {boolean}
+ */
+function isSafariWebglUsable(tf) {
+  return tf.ENV.getBool('WEBGL_RENDER_FLOAT32_CAPABLE') &&
+    tf.ENV.getBool('WEBGL_VERSION') >= 1;
+}
+
+/**
+ * Set up the first backend that works, in BACKEND.DEFAULT_ORDER
+ * @param {object} tf - TensorFlow.js
+ * @param {string} [assetBase]
+ * @returns {Promise<string>} Backend name
+ */
+export async function setupBackend(tf, assetBase) {
+  for (const name of BACKEND.DEFAULT_ORDER) {
+    if (await trySetBackend(tf, name, assetBase)) {
+      return name;
+    }
+  }
+  throw new Error('No TensorFlow.js backend is available');
+}
+
+/**
+ * Time a loaded detector on the benchmark frame under every candidate backend
+ * Leaves the last candidate active; callers switch to the one they pick.
+ * @param {object} tf - TensorFlow.js
+ * @param {FaceDetector} detector - Loaded detector
+ * @param {string} [assetBase]
+ * @returns {Promise<object>} Backend name -> mean detection ms, or null if unavailable
+ */
+export async function benchmarkBackends(tf, detector, assetBase) {
+  const frame = createBenchmarkFrame();
+  const timings = {};
+
+  for (const name of BACKEND.CANDIDATES) {
+    timings[name] = await trySetBackend(tf, name, assetBase)
+      ? await timeDetection(detector, frame)
+      : null;
+  }
+
+  return timings;
+}
+
+/**
+ * Time detections on a frame after one warm-up (shader compilation, weight upload)
+ * @param {FaceDetector} detector
+ * @param {ImageData} frame
+ * @returns {Promise<number|null>} Mean ms, or null if detection failed
+ */
+async function timeDetection(detector, frame) {
+  try {
+    let start = performance.now();
+    await detector.detect(frame);
+    const warmup = performance.now() - start;
+    if (warmup > BACKEND.BENCHMARK_MAX_MS) {
+      return warmup;
+    }
+
+    start = performance.now();
+    for (let i = 0; i < BACKEND.BENCHMARK_RUNS; i++) {
+      await detector.detect(frame);
+    }
+    return (performance.now() - start) / BACKEND.BENCHMARK_RUNS;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Pick the fastest backend from benchmark timings
+ * @param {object} timings - From benchmarkBackends
+ * @returns {string|null}
+ */
+export function getFastestBackend(timings) {
+  let fastest = null;
+  Object.entries(timings || {}).forEach(([name, ms]) => {
+    if (ms !== null && (fastest === null || ms < timings[fastest])) {
+      fastest = name;
+    }
+  });
+  return fastest;
+}
+
+/**
+ * Load a TensorFlow detector on the requested backend, or benchmark to find the fastest
+ * @param {object} tf - TensorFlow.js
+ * @param {FaceDetector} detector - Not yet loaded
+ * @param {object} options - Detector load options plus { backend, assetBase };
+ *   backend is the override or cached pick (null benchmarks every candidate)
+ * @returns {Promise<object>} { backend, timings }; timings is null when no benchmark ran
+ */
+export async function loadOnBestBackend(tf, detector, options) {
+  const { backend: requested, assetBase } = options;
+
+  if (requested && await trySetBackend(tf, requested, assetBase)) {
+    await detector.load(options);
+    return { backend: requested, timings: null };
+  }
+
+  // Load on a safe default first; models move their weights when the backend changes
+  const fallback = await setupBackend(tf, assetBase);
+  await detector.load(options);
+
+  const timings = await benchmarkBackends(tf, detector, assetBase);
+  let backend = getFastestBackend(timings);
+  if (!backend || !await trySetBackend(tf, backend, assetBase)) {
+    backend = fallback;
+    await trySetBackend(tf, fallback, assetBase);
+  }
+
+  return { backend, timings };
+}
@@ -4,9 +4,10 @@
  */
 
 import { Filter } from './Filter.js';
-import { ANIMATION, FILTER_SIZES, CULLING } from '../config/constants.js';
+import { ANIMATION, FILTER_SIZES, CULLING, EXPRESSIONS } from '../config/constants.js';
 import { mathUtils } from '../utils/mathUtils.js';
 import { getFacePoints, getFaceDimensions, isInViewport } from '../utils/viewportUtils.js';
+import { getHeadPose, offsetInFace } from '../tracking/headPose.js';
 
 export class AnimatedFilter extends Filter {
   constructor(config) {
@@ -15,35 +16,43 @@ export class AnimatedFilter extends Filter {
 
   /**
    * Draw animated filter
+   * Parts may react to `face.expressions`: `trigger: '<expression>'` plays the
+   * part each time the expression starts, `bind: '<expression>'` grows it with
+   * the expression's strength
    */
   draw(ctx, face, animationTime, qualitySettings) {
     const points = getFacePoints(face);
+    // Each tracked person keeps their own animation phase
+    const time = animationTime + (face.id || 0) * ANIMATION.FACE_PHASE_OFFSET;
     const { faceWidth, faceHeight, eyeCenter } = getFaceDimensions(points);
+    // Parts follow the head's tilt and turn
+    const pose = getHeadPose(face);
 
     ctx.save();
 
     this.parts.forEach((part, index) => {
-      const { x, y } = this.getPartPosition(part, points, eyeCenter, faceWidth, faceHeight, index);
-      const size = faceWidth * part.size;
+      const { x, y } = this.getPartPosition(part, points, eyeCenter, faceWidth, faceHeight, index, pose);
+      const size = faceWidth * part.size * (1 + this.getBoundValue(part, face) * EXPRESSIONS.BIND_SCALE);
+      const progress = this.getTriggerProgress(part, face, animationTime);
 
       switch (part.type) {
         case 'bouncing_ball':
-          this.drawBouncingBall(ctx, x, y, size, part.color, animationTime, qualitySettings);
+          this.drawBouncingBall(ctx, x, y, size, part.color, time, qualitySettings, pose);
           break;
         case 'twinkling_star':
-          this.drawTwinklingStar(ctx, x, y, size, part.color, animationTime, qualitySettings);
+          this.drawTwinklingStar(ctx, x, y, size, part.color, time, qualitySettings, pose, progress);
           break;
         case 'floating_heart':
-          this.drawFloatingHearts(ctx, eyeCenter, faceWidth, faceHeight, size, part.color, animationTime, index);
+          this.drawFloatingHearts(ctx, eyeCenter, faceWidth, faceHeight, size, part.color, time, index, pose);
           break;
         case 'moving_dot':
-          this.drawMovingDot(ctx, x, y, size, part.color, animationTime, part.speed, faceWidth, qualitySettings);
+          this.drawMovingDot(ctx, x, y, size, part.color, time, part.speed, faceWidth, qualitySettings, pose);
           break;
         case 'swimming_fish':
-          this.drawSwimmingFish(ctx, x, y, part.size, part.color, animationTime, part.speed, faceWidth, qualitySettings);
+          this.drawSwimmingFish(ctx, x, y, part.size, part.color, time, part.speed, faceWidth, qualitySettings, pose);
           break;
         case 'particle_burst':
-          this.drawParticleBurst(ctx, x, y, animationTime, part.color, part.count, qualitySettings);
+          this.drawParticleBurst(ctx, x, y, time, part.color, part.count, qualitySettings, pose, progress);
           break;
       }
     });
@@ -51,10 +60,38 @@ export class AnimatedFilter extends Filter {
     ctx.restore();
   }
 
+  /**
+   * Get how far a triggered part is through its play
+   * @param {object} part
+   * @param {object} face
+   * @param {number} animationTime - Seconds
+   * @returns {number|null} 0-1 (1 when idle), or null when the part has no trigger
+   *   or its expression cannot be measured, so it animates continuously
+   */
+  getTriggerProgress(part, face, animationTime) {
+    const expressions = face.expressions;
+    if (!part.trigger || expressions?.values[part.trigger] == null) return null;
+
+    const elapsed = animationTime - expressions.startedAt[part.trigger];
+    if (!(elapsed >= 0)) return 1;
+    return Math.min(1, elapsed / EXPRESSIONS.TRIGGER_DURATION);
+  }
+
+  /**
+   * Get the strength of the expression a part is bound to
+   * @param {object} part
+   * @param {object} face
+   * @returns {number} 0-1
+   */
+  getBoundValue(part, face) {
+    return (part.bind && face.expressions?.values[part.bind]) || 0;
+  }
+
   /**
    * Get position for filter part
+   * Offsets from landmarks are taken in the face-local frame from the head pose
    */
-  getPartPosition(part, points, eyeCenter, faceWidth, faceHeight, index) {
+  getPartPosition(part, points, eyeCenter, faceWidth, faceHeight, index, pose) {
     switch (part.position) {
       case 'left_eye':
         return { x: points.leftEye[0], y: points.leftEye[1] };
@@ -63,14 +100,14 @@ export class AnimatedFilter extends Filter {
       case 'nose':
         return { x: points.noseTip[0], y: points.noseTip[1] };
       case 'crown':
-        return { x: eyeCenter[0], y: points.foreheadCenter[1] - faceHeight * 0.5 };
+        return offsetInFace(pose, points.foreheadCenter, 0, -faceHeight * 0.5);
       case 'left_cheek':
         return { x: points.leftCheek[0], y: points.leftCheek[1] };
       case 'right_cheek':
         return { x: points.rightCheek[0], y: points.rightCheek[1] };
       case 'random_orbit':
       case 'horizontal_swim':
-        return { x: eyeCenter[0], y: eyeCenter[1] + (index * 40 - 20) };
+        return offsetInFace(pose, eyeCenter, 0, index * 40 - 20);
       default:
         return { x: eyeCenter[0], y: eyeCenter[1] };
     }
@@ -79,24 +116,28 @@ export class AnimatedFilter extends Filter {
   /**
    * Draw bouncing ball
    */
-  drawBouncingBall(ctx, x, y, size, color, time, quality) {
+  drawBouncingBall(ctx, x, y, size, color, time, quality, pose) {
     const bounce = Math.abs(mathUtils.fastSin(time * ANIMATION.BOUNCE_SPEED * quality.animationSpeed)) * ANIMATION.BOUNCE_AMPLITUDE;
+    // Bounce toward the top of the head
+    const ball = offsetInFace(pose, [x, y], 0, -bounce);
 
-    if (!isInViewport(x, y - bounce, size, ctx.canvas.width, ctx.canvas.height)) return;
+    if (!isInViewport(ball.x, ball.y, size, ctx.canvas.width, ctx.canvas.height)) return;
 
     ctx.fillStyle = color;
     ctx.shadowColor = color;
     ctx.shadowBlur = quality.shadowBlur;
     ctx.beginPath();
-    ctx.arc(x, y - bounce, size, 0, Math.PI * 2);
+    ctx.arc(ball.x, ball.y, size, 0, Math.PI * 2);
     ctx.fill();
   }
 
   /**
    * Draw twinkling star
    */
-  drawTwinklingStar(ctx, x, y, size, color, time, quality) {
-    const twinkle = 0.5 + 0.5 * mathUtils.fastSin(time * ANIMATION.TWINKLE_SPEED * quality.animationSpeed);
+  drawTwinklingStar(ctx, x, y, size, color, time, quality, pose, progress) {
+    // Triggered stars rest at full size and twinkle while their play runs
+    const depth = progress === null ? 1 : Math.sin(progress * Math.PI);
+    const twinkle = 1 - depth * (0.5 - 0.5 * mathUtils.fastSin(time * ANIMATION.TWINKLE_SPEED * quality.animationSpeed));
     const outerRadius = size * twinkle;
     const innerRadius = size * 0.5 * twinkle;
 
@@ -109,7 +150,7 @@ export class AnimatedFilter extends Filter {
     ctx.save();
     ctx.translate(x, y);
 
-    const rotation = time * 0.5 * quality.animationSpeed;
+    const rotation = pose.roll + time * 0.5 * quality.animationSpeed;
     ctx.rotate(rotation);
 
     ctx.beginPath();
@@ -130,29 +171,31 @@ export class AnimatedFilter extends Filter {
   /**
    * Draw floating hearts around face
    */
-  drawFloatingHearts(ctx, eyeCenter, faceWidth, faceHeight, size, color, time, partIndex) {
-    const heartPositions = [
-      [eyeCenter[0] - faceWidth * 0.6, eyeCenter[1] - faceHeight * 0.3],
-      [eyeCenter[0] + faceWidth * 0.6, eyeCenter[1] - faceHeight * 0.3],
-      [eyeCenter[0] - faceWidth * 0.8, eyeCenter[1] + faceHeight * 0.2],
-      [eyeCenter[0] + faceWidth * 0.8, eyeCenter[1] + faceHeight * 0.2],
-      [eyeCenter[0], eyeCenter[1] - faceHeight * 0.8],
-      [eyeCenter[0], eyeCenter[1] + faceHeight * 0.6]
+  drawFloatingHearts(ctx, eyeCenter, faceWidth, faceHeight, size, color, time, partIndex, pose) {
+    // Offsets from the eye center in the face-local frame
+    const heartOffsets = [
+      [-faceWidth * 0.6, -faceHeight * 0.3],
+      [faceWidth * 0.6, -faceHeight * 0.3],
+      [-faceWidth * 0.8, faceHeight * 0.2],
+      [faceWidth * 0.8, faceHeight * 0.2],
+      [0, -faceHeight * 0.8],
+      [0, faceHeight * 0.6]
     ];
 
-    heartPositions.forEach((pos, i) => {
+    heartOffsets.forEach(([dx, dy], i) => {
       const float = mathUtils.fastSin(time * ANIMATION.FLOAT_SPEED + i) * ANIMATION.FLOAT_AMPLITUDE;
       const scale = 0.8 + 0.2 * mathUtils.fastSin(time * ANIMATION.SCALE_SPEED + i);
       const heartSize = size * scale;
-      const finalY = pos[1] + float;
+      const pos = offsetInFace(pose, eyeCenter, dx, dy + float);
 
-      if (!isInViewport(pos[0], finalY, heartSize * 30, ctx.canvas.width, ctx.canvas.height)) return;
+      if (!isInViewport(pos.x, pos.y, heartSize * 30, ctx.canvas.width, ctx.canvas.height)) return;
 
       ctx.save();
       ctx.fillStyle = color;
       ctx.shadowColor = color;
       ctx.shadowBlur = 8;
-      ctx.translate(pos[0], finalY);
+      ctx.translate(pos.x, pos.y);
+      ctx.rotate(pose.roll);
       ctx.scale(heartSize, heartSize);
 
       ctx.beginPath();
@@ -170,11 +213,15 @@ export class AnimatedFilter extends Filter {
   /**
    * Draw moving dot (orbiting)
    */
-  drawMovingDot(ctx, centerX, centerY, size, color, time, speed, faceWidth, quality) {
+  drawMovingDot(ctx, centerX, centerY, size, color, time, speed, faceWidth, quality, pose) {
     const radius = faceWidth * 0.6;
     const angle = time * speed;
-    const x = centerX + mathUtils.fastCos(angle) * radius;
-    const y = centerY + mathUtils.fastSin(angle) * radius * 0.7;
+    const { x, y } = offsetInFace(
+      pose,
+      [centerX, centerY],
+      mathUtils.fastCos(angle) * radius,
+      mathUtils.fastSin(angle) * radius * 0.7
+    );
 
     if (!isInViewport(x, y, size, ctx.canvas.width, ctx.canvas.height)) return;
 
@@ -189,9 +236,13 @@ export class AnimatedFilter extends Filter {
   /**
    * Draw swimming fish
    */
-  drawSwimmingFish(ctx, baseX, baseY, baseSize, color, time, speed, faceWidth, quality) {
-    const swimX = baseX + mathUtils.fastSin(time * speed) * faceWidth * 0.8;
-    const swimY = baseY + mathUtils.fastCos(time * speed * 0.7) * 20;
+  drawSwimmingFish(ctx, baseX, baseY, baseSize, color, time, speed, faceWidth, quality, pose) {
+    const { x: swimX, y: swimY } = offsetInFace(
+      pose,
+      [baseX, baseY],
+      mathUtils.fastSin(time * speed) * faceWidth * 0.8,
+      mathUtils.fastCos(time * speed * 0.7) * 20
+    );
     const fishSize = baseSize * (0.8 + 0.2 * mathUtils.fastSin(time * 2));
 
     if (!isInViewport(swimX, swimY, CULLING.FISH_CULL_RADIUS_MULTIPLIER * fishSize, ctx.canvas.width, ctx.canvas.height)) return;
@@ -201,6 +252,7 @@ export class AnimatedFilter extends Filter {
     ctx.shadowColor = color;
     ctx.shadowBlur = quality.shadowBlur;
     ctx.translate(swimX, swimY);
+    ctx.rotate(pose.roll);
     ctx.scale(fishSize, fishSize);
 
     // Fish body
@@ -228,20 +280,30 @@ export class AnimatedFilter extends Filter {
   /**
    * Draw particle burst
    */
-  drawParticleBurst(ctx, x, y, time, color, count, quality) {
+  drawParticleBurst(ctx, x, y, time, color, count, quality, pose, progress) {
     const actualCount = Math.min(count, quality.particleCount);
 
+    // Triggered bursts fly outward and fade, then wait for the next trigger
+    if (progress === 1) return;
     if (!isInViewport(x, y, CULLING.PARTICLE_MAX_DISTANCE, ctx.canvas.width, ctx.canvas.height)) return;
 
+    ctx.save();
+    ctx.globalAlpha = progress === null ? 1 : 1 - progress;
     ctx.fillStyle = color;
     ctx.shadowColor = color;
     ctx.shadowBlur = quality.shadowBlur;
 
     for (let i = 0; i < actualCount; i++) {
       const angle = (i / actualCount) * Math.PI * 2;
-      const distance = ANIMATION.PARTICLE_BURST_DISTANCE + mathUtils.fastSin(time * 3 * quality.animationSpeed) * ANIMATION.PARTICLE_BURST_AMPLITUDE;
-      const px = x + mathUtils.fastCos(angle) * distance;
-      const py = y + mathUtils.fastSin(angle) * distance;
+      const distance = progress === null
+        ? ANIMATION.PARTICLE_BURST_DISTANCE + mathUtils.fastSin(time * 3 * quality.animationSpeed) * ANIMATION.PARTICLE_BURST_AMPLITUDE
+        : (ANIMATION.PARTICLE_BURST_DISTANCE + ANIMATION.PARTICLE_BURST_AMPLITUDE) * progress;
+      const { x: px, y: py } = offsetInFace(
+        pose,
+        [x, y],
+        mathUtils.fastCos(angle) * distance,
+        mathUtils.fastSin(angle) * distance
+      );
       const sparkleSize = FILTER_SIZES.PARTICLE_SIZE_BASE + mathUtils.fastSin(time * 4 * quality.animationSpeed + i) * FILTER_SIZES.PARTICLE_SIZE_VARIANCE;
 
       if (isInViewport(px, py, sparkleSize, ctx.canvas.width, ctx.canvas.height)) {
@@ -250,6 +312,8 @@ export class AnimatedFilter extends Filter {
         ctx.fill();
       }
     }
+
+    ctx.restore();
   }
 }
 
@@ -9,12 +9,24 @@ export class Filter {
     this.name = config.name;
     this.parts = config.parts || [];
     this.description = config.description || '';
+    this.landmarks = config.landmarks || [];
+  }
+
+  /**
+   * Check if a detector provides every landmark this filter needs
+   * @param {object|null} capabilities - From FaceDetector.getCapabilities (null = unknown)
+   * @returns {boolean}
+   */
+  isSupported(capabilities) {
+    if (!capabilities) return true;
+    return this.landmarks.every(key => capabilities.landmarks.includes(key));
   }
 
   /**
    * Draw the filter on canvas
    * @param {CanvasRenderingContext2D} ctx
-   * @param {object} face - Face detection result
+   * @param {object} face - Face detection result (`id` is stable per person while tracked;
+   *   `pose` holds the head pose, see getHeadPose)
    * @param {number} animationTime - Current animation time
    * @param {object} qualitySettings - Performance quality settings
    */
@@ -33,6 +45,15 @@ export class Filter {
     return false; // Override in subclass if needed
   }
 
+  /**
+   * Resize internal buffers to a new frame size
+   * @param {number} width
+   * @param {number} height
+   */
+  resize(width, height) {
+    // Override in subclass if needed
+  }
+
   /**
    * Get filter configuration
    * @returns {object}
@@ -41,7 +62,8 @@ export class Filter {
     return {
       type: this.type,
       name: this.name,
-      description: this.description
+      description: this.description,
+      landmarks: this.landmarks
     };
   }
 }
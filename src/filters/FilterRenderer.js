@@ -13,6 +13,7 @@ export class FilterRenderer {
     this.filters = new Map();
     this.currentFilterName = 'none';
     this.animationTime = 0;
+    this.capabilities = null;
     this.initFilters();
   }
 
@@ -36,13 +37,40 @@ export class FilterRenderer {
    * @param {string} filterName
    */
   setFilter(filterName) {
-    if (filterName === 'none' || this.filters.has(filterName)) {
+    if (filterName === 'none' || this.isFilterSupported(filterName)) {
       this.currentFilterName = filterName;
       return true;
     }
     return false;
   }
 
+  /**
+   * Check if a filter exists and the current detector provides its landmarks
+   * @param {string} filterName
+   * @returns {boolean}
+   */
+  isFilterSupported(filterName) {
+    if (filterName === 'none') return true;
+
+    const filter = this.filters.get(filterName);
+    return !!filter && filter.isSupported(this.capabilities);
+  }
+
+  /**
+   * Set what the face detector provides; drops the current filter if it is no longer supported
+   * @param {object|null} capabilities - From FaceDetector.getCapabilities
+   * @returns {boolean} True if the current filter was reset
+   */
+  setCapabilities(capabilities) {
+    this.capabilities = capabilities;
+
+    if (!this.isFilterSupported(this.currentFilterName)) {
+      this.currentFilterName = 'none';
+      return true;
+    }
+    return false;
+  }
+
   /**
    * Get current filter name
    * @returns {string}
@@ -66,11 +94,24 @@ export class FilterRenderer {
    * @param {object} qualitySettings
    */
   render(ctx, faces, qualitySettings) {
-    if (this.currentFilterName === 'none' || !faces || faces.length === 0) {
+    this.renderFilter(ctx, faces, qualitySettings, this.currentFilterName, this.animationTime);
+  }
+
+  /**
+   * Render a specific filter at a given animation time
+   * Used to re-apply filters to stills without touching the live filter
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {Array} faces
+   * @param {object} qualitySettings
+   * @param {string} filterName
+   * @param {number} animationTime - Seconds
+   */
+  renderFilter(ctx, faces, qualitySettings, filterName, animationTime) {
+    if (filterName === 'none' || !faces || faces.length === 0) {
       return;
     }
 
-    const filter = this.filters.get(this.currentFilterName);
+    const filter = this.filters.get(filterName);
     if (!filter) return;
 
     const canvasWidth = ctx.canvas.width;
@@ -83,7 +124,7 @@ export class FilterRenderer {
       }
 
       try {
-        filter.draw(ctx, face, this.animationTime, {
+        filter.draw(ctx, face, animationTime, {
           ...qualitySettings,
           performanceLevel: qualitySettings.performanceLevel || 'high'
         });
@@ -98,20 +139,30 @@ export class FilterRenderer {
    * @returns {Array<object>}
    */
   getAvailableFilters() {
-    const filters = [{ name: 'none', displayName: 'No Filter', type: 'none' }];
+    const filters = [{ name: 'none', displayName: 'No Filter', type: 'none', supported: true }];
 
     this.filters.forEach((filter, name) => {
       filters.push({
         name: name,
         displayName: filter.name,
         type: filter.type,
-        description: filter.description
+        description: filter.description,
+        supported: filter.isSupported(this.capabilities)
       });
     });
 
     return filters;
   }
 
+  /**
+   * Resize filter buffers when the frame size changes
+   * @param {number} width
+   * @param {number} height
+   */
+  resize(width, height) {
+    this.filters.forEach(filter => filter.resize(width, height));
+  }
+
   /**
    * Reset animation time
    */
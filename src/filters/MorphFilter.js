@@ -5,7 +5,7 @@
 
 import { Filter } from './Filter.js';
 import { MORPH, LANDMARKS } from '../config/constants.js';
-import { bilinearSample, getFacePoints, getFaceDimensions } from '../utils/viewportUtils.js';
+import { bilinearSample, getEyeCenter, getFacePoints, getFaceDimensions } from '../utils/viewportUtils.js';
 
 export class MorphFilter extends Filter {
   constructor(config) {
@@ -31,6 +31,18 @@ export class MorphFilter extends Filter {
     }
   }
 
+  /**
+   * Resize the morph buffer with the overlay
+   * @param {number} width
+   * @param {number} height
+   */
+  resize(width, height) {
+    if (this.morphCanvas && (this.morphCanvas.width !== width || this.morphCanvas.height !== height)) {
+      this.morphCanvas.width = width;
+      this.morphCanvas.height = height;
+    }
+  }
+
   /**
    * Draw morph filter
    * @param {CanvasRenderingContext2D} ctx
@@ -161,8 +173,8 @@ export class MorphFilter extends Filter {
   getMorphingLandmarks(face) {
     const mesh = face.scaledMesh;
     const landmarks = {
-      leftEyeCenter: mesh[LANDMARKS.LEFT_EYE_CENTER] || mesh[LANDMARKS.LEFT_EYE],
-      rightEyeCenter: mesh[LANDMARKS.RIGHT_EYE_CENTER] || mesh[LANDMARKS.RIGHT_EYE],
+      leftEyeCenter: getEyeCenter(mesh, 'left'),
+      rightEyeCenter: getEyeCenter(mesh, 'right'),
       leftEyeInner: mesh[LANDMARKS.LEFT_EYE_INNER],
       leftEyeOuter: mesh[LANDMARKS.LEFT_EYE_OUTER],
       faceLeft: mesh[LANDMARKS.FACE_LEFT],
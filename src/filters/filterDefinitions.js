@@ -5,10 +5,14 @@
 
 import { COLORS, ORBIT_SPEEDS } from '../config/constants.js';
 
+// Landmarks every filter uses to size, place and cull itself (LANDMARKS keys)
+const FACE_FRAME = ['NOSE_TIP', 'LEFT_EYE', 'RIGHT_EYE', 'FOREHEAD_CENTER'];
+
 export const filterDefinitions = {
   bouncing_balls: {
     type: 'animated',
     name: 'Bouncing Balls',
+    landmarks: FACE_FRAME,
     parts: [
       { type: 'bouncing_ball', position: 'left_eye', color: COLORS.BALL_LEFT, size: 0.08 },
       { type: 'bouncing_ball', position: 'right_eye', color: COLORS.BALL_RIGHT, size: 0.08 },
@@ -19,16 +23,18 @@ export const filterDefinitions = {
   twinkling_stars: {
     type: 'animated',
     name: 'Twinkling Stars',
+    landmarks: [...FACE_FRAME, 'LEFT_CHEEK', 'RIGHT_CHEEK'],
     parts: [
-      { type: 'twinkling_star', position: 'crown', color: COLORS.STAR, size: 0.1 },
-      { type: 'twinkling_star', position: 'left_cheek', color: COLORS.STAR, size: 0.1 },
-      { type: 'twinkling_star', position: 'right_cheek', color: COLORS.STAR, size: 0.1 }
+      { type: 'twinkling_star', position: 'crown', color: COLORS.STAR, size: 0.1, trigger: 'blink' },
+      { type: 'twinkling_star', position: 'left_cheek', color: COLORS.STAR, size: 0.1, trigger: 'blink' },
+      { type: 'twinkling_star', position: 'right_cheek', color: COLORS.STAR, size: 0.1, trigger: 'blink' }
     ]
   },
 
   floating_hearts: {
     type: 'animated',
     name: 'Floating Hearts',
+    landmarks: FACE_FRAME,
     parts: [
       { type: 'floating_heart', position: 'around_face', color: COLORS.HEART, size: 0.7, count: 6 }
     ]
@@ -37,6 +43,7 @@ export const filterDefinitions = {
   pet_dots: {
     type: 'animated',
     name: 'Moving Dots (Pet)',
+    landmarks: FACE_FRAME,
     parts: [
       {
         type: 'moving_dot',
@@ -65,6 +72,7 @@ export const filterDefinitions = {
   prey_fish: {
     type: 'animated',
     name: 'Swimming Fish (Pet)',
+    landmarks: FACE_FRAME,
     parts: [
       {
         type: 'swimming_fish',
@@ -86,13 +94,15 @@ export const filterDefinitions = {
   sparkle_burst: {
     type: 'particle',
     name: 'Sparkle Burst',
+    landmarks: FACE_FRAME,
     parts: [
       {
         type: 'particle_burst',
         position: 'nose',
         particleType: 'sparkle',
         color: COLORS.PARTICLE,
-        count: 8
+        count: 8,
+        trigger: 'mouthOpen'
       }
     ]
   },
@@ -100,7 +110,14 @@ export const filterDefinitions = {
   face_morph: {
     type: 'morph',
     name: 'Extreme Morph',
-    description: 'Massive eyes + huge mouth + slim face cartoon filter'
+    description: 'Massive eyes + huge mouth + slim face cartoon filter',
+    landmarks: [
+      ...FACE_FRAME,
+      'LEFT_EYE_INNER', 'LEFT_EYE_OUTER', 'LEFT_EYE_TOP', 'LEFT_EYE_BOTTOM',
+      'RIGHT_EYE_INNER', 'RIGHT_EYE_OUTER', 'RIGHT_EYE_TOP', 'RIGHT_EYE_BOTTOM',
+      'FACE_LEFT', 'FACE_RIGHT', 'CHIN_TIP',
+      'MOUTH_LEFT_CORNER', 'MOUTH_RIGHT_CORNER', 'MOUTH_TOP_CENTER', 'MOUTH_BOTTOM_CENTER'
+    ]
   }
 };
 
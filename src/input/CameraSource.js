@@ -0,0 +1,65 @@
+/**
+ * Camera Input Source
+ * Live camera through getUserMedia (see Camera)
+ */
+
+import { InputSource } from './InputSource.js';
+import { INPUT } from '../config/constants.js';
+
+export class CameraSource extends InputSource {
+  constructor(camera) {
+    super(INPUT.TYPES.CAMERA, 'camera');
+    this.camera = camera;
+  }
+
+  /**
+   * Open the camera
+   * @param {HTMLVideoElement} video
+   * @returns {Promise<void>}
+   */
+  async start(video) {
+    this.video = video;
+    await this.camera.setup(video);
+  }
+
+  /**
+   * Close the camera
+   */
+  stop() {
+    this.camera.stop();
+  }
+
+  /**
+   * Release the camera while the page is hidden
+   */
+  suspend() {
+    this.camera.suspend();
+  }
+
+  /**
+   * Re-open the camera
+   * @returns {Promise<void>}
+   */
+  async resume() {
+    await this.camera.resume();
+  }
+
+  /**
+   * Lower or raise the camera resolution and frame rate
+   * @param {object|null} quality - { scale, frameRate }, null for defaults
+   * @returns {Promise<boolean>}
+   */
+  async setCaptureQuality(quality) {
+    return this.camera.setCaptureQuality(quality);
+  }
+
+  /**
+   * Front cameras are mirrored like a mirror; rear cameras are not
+   * @returns {boolean}
+   */
+  isMirrored() {
+    return this.camera.isFrontFacing();
+  }
+}
+
+export default CameraSource;
@@ -0,0 +1,94 @@
+/**
+ * Still Image Input Source
+ * Replays a single image as a stream so the live pipeline can run on it
+ */
+
+import { InputSource } from './InputSource.js';
+import { INPUT } from '../config/constants.js';
+
+export class ImageSource extends InputSource {
+  /**
+   * @param {File|Blob|string} fileOrUrl - Local image or image URL
+   */
+  constructor(fileOrUrl) {
+    super(INPUT.TYPES.IMAGE, typeof fileOrUrl === 'string' ? 'image' : fileOrUrl.name || 'image');
+    this.fileOrUrl = fileOrUrl;
+    this.objectUrl = null;
+    this.canvas = null;
+  }
+
+  /**
+   * Check if canvas streams are available
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return InputSource.supportsCanvasStream();
+  }
+
+  /**
+   * Load the image and stream it into the video element
+   * @param {HTMLVideoElement} video
+   * @returns {Promise<void>}
+   */
+  async start(video) {
+    if (!ImageSource.isSupported()) {
+      throw new Error('Still images are not supported in this browser');
+    }
+
+    this.video = video;
+    const image = await this.loadImage();
+
+    const scale = Math.min(1, INPUT.MAX_IMAGE_SIZE / Math.max(image.naturalWidth, image.naturalHeight));
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = Math.round(image.naturalWidth * scale);
+    this.canvas.height = Math.round(image.naturalHeight * scale);
+
+    const ctx = this.canvas.getContext('2d');
+    const paint = () => ctx.drawImage(image, 0, 0, this.canvas.width, this.canvas.height);
+
+    try {
+      await this.startCanvasStream(video, this.canvas, paint);
+    } catch (error) {
+      this.stop();
+      throw error;
+    }
+  }
+
+  /**
+   * Decode the image
+   * @returns {Promise<HTMLImageElement>}
+   */
+  async loadImage() {
+    const image = new Image();
+
+    if (typeof this.fileOrUrl === 'string') {
+      image.crossOrigin = 'anonymous';
+      image.src = this.fileOrUrl;
+    } else {
+      this.objectUrl = URL.createObjectURL(this.fileOrUrl);
+      image.src = this.objectUrl;
+    }
+
+    try {
+      await image.decode();
+    } catch (error) {
+      throw new Error(`Could not load ${this.label}`);
+    }
+
+    return image;
+  }
+
+  /**
+   * Stop the stream and release the image
+   */
+  stop() {
+    this.stopCanvasStream();
+    if (this.objectUrl) {
+      URL.revokeObjectURL(this.objectUrl);
+      this.objectUrl = null;
+    }
+    this.canvas = null;
+  }
+}
+
+export default ImageSource;
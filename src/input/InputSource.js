@@ -0,0 +1,194 @@
+/**
+ * Base Input Source
+ * Feeds frames into the app's <video> element so detection, preview
+ * and capture work the same regardless of where frames come from
+ */
+
+import { INPUT } from '../config/constants.js';
+
+export class InputSource {
+  constructor(type, label) {
+    this.type = type;
+    this.label = label;
+    this.video = null;
+    this.providesFaces = false; // True if faces come from the source instead of the model
+    this.stream = null;
+    this.repaintInterval = null;
+  }
+
+  /**
+   * Check if canvas streams are available
+   * @returns {boolean}
+   */
+  static supportsCanvasStream() {
+    return typeof HTMLCanvasElement !== 'undefined' &&
+      typeof HTMLCanvasElement.prototype.captureStream === 'function';
+  }
+
+  /**
+   * Start feeding the video element
+   * @param {HTMLVideoElement} video
+   * @returns {Promise<void>}
+   */
+  async start(video) {
+    throw new Error('start() must be implemented by subclass');
+  }
+
+  /**
+   * Stop feeding the video element and release resources
+   */
+  stop() {
+    throw new Error('stop() must be implemented by subclass');
+  }
+
+  /**
+   * Pause while the page is hidden
+   */
+  suspend() {
+    this.video?.pause();
+  }
+
+  /**
+   * Continue after the page is visible again
+   * @returns {Promise<void>}
+   */
+  async resume() {
+    if (this.video) {
+      await this.play(this.video);
+    }
+  }
+
+  /**
+   * Adapt capture size and frame rate
+   * Only live sources can renegotiate; others ignore it
+   * @param {object|null} quality - { scale, frameRate }, null for defaults
+   * @returns {Promise<boolean>} True if the source changed
+   */
+  async setCaptureQuality(quality) {
+    return false;
+  }
+
+  /**
+   * Check if the preview and captures should be mirrored
+   * @returns {boolean}
+   */
+  isMirrored() {
+    return false;
+  }
+
+  /**
+   * Get frame dimensions
+   * @returns {object} { width, height }
+   */
+  getDimensions() {
+    return {
+      width: this.video?.videoWidth || 0,
+      height: this.video?.videoHeight || 0
+    };
+  }
+
+  /**
+   * Wait until the video element has a frame with valid dimensions
+   * @param {HTMLVideoElement} video
+   * @returns {Promise<void>}
+   */
+  waitForFrames(video) {
+    if (video.readyState >= 2 && video.videoWidth > 0) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      let timeoutId = null;
+
+      const settle = error => {
+        clearTimeout(timeoutId);
+        video.removeEventListener('loadeddata', handleLoaded);
+        video.removeEventListener('error', handleError);
+        if (error) {
+          reject(error);
+        } else {
+          resolve();
+        }
+      };
+
+      const handleLoaded = () => {
+        if (video.videoWidth > 0 && video.videoHeight > 0) {
+          settle();
+        } else {
+          settle(new Error('Video dimensions are invalid'));
+        }
+      };
+
+      const handleError = () => settle(new Error(`Could not load ${this.label}`));
+
+      video.addEventListener('loadeddata', handleLoaded);
+      video.addEventListener('error', handleError);
+
+      timeoutId = setTimeout(() => {
+        settle(new Error(`Loading ${this.label} timed out after ${INPUT.LOAD_TIMEOUT_MS}ms`));
+      }, INPUT.LOAD_TIMEOUT_MS);
+    });
+  }
+
+  /**
+   * Stream a canvas into the video element
+   * @param {HTMLVideoElement} video
+   * @param {HTMLCanvasElement} canvas
+   * @param {Function} paint - Redraws the canvas
+   * @returns {Promise<void>}
+   */
+  async startCanvasStream(video, canvas, paint) {
+    paint();
+
+    // Canvas streams only emit frames when the canvas is painted
+    this.stream = canvas.captureStream(INPUT.IMAGE_FRAME_RATE);
+    this.repaintInterval = setInterval(paint, 1000 / INPUT.IMAGE_FRAME_RATE);
+
+    video.removeAttribute('src');
+    video.srcObject = this.stream;
+
+    try {
+      await this.waitForFrames(video);
+    } catch (error) {
+      this.stopCanvasStream();
+      throw error;
+    }
+
+    await this.play(video);
+  }
+
+  /**
+   * Stop a stream started by startCanvasStream
+   */
+  stopCanvasStream() {
+    clearInterval(this.repaintInterval);
+    this.repaintInterval = null;
+
+    if (this.stream) {
+      this.stream.getTracks().forEach(track => track.stop());
+      this.stream = null;
+    }
+    if (this.video) {
+      this.video.srcObject = null;
+    }
+  }
+
+  /**
+   * Start playback, ignoring autoplay rejections for muted inline video
+   * @param {HTMLVideoElement} video
+   * @returns {Promise<void>}
+   */
+  async play(video) {
+    video.muted = true;
+    video.playsInline = true;
+    video.setAttribute('playsinline', 'true');
+
+    try {
+      await video.play();
+    } catch (error) {
+      // Autoplay policy; the video element's autoplay attribute retries on interaction
+    }
+  }
+}
+
+export default InputSource;
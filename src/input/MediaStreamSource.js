@@ -0,0 +1,56 @@
+/**
+ * MediaStream Input Source
+ * Uses a stream supplied by the host page (WebRTC, screen capture, etc.)
+ */
+
+import { InputSource } from './InputSource.js';
+import { INPUT } from '../config/constants.js';
+
+export class MediaStreamSource extends InputSource {
+  /**
+   * @param {MediaStream} stream - Owned by the host; never stopped here
+   * @param {object} options - { mirrored, label }
+   */
+  constructor(stream, options = {}) {
+    super(INPUT.TYPES.STREAM, options.label || 'stream');
+    this.stream = stream;
+    this.mirrored = !!options.mirrored;
+  }
+
+  /**
+   * Attach the stream
+   * @param {HTMLVideoElement} video
+   * @returns {Promise<void>}
+   */
+  async start(video) {
+    if (!this.stream?.getVideoTracks().length) {
+      throw new Error('Stream has no video track');
+    }
+
+    this.video = video;
+    video.removeAttribute('src');
+    video.srcObject = this.stream;
+
+    await this.waitForFrames(video);
+    await this.play(video);
+  }
+
+  /**
+   * Detach the stream, leaving its tracks to the host
+   */
+  stop() {
+    if (this.video?.srcObject === this.stream) {
+      this.video.srcObject = null;
+    }
+  }
+
+  /**
+   * Mirrored only if the host says so
+   * @returns {boolean}
+   */
+  isMirrored() {
+    return this.mirrored;
+  }
+}
+
+export default MediaStreamSource;
@@ -0,0 +1,303 @@
+/**
+ * Landmark Replay Input Source
+ * Plays back a landmark recording in place of face detection
+ */
+
+import { InputSource } from './InputSource.js';
+import { INPUT, REPLAY } from '../config/constants.js';
+import { decodeLandmarkFile } from '../replay/landmarkFile.js';
+
+export class ReplaySource extends InputSource {
+  /**
+   * @param {File|Blob} file - .ffl recording
+   */
+  constructor(file) {
+    super(INPUT.TYPES.REPLAY, file.name || 'landmark recording');
+    this.file = file;
+    this.providesFaces = true;
+    this.recording = null;
+    this.canvas = null;
+    this.frameIndex = 0;
+    // Bumped on seeks and loops, where playback does not continue from the previous frame
+    this.jumps = 0;
+    this.playing = false;
+    this.wasPlaying = false;
+    this.clockStart = 0;
+    this.onChange = null;
+  }
+
+  /**
+   * Check if canvas streams are available
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return InputSource.supportsCanvasStream();
+  }
+
+  /**
+   * Decode the recording and stream a blank frame of the recorded size
+   * @param {HTMLVideoElement} video
+   * @returns {Promise<void>}
+   */
+  async start(video) {
+    if (!ReplaySource.isSupported()) {
+      throw new Error('Landmark replay is not supported in this browser');
+    }
+
+    this.video = video;
+    this.recording = await decodeLandmarkFile(this.file);
+    if (this.recording.frames.length === 0) {
+      throw new Error('Landmark recording is empty');
+    }
+
+    // The video element only sets the overlay size; faces come from the file
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = this.recording.width;
+    this.canvas.height = this.recording.height;
+
+    const ctx = this.canvas.getContext('2d');
+    const paint = () => {
+      ctx.fillStyle = '#000';
+      ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    };
+
+    try {
+      await this.startCanvasStream(video, this.canvas, paint);
+    } catch (error) {
+      this.stop();
+      throw error;
+    }
+
+    this.seek(0);
+    this.play();
+  }
+
+  /**
+   * Stop the stream and release the recording
+   */
+  stop() {
+    this.stopCanvasStream();
+    this.playing = false;
+    this.canvas = null;
+    this.recording = null;
+    this.notifyChange();
+  }
+
+  /**
+   * Hold the current frame while the page is hidden
+   */
+  suspend() {
+    this.wasPlaying = this.playing;
+    this.pause();
+  }
+
+  /**
+   * Continue playback where it stopped
+   * @returns {Promise<void>}
+   */
+  async resume() {
+    if (this.wasPlaying) {
+      this.play();
+    }
+  }
+
+  /**
+   * Mirror replays the same way as the recorded source
+   * @returns {boolean}
+   */
+  isMirrored() {
+    return !!this.recording?.mirrored;
+  }
+
+  /**
+   * Get recorded frame dimensions
+   * @returns {object} { width, height }
+   */
+  getDimensions() {
+    return {
+      width: this.recording?.width || 0,
+      height: this.recording?.height || 0
+    };
+  }
+
+  /**
+   * Get the faces of the current frame, advancing in recorded time while playing
+   * @param {number} now - performance.now() of the rendered frame
+   * @returns {Array} Faces in the shape returned by ModelLoader.detectFaces
+   */
+  nextFaces(now = performance.now()) {
+    if (!this.recording) return [];
+
+    if (this.playing) {
+      const frames = this.recording.frames;
+      const elapsed = frames[0].time + now - this.clockStart;
+      let index = this.frameIndex;
+
+      while (index + 1 < frames.length && frames[index + 1].time <= elapsed) {
+        index++;
+      }
+
+      if (index + 1 >= frames.length && elapsed > frames[index].time + REPLAY.TIME_STEP_MS) {
+        // Loop like video files do
+        index = 0;
+        this.clockStart = now;
+        this.jumps++;
+      }
+
+      if (index !== this.frameIndex) {
+        this.frameIndex = index;
+        this.notifyChange();
+      }
+    }
+
+    return this.getFrameFaces(this.frameIndex);
+  }
+
+  /**
+   * Get the faces of any recorded frame without moving playback
+   * @param {number} index
+   * @returns {Array}
+   */
+  getFrameFaces(index) {
+    return this.recording ? this.recording.frames[index].faces.map(unpackFace) : [];
+  }
+
+  /**
+   * Get the performance level the current frame was rendered at
+   * @returns {object} { performanceLevel, memoryPressureLevel }
+   */
+  getQuality() {
+    const frame = this.recording?.frames[this.frameIndex];
+    return {
+      performanceLevel: frame?.performanceLevel || 'high',
+      memoryPressureLevel: frame?.memoryPressureLevel || 0
+    };
+  }
+
+  /**
+   * Get the animation time for a frame (fixed step per frame)
+   * @param {number} [index] - Defaults to the current frame
+   * @returns {number} Milliseconds
+   */
+  getAnimationTime(index = this.frameIndex) {
+    return index * REPLAY.TIME_STEP_MS;
+  }
+
+  /**
+   * Resume playback from the current frame
+   */
+  play() {
+    if (!this.recording) return;
+
+    if (this.frameIndex >= this.recording.frames.length - 1) {
+      this.frameIndex = 0;
+      this.jumps++;
+    }
+    this.playing = true;
+    this.resetClock();
+    this.notifyChange();
+  }
+
+  /**
+   * Hold the current frame
+   */
+  pause() {
+    this.playing = false;
+    this.notifyChange();
+  }
+
+  /**
+   * Toggle between playing and paused
+   */
+  togglePlay() {
+    if (this.playing) {
+      this.pause();
+    } else {
+      this.play();
+    }
+  }
+
+  /**
+   * Jump to a frame
+   * @param {number} index
+   */
+  seek(index) {
+    if (!this.recording) return;
+
+    this.frameIndex = Math.max(0, Math.min(this.recording.frames.length - 1, Math.round(index)));
+    this.jumps++;
+    this.resetClock();
+    this.notifyChange();
+  }
+
+  /**
+   * Pause and move by whole frames
+   * @param {number} delta - Frames to move (negative steps back)
+   */
+  step(delta) {
+    this.playing = false;
+    this.seek(this.frameIndex + delta);
+  }
+
+  /**
+   * Align the playback clock with the current frame
+   */
+  resetClock() {
+    const frames = this.recording.frames;
+    this.clockStart = performance.now() - (frames[this.frameIndex].time - frames[0].time);
+  }
+
+  /**
+   * Get playback position
+   * @returns {object} { frameIndex, frameCount, time, playing }
+   */
+  getState() {
+    const frames = this.recording?.frames || [];
+    return {
+      frameIndex: this.frameIndex,
+      frameCount: frames.length,
+      time: frames.length > 0 ? frames[this.frameIndex].time - frames[0].time : 0,
+      playing: this.playing
+    };
+  }
+
+  /**
+   * Set callback invoked when the position or play state changes
+   * @param {Function} callback - Receives getState()
+   */
+  setChangeCallback(callback) {
+    this.onChange = callback;
+  }
+
+  /**
+   * Notify the change callback
+   */
+  notifyChange() {
+    if (this.onChange) {
+      this.onChange(this.getState());
+    }
+  }
+}
+
+/**
+ * Rebuild a face from its recorded typed arrays
+ * @param {object} face - { id, box, points }
+ * @returns {object} { id, scaledMesh, boundingBox }
+ */
+function unpackFace({ id, box, points }) {
+  const scaledMesh = new Array(points.length / 3);
+  for (let i = 0; i < scaledMesh.length; i++) {
+    scaledMesh[i] = [points[i * 3], points[i * 3 + 1], points[i * 3 + 2]];
+  }
+
+  return {
+    id,
+    scaledMesh,
+    boundingBox: {
+      topLeft: [box[0], box[1]],
+      bottomRight: [box[2], box[3]]
+    }
+  };
+}
+
+export default ReplaySource;
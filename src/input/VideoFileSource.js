@@ -0,0 +1,69 @@
+/**
+ * Video File Input Source
+ * Plays a local video file or a URL in a loop
+ */
+
+import { InputSource } from './InputSource.js';
+import { INPUT } from '../config/constants.js';
+
+export class VideoFileSource extends InputSource {
+  /**
+   * @param {File|Blob|string} fileOrUrl - Local file or video URL
+   */
+  constructor(fileOrUrl) {
+    super(INPUT.TYPES.VIDEO, typeof fileOrUrl === 'string' ? 'video' : fileOrUrl.name || 'video');
+    this.fileOrUrl = fileOrUrl;
+    this.objectUrl = null;
+  }
+
+  /**
+   * Load and play the video
+   * @param {HTMLVideoElement} video
+   * @returns {Promise<void>}
+   */
+  async start(video) {
+    this.video = video;
+
+    let url = this.fileOrUrl;
+    if (typeof url === 'string') {
+      // Remote videos must allow CORS or captures and morph can't read pixels
+      video.crossOrigin = 'anonymous';
+    } else {
+      this.objectUrl = URL.createObjectURL(this.fileOrUrl);
+      url = this.objectUrl;
+    }
+
+    video.srcObject = null;
+    video.loop = true;
+    video.src = url;
+
+    try {
+      await this.waitForFrames(video);
+    } catch (error) {
+      this.stop();
+      throw error;
+    }
+
+    await this.play(video);
+  }
+
+  /**
+   * Stop playback and release the file
+   */
+  stop() {
+    if (this.video) {
+      this.video.pause();
+      this.video.removeAttribute('src');
+      this.video.removeAttribute('crossorigin');
+      this.video.loop = false;
+      this.video.load();
+    }
+
+    if (this.objectUrl) {
+      URL.revokeObjectURL(this.objectUrl);
+      this.objectUrl = null;
+    }
+  }
+}
+
+export default VideoFileSource;
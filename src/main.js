@@ -10,10 +10,41 @@ import { MemoryManager } from './performance/memoryManager.js';
 import { FilterRenderer } from './filters/FilterRenderer.js';
 import { UIControls } from './ui/controls.js';
 import { PhotoCapture } from './ui/photoCapture.js';
+import { VideoCapture } from './ui/videoCapture.js';
+import { GifCapture } from './ui/gifCapture.js';
+import { Gallery } from './ui/gallery.js';
+import { PhotoEditor } from './ui/photoEditor.js';
+import { CameraControls } from './ui/cameraControls.js';
+import { SourcePicker } from './ui/sourcePicker.js';
+import { ReplayControls } from './ui/replayControls.js';
+import { CameraStatus } from './ui/cameraStatus.js';
+import { DetectorSelect } from './ui/detectorSelect.js';
+import { BackendSelect } from './ui/backendSelect.js';
+import { LandmarkRecorder } from './replay/LandmarkRecorder.js';
+import { FaceTracker } from './tracking/FaceTracker.js';
+import { LandmarkSmoother } from './tracking/LandmarkSmoother.js';
+import { attachHeadPoses } from './tracking/headPose.js';
+import { ExpressionAnalyzer } from './tracking/ExpressionAnalyzer.js';
+import { LandmarkExtrapolator } from './tracking/LandmarkExtrapolator.js';
+import { RegionTracker } from './tracking/RegionTracker.js';
+import { DetectionScheduler } from './performance/DetectionScheduler.js';
+import { CameraSource } from './input/CameraSource.js';
+import { INPUT, CAMERA_CONFIG, DETECTOR, BACKEND } from './config/constants.js';
+import { FrameCompositor } from './capture/FrameCompositor.js';
 import { browserDetector } from './utils/browserDetection.js';
 
 export class FaceFilterApp {
-  constructor(tf, faceLandmarksDetection) {
+  /**
+   * @param {object} tf - TensorFlow.js
+   * @param {object} faceLandmarksDetection - Face landmarks model package
+   * @param {object} options - { inputSource } to use instead of the camera,
+   *   { detector } type or FaceDetector instance to use instead of the saved choice,
+   *   { backend } TensorFlow.js backend (BACKEND.AUTO or a candidate) instead of the saved choice,
+   *   { assetBase } directory of self-hosted models (defaults to ASSETS.BASE_PATH),
+   *   { onExpression } callback receiving (faceId, expression, active) as expressions start and end,
+   *   { worker: false } to keep face detection on the main thread
+   */
+  constructor(tf, faceLandmarksDetection, options = {}) {
     this.tf = tf;
     this.faceLandmarksDetection = faceLandmarksDetection;
 
@@ -23,8 +54,38 @@ export class FaceFilterApp {
     this.performanceManager = new PerformanceManager();
     this.memoryManager = new MemoryManager(tf);
     this.filterRenderer = new FilterRenderer();
+    this.faceTracker = new FaceTracker();
+    this.landmarkSmoother = new LandmarkSmoother();
+    this.landmarkExtrapolator = new LandmarkExtrapolator();
+    this.regionTracker = new RegionTracker();
+    this.detectionScheduler = new DetectionScheduler();
+    this.expressionAnalyzer = new ExpressionAnalyzer();
+    if (options.onExpression) {
+      this.expressionAnalyzer.setExpressionCallback(options.onExpression);
+    }
     this.uiControls = new UIControls(this.filterRenderer);
+    this.cameraControls = new CameraControls(this.camera);
+    this.cameraStatus = new CameraStatus(this.camera);
+    this.sourcePicker = new SourcePicker(this.camera);
+    this.inputSource = options.inputSource || new CameraSource(this.camera);
+    this.landmarkRecorder = new LandmarkRecorder();
+    this.replayControls = new ReplayControls(this.landmarkRecorder);
+    this.detectorSelect = new DetectorSelect();
+    this.modelLoader.setDetector(options.detector || this.detectorSelect.getInitialType());
+    this.backendSelect = new BackendSelect();
+    this.modelLoader.setBackend(options.backend || this.backendSelect.getInitialChoice());
+    if (options.assetBase) {
+      this.modelLoader.setAssetBase(options.assetBase);
+    }
+    if (options.worker === false) {
+      this.modelLoader.setUseWorker(false);
+    }
     this.photoCapture = null;
+    this.videoCapture = null;
+    this.gifCapture = null;
+    this.gallery = new Gallery();
+    this.photoEditor = null;
+    this.compositor = null;
 
     // Canvas and video elements
     this.video = null;
@@ -35,7 +96,16 @@ export class FaceFilterApp {
     this.animationFrameId = null;
     this.lastFrameTime = 0;
     this.skipFrameCounter = 0;
+    this.detectionGeneration = 0;   // Bumped to discard detections still running
+    this.detectionPauses = 0;       // Still detections and model loads pausing live detection
+    this.replayAnalysis = null;     // Expressions of the last analyzed replay frame
     this.isRunning = false;
+    this.isInitialized = false;
+    this.captureQualityPending = false;
+    this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+
+    // Last rendered frame (used to bake filters into captures)
+    this.frameState = { faces: [], qualitySettings: null, filterName: 'none', animationTime: 0 };
   }
 
   /**
@@ -57,22 +127,74 @@ export class FaceFilterApp {
 
       // Initialize performance detection
       await this.performanceManager.init();
+      this.performanceManager.setLevelChangeCallback(() => this.applyCaptureQuality());
 
-      // Initialize camera
-      this.uiControls.updateStatus('Accessing camera...');
-      await this.camera.setup(this.video);
+      // Follow the camera lifecycle (loss, permission changes) and page visibility
+      this.cameraStatus.init();
+      this.camera.setStateChangeCallback((state, error) => this.handleCameraStateChange(state, error));
+      document.addEventListener('visibilitychange', this.handleVisibilityChange);
+
+      // Start input (camera unless the host page supplied a source)
+      this.uiControls.updateStatus(
+        this.inputSource.type === INPUT.TYPES.CAMERA ? 'Accessing camera...' : `Loading ${this.inputSource.label}...`
+      );
+      let inputError = null;
+      try {
+        await this.inputSource.start(this.video);
+      } catch (error) {
+        // Without a camera the app still loads so a file can be opened instead
+        if (this.inputSource.type !== INPUT.TYPES.CAMERA) throw error;
+        inputError = error;
+      }
 
       // Setup canvas dimensions
       this.setupCanvas();
 
-      // Load face detection model
-      this.uiControls.updateStatus('Loading face detection model...');
-      await this.modelLoader.load(this.performanceManager.performanceLevel);
+      // Load face detection model (replays bring their own faces)
+      if (!this.inputSource.providesFaces) {
+        await this.loadModel();
+      }
 
       // Initialize UI
       this.uiControls.init();
-      this.photoCapture = new PhotoCapture(this.video);
+      this.compositor = new FrameCompositor(this.video, this.filterRenderer);
+      this.photoCapture = new PhotoCapture(this.video, this.compositor);
+      this.photoCapture.setFrameProvider(() => this.getFrameState());
+      this.photoCapture.setFaceDetector(input => this.detectStill(input));
       this.photoCapture.init();
+      this.videoCapture = new VideoCapture(this.compositor, this.photoCapture);
+      this.videoCapture.setFrameProvider(() => this.getFrameState());
+      this.videoCapture.init();
+      this.gifCapture = new GifCapture(this.video, this.compositor, this.photoCapture);
+      this.gifCapture.setFrameProvider(() => this.getFrameState());
+      this.gifCapture.init();
+      this.photoEditor = new PhotoEditor(this.filterRenderer, this.compositor, this.photoCapture);
+      this.photoEditor.init();
+      this.photoCapture.setStillCallback(still => this.photoEditor.setStill(still));
+      this.backendSelect.init(this.modelLoader.getModelInfo().backendChoice);
+      this.backendSelect.setChangeCallback(choice => this.setBackend(choice));
+      this.applyDetectorCapabilities();
+      this.detectorSelect.init(this.modelLoader.getDetectorType());
+      this.detectorSelect.setChangeCallback(type => this.setDetector(type));
+
+      // Camera and source switching keep the loaded model; only per-stream state resets
+      this.cameraControls.init();
+      this.camera.setSwitchCallback(() => this.handleSourceChange());
+      this.sourcePicker.init();
+      this.sourcePicker.setSelectCallback(source => this.setInputSource(source));
+      this.replayControls.init();
+      this.replayControls.setInputProvider(() => this.inputSource);
+      this.updateSourceControls();
+      this.updateMirroring();
+      if (inputError) {
+        // Offer a camera retry next to the file picker
+        this.sourcePicker.setActiveType(null);
+      }
+
+      // Keep captures in the in-app gallery
+      if (await this.gallery.init()) {
+        this.photoCapture.setCaptureCallback(capture => this.saveToGallery(capture));
+      }
 
       // Start memory management
       this.memoryManager.startAutoCleanup();
@@ -83,13 +205,24 @@ export class FaceFilterApp {
       // Update status
       const stats = this.performanceManager.getStats();
       const modelInfo = this.modelLoader.getModelInfo();
-      this.uiControls.updateStatus(
-        `Ready! Performance: ${stats.performanceLevel}, ` +
-        `Backend: ${modelInfo.backend}, Max faces: ${modelInfo.maxFaces}`
-      );
+      if (inputError) {
+        this.uiControls.updateStatus(`${inputError.message}. Open a video or image in Settings.`);
+      } else if (!modelInfo.loaded) {
+        this.uiControls.updateStatus(`Replaying ${this.inputSource.label}`);
+      } else {
+        this.uiControls.updateStatus(
+          `Ready! Performance: ${stats.performanceLevel}, ` +
+          `Tracking: ${DETECTOR.LABELS[modelInfo.detector] || modelInfo.detector}, ` +
+          `Backend: ${modelInfo.backend || 'none'}${modelInfo.worker ? ' (worker)' : ''}, ` +
+          `Max faces: ${modelInfo.maxFaces}`
+        );
+      }
 
-      // Start animation loop
-      this.start();
+      // Start animation loop (once the camera recovers if it is unavailable)
+      this.isInitialized = true;
+      if (this.canRender()) {
+        this.start();
+      }
     } catch (error) {
       this.uiControls.showLoading(false);
       this.uiControls.updateStatus(`Error: ${error.message}`);
@@ -97,39 +230,163 @@ export class FaceFilterApp {
     }
   }
 
+  /**
+   * Load the face detection model if it is not loaded yet
+   */
+  async loadModel() {
+    if (this.modelLoader.getModelInfo().loaded) return;
+
+    this.uiControls.updateStatus('Loading face detection model...');
+    await this.withDetectionPaused(() => this.modelLoader.load(this.performanceManager.performanceLevel));
+    this.applyDetectorCapabilities();
+  }
+
+  /**
+   * Switch face detectors, keeping the current one if the new one fails to load
+   * @param {string} type - One of DETECTOR.TYPES
+   */
+  async setDetector(type) {
+    const previous = this.modelLoader.getDetectorType();
+    if (type === previous) return;
+
+    this.modelLoader.setDetector(type);
+    this.detectorSelect.saveType(type);
+
+    // Replays load the chosen detector when a camera or file is opened again
+    if (!this.modelLoader.getModelInfo().loaded) return;
+
+    this.detectorSelect.setBusy(true);
+    this.uiControls.updateStatus('Loading face detection model...');
+
+    try {
+      // Benchmarks switch the global backend; live inference would skew them and run on the wrong one
+      await this.withDetectionPaused(() => this.modelLoader.load(this.performanceManager.performanceLevel));
+      this.applyDetectorCapabilities();
+      this.handleSourceChange();
+      this.uiControls.updateStatus(`Face tracking: ${DETECTOR.LABELS[type] || type}`);
+    } catch (error) {
+      this.modelLoader.setDetector(previous);
+      this.detectorSelect.saveType(previous);
+      this.detectorSelect.setValue(previous);
+      this.uiControls.updateStatus(`Error: ${error.message}`);
+    } finally {
+      this.detectorSelect.setBusy(false);
+    }
+  }
+
+  /**
+   * Switch TensorFlow.js backends, keeping the current one if the model fails to load
+   * @param {string} choice - BACKEND.AUTO or one of BACKEND.CANDIDATES
+   */
+  async setBackend(choice) {
+    const previous = this.modelLoader.getModelInfo().backendChoice;
+    if (choice === previous) return;
+
+    this.modelLoader.setBackend(choice);
+    this.backendSelect.saveChoice(choice);
+
+    // Replays load on the chosen backend when a camera or file is opened again
+    if (!this.modelLoader.getModelInfo().loaded) return;
+
+    this.backendSelect.setBusy(true);
+    this.uiControls.updateStatus('Loading face detection model...');
+
+    try {
+      await this.withDetectionPaused(() => this.modelLoader.load(this.performanceManager.performanceLevel));
+      this.applyDetectorCapabilities();
+      this.handleSourceChange();
+      const { backend } = this.modelLoader.getModelInfo();
+      this.uiControls.updateStatus(`Backend: ${BACKEND.LABELS[backend] || backend || 'none'}`);
+    } catch (error) {
+      this.modelLoader.setBackend(previous);
+      this.backendSelect.saveChoice(previous);
+      this.backendSelect.setValue(previous);
+      this.uiControls.updateStatus(`Error: ${error.message}`);
+    } finally {
+      this.backendSelect.setBusy(false);
+    }
+  }
+
+  /**
+   * Disable filters that need landmarks the loaded detector does not provide,
+   * and show the backend benchmark behind it
+   */
+  applyDetectorCapabilities() {
+    const { backend, backendTimings } = this.modelLoader.getModelInfo();
+    this.backendSelect.showTimings(backendTimings, backend);
+    this.filterRenderer.setCapabilities(this.modelLoader.getCapabilities());
+    this.uiControls.updateFilterAvailability();
+    this.photoEditor?.updateFilterButtons();
+  }
+
+  /**
+   * Renegotiate the input's capture size and frame rate for the performance level
+   * Waits for recordings to finish so a clip or landmark file keeps one size
+   */
+  applyCaptureQuality() {
+    if (this.isRecordingActive()) {
+      this.captureQualityPending = true;
+      return;
+    }
+
+    this.captureQualityPending = false;
+    this.inputSource.setCaptureQuality(this.performanceManager.getCaptureQuality());
+  }
+
+  /**
+   * Check if a video or landmark recording is running; both fix the frame size when they start
+   * @returns {boolean}
+   */
+  isRecordingActive() {
+    return Boolean(this.videoCapture?.isRecording() || this.landmarkRecorder.isRecording());
+  }
+
   /**
    * Setup canvas dimensions
    */
   setupCanvas() {
     const updateCanvasSize = () => {
-      this.overlay.width = this.video.videoWidth;
-      this.overlay.height = this.video.videoHeight;
+      const { videoWidth, videoHeight } = this.video;
+      if (this.overlay.width === videoWidth && this.overlay.height === videoHeight) return;
+
+      this.overlay.width = videoWidth;
+      this.overlay.height = videoHeight;
+      this.filterRenderer.resize(videoWidth, videoHeight);
+
+      // Landmarks from the old size no longer line up
+      this.performanceManager.lastFaces = [];
+      this.resetTracking();
     };
 
     updateCanvasSize();
 
-    // Update on video resize
+    // Update on video resize (source changes and capture renegotiation)
     this.video.addEventListener('resize', updateCanvasSize);
   }
 
   /**
-   * Start animation loop
+   * Start the render loop (every display frame) and detection (every new video frame)
    */
   start() {
     if (this.isRunning) return;
 
     this.isRunning = true;
     this.lastFrameTime = performance.now();
+    // A paused task in progress restarts live detection when it finishes
+    if (!this.detectionPauses) {
+      this.detectionScheduler.start(this.video, timestamp => this.detectFrame(timestamp));
+    }
     this.animate();
   }
 
   /**
-   * Stop animation loop
+   * Stop the render loop and detection
    */
   stop() {
     if (!this.isRunning) return;
 
     this.isRunning = false;
+    this.detectionScheduler.stop();
     if (this.animationFrameId) {
       cancelAnimationFrame(this.animationFrameId);
       this.animationFrameId = null;
@@ -138,8 +395,9 @@ export class FaceFilterApp {
 
   /**
    * Main animation loop
+   * Never waits for detection: live faces are extrapolated from the latest results
    */
-  async animate() {
+  animate() {
     if (!this.isRunning) return;
 
     try {
@@ -147,44 +405,67 @@ export class FaceFilterApp {
       const deltaTime = currentTime - this.lastFrameTime;
       this.lastFrameTime = currentTime;
 
-      // Update FPS and performance
+      // Render FPS is for display; detection speed drives the performance level
       this.performanceManager.updateFPS(deltaTime);
 
-      // Update animation time
-      this.filterRenderer.updateAnimationTime(deltaTime);
-
-      // Determine if we should skip this frame for detection
-      const shouldSkip = this.performanceManager.shouldSkipFrame(this.skipFrameCounter);
-      this.skipFrameCounter++;
-
       let faces = [];
-
-      if (!shouldSkip) {
-        // Perform face detection
-        faces = await this.modelLoader.detectFaces(this.video);
-
-        // Calculate face movement
-        const movement = this.performanceManager.calculateFaceMovement(faces);
-
-        // Cache faces for interpolation
-        this.performanceManager.cachedFaces = faces;
+      let quality;
+
+      if (this.inputSource.providesFaces) {
+        // Replays supply faces, quality and a fixed animation step so every run renders the same
+        this.inputSource.nextFaces(currentTime);
+        faces = this.analyzeReplay(this.inputSource);
+        quality = this.inputSource.getQuality();
+        this.filterRenderer.resetAnimationTime();
+        this.filterRenderer.updateAnimationTime(this.inputSource.getAnimationTime());
       } else {
-        // Use interpolated faces
-        faces = this.performanceManager.interpolateFaces(
-          this.performanceManager.cachedFaces || [],
-          0.3
-        );
+        this.filterRenderer.updateAnimationTime(deltaTime);
+        this.performanceManager.updateDetectionRate(this.detectionScheduler.getStats());
+        faces = this.landmarkExtrapolator.predict(currentTime);
+        quality = {
+          performanceLevel: this.performanceManager.performanceLevel,
+          memoryPressureLevel: this.performanceManager.memoryPressureLevel
+        };
+      }
+
+      // Solve head pose once per frame for all filter parts
+      if (faces) {
+        faces = attachHeadPoses(faces);
       }
 
       // Clear canvas
       this.ctx.clearRect(0, 0, this.overlay.width, this.overlay.height);
 
       // Render filters
+      const qualitySettings = this.performanceManager.getQualitySettings(
+        quality.performanceLevel,
+        quality.memoryPressureLevel
+      );
       if (faces && faces.length > 0) {
-        const qualitySettings = this.performanceManager.getQualitySettings();
         this.filterRenderer.render(this.ctx, faces, qualitySettings);
       }
 
+      // Self-timer countdown (not part of captures)
+      this.photoCapture?.drawOverlay(this.ctx);
+
+      // Remember what was drawn so captures can reproduce it
+      this.frameState = {
+        faces: faces || [],
+        qualitySettings,
+        filterName: this.filterRenderer.getCurrentFilter(),
+        animationTime: this.filterRenderer.animationTime
+      };
+
+      // Feed active recordings
+      this.videoCapture?.captureFrame(this.frameState);
+      this.gifCapture?.captureFrame(this.frameState);
+      this.replayControls.captureFrame(this.frameState.faces, quality, currentTime);
+
+      // Apply a capture size change held back during a recording
+      if (this.captureQualityPending) {
+        this.applyCaptureQuality();
+      }
+
       // Memory management (periodic cleanup)
       const stats = this.performanceManager.getStats();
       if (stats.frameCount % stats.cleanupInterval === 0) {
@@ -199,12 +480,310 @@ export class FaceFilterApp {
     }
   }
 
+  /**
+   * Get the current replay frame's faces with expressions
+   * Analyzes each recorded frame once and in order, whatever the display rate or
+   * pauses, so replayed expression events match every run; seeks and loops start over
+   * @param {ReplaySource} source
+   * @returns {Array}
+   */
+  analyzeReplay(source) {
+    const { frameIndex, jumps } = source;
+    const previous = this.replayAnalysis;
+    const continues = previous?.source === source && previous.jumps === jumps &&
+      previous.frameIndex <= frameIndex;
+
+    if (continues && previous.frameIndex === frameIndex) {
+      return previous.faces;
+    }
+
+    let from = frameIndex;
+    if (continues) {
+      // Frames passed between two display frames still feed calibration in order
+      from = previous.frameIndex + 1;
+    } else {
+      this.expressionAnalyzer.reset();
+    }
+
+    let faces = [];
+    for (let index = from; index <= frameIndex; index++) {
+      faces = this.expressionAnalyzer.analyze(source.getFrameFaces(index), source.getAnimationTime(index) / 1000);
+    }
+
+    this.replayAnalysis = { source, frameIndex, jumps, faces };
+    return faces;
+  }
+
+  /**
+   * Detect faces on a new video frame
+   * Called by the detection scheduler, never while a previous call is running
+   * @param {number} timestamp - When the frame was captured, in ms
+   * @returns {Promise<boolean>} False if the frame was skipped
+   */
+  async detectFrame(timestamp) {
+    if (this.inputSource.providesFaces) return false;
+
+    // Skip video frames when performance requires it
+    const shouldSkip = this.performanceManager.shouldSkipFrame(this.skipFrameCounter);
+    this.skipFrameCounter++;
+    if (shouldSkip) return false;
+
+    const generation = this.detectionGeneration;
+    const detected = await this.modelLoader.detectFaces(this.video, this.regionTracker.next());
+
+    // Drop results for a source or size that has since changed
+    if (generation === this.detectionGeneration) {
+      this.applyDetection(detected, timestamp);
+    }
+    return true;
+  }
+
+  /**
+   * Detect faces on a still image with live detection paused
+   * The live detector is stateful, so the two must not interleave
+   * @param {HTMLCanvasElement|HTMLImageElement} input
+   * @returns {Promise<Array>} Faces in input pixel coordinates
+   */
+  async detectStill(input) {
+    return this.withDetectionPaused(() => this.modelLoader.detectStill(input));
+  }
+
+  /**
+   * Run a task with live detection stopped and any running detection finished
+   * @param {Function} task - Async function using the detector or the TensorFlow backend
+   * @returns {Promise<*>} The task's result
+   */
+  async withDetectionPaused(task) {
+    this.detectionPauses++;
+    this.detectionScheduler.stop();
+    await this.detectionScheduler.whenIdle();
+
+    try {
+      return await task();
+    } finally {
+      this.detectionPauses--;
+      if (!this.detectionPauses && this.isRunning) {
+        this.detectionScheduler.start(this.video, timestamp => this.detectFrame(timestamp));
+      }
+    }
+  }
+
+  /**
+   * Track, smooth and hand a detection result to the render loop
+   * @param {Array} detected - Faces from the detector
+   * @param {number} timestamp - When the frame was captured
+   */
+  applyDetection(detected, timestamp) {
+    // Keep each person's ID and smooth out jitter
+    const smoothed = this.landmarkSmoother.smooth(this.faceTracker.update(detected, timestamp), timestamp);
+
+    // Measure expressions once per detection; extrapolated render frames carry them along
+    const faces = this.expressionAnalyzer.analyze(smoothed, this.filterRenderer.animationTime);
+
+    // Search only around faces that hold still in the next frame
+    const movement = this.performanceManager.calculateFaceMovement(faces);
+    if (this.modelLoader.getCapabilities()?.regionOfInterest) {
+      this.regionTracker.update(faces, movement, this.video.videoWidth, this.video.videoHeight);
+    }
+
+    this.landmarkExtrapolator.update(faces, timestamp);
+  }
+
+  /**
+   * Replace the input source without reloading the model
+   * Restores the previous source if the new one fails to start
+   * @param {InputSource} source
+   */
+  async setInputSource(source) {
+    const previous = this.inputSource;
+    if (this.isRecordingActive()) {
+      this.uiControls.updateStatus('Stop recording before changing input');
+      return;
+    }
+
+    this.uiControls.updateStatus(`Loading ${source.label}...`);
+    previous.stop();
+
+    try {
+      await source.start(this.video);
+      this.inputSource = source;
+      if (!source.providesFaces) {
+        await this.loadModel();
+      }
+      this.uiControls.updateStatus('Ready');
+    } catch (error) {
+      this.uiControls.updateStatus(`Error: ${error.message}`);
+      if (this.inputSource !== source) {
+        source.stop();
+        try {
+          await previous.start(this.video);
+        } catch (restoreError) {
+          // Nothing left to show; the user can pick another source
+        }
+      }
+    }
+
+    this.updateSourceControls();
+    this.handleSourceChange();
+    if (this.canRender()) {
+      this.start();
+    }
+  }
+
+  /**
+   * Pause rendering while the camera is unavailable and resume once it is live
+   * @param {string} state - One of CAMERA_CONFIG.STATES
+   * @param {Error} [error]
+   */
+  handleCameraStateChange(state, error) {
+    this.cameraStatus.render(state, error);
+
+    if (!this.isInitialized || this.inputSource.type !== INPUT.TYPES.CAMERA) return;
+
+    if (state === CAMERA_CONFIG.STATES.LIVE) {
+      this.updateSourceControls();
+      this.handleSourceChange();
+      if (this.canRender()) {
+        this.start();
+      }
+    } else if (
+      state === CAMERA_CONFIG.STATES.LOST ||
+      state === CAMERA_CONFIG.STATES.DENIED ||
+      state === CAMERA_CONFIG.STATES.SUSPENDED
+    ) {
+      this.haltRendering();
+    }
+  }
+
+  /**
+   * Release the input while the page is hidden and pick it up again when shown
+   */
+  async handleVisibilityChange() {
+    if (!this.isInitialized) return;
+
+    if (document.hidden) {
+      this.haltRendering();
+      this.inputSource.suspend();
+      return;
+    }
+
+    try {
+      await this.inputSource.resume();
+      if (this.canRender()) {
+        this.start();
+      }
+    } catch (error) {
+      // Camera state change shows the recovery notice
+    }
+  }
+
+  /**
+   * Forget tracked faces, including any detection still running
+   */
+  resetTracking() {
+    this.landmarkExtrapolator.reset();
+    this.regionTracker.reset();
+    this.faceTracker.reset();
+    this.landmarkSmoother.reset();
+    this.expressionAnalyzer.reset();
+    this.replayAnalysis = null;
+    this.detectionGeneration++;
+  }
+
+  /**
+   * Stop the render loop and anything that depends on live frames
+   */
+  haltRendering() {
+    this.stop();
+    this.videoCapture?.stop();
+    this.resetTracking();
+    this.frameState = { ...this.frameState, faces: [] };
+    this.ctx?.clearRect(0, 0, this.overlay.width, this.overlay.height);
+  }
+
+  /**
+   * Check if the input has frames worth rendering
+   * @returns {boolean}
+   */
+  canRender() {
+    if (document.hidden) return false;
+
+    return this.inputSource.type !== INPUT.TYPES.CAMERA ||
+      this.camera.getState() === CAMERA_CONFIG.STATES.LIVE;
+  }
+
+  /**
+   * Drop faces tracked on the previous camera or source and update mirroring
+   */
+  handleSourceChange() {
+    this.resetTracking();
+    this.frameState = { ...this.frameState, faces: [] };
+    this.updateMirroring();
+  }
+
+  /**
+   * Show camera controls only while the camera is the input
+   */
+  updateSourceControls() {
+    const isCamera = this.inputSource.type === INPUT.TYPES.CAMERA;
+    this.cameraControls.setEnabled(isCamera);
+    if (!isCamera) {
+      this.cameraStatus.hide();
+    }
+    this.sourcePicker.setActiveType(this.inputSource.type);
+    this.replayControls.setSource(this.inputSource);
+  }
+
+  /**
+   * Mirror preview and captures for front cameras only
+   */
+  updateMirroring() {
+    const mirrored = this.inputSource.isMirrored();
+    this.compositor?.setMirrored(mirrored);
+    this.video.parentElement?.classList.toggle('unmirrored', !mirrored);
+  }
+
+  /**
+   * Get faces, quality settings and filter of the last rendered frame
+   * @returns {object}
+   */
+  getFrameState() {
+    return this.frameState;
+  }
+
+  /**
+   * Store a capture in the gallery, tagged with the filter it was rendered with
+   * @param {object} capture - { blob, extension, previewBlob, metadata, filter }; captures
+   *   without a filter (videos, GIFs) are tagged with the live filter
+   */
+  saveToGallery(capture) {
+    const { filterName, filtered } = capture.filter ||
+      { filterName: this.filterRenderer.getCurrentFilter(), filtered: true };
+    const storedName = filtered ? filterName : 'none';
+    const filterInfo = this.filterRenderer.getAvailableFilters().find(filter => filter.name === storedName);
+
+    this.gallery.add(capture.blob, {
+      extension: capture.extension,
+      previewBlob: capture.previewBlob,
+      filterName: storedName,
+      filterDisplayName: filterInfo?.displayName,
+      filtered,
+      metadata: capture.metadata
+    });
+  }
+
   /**
    * Cleanup and destroy
    */
   async destroy() {
     this.stop();
-    this.camera.stop();
+    document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+    this.videoCapture?.destroy();
+    this.gifCapture?.destroy();
+    this.photoEditor?.destroy();
+    this.replayControls.destroy();
+    this.gallery.destroy();
+    this.inputSource.stop();
     this.modelLoader.dispose();
     this.memoryManager.destroy();
   }
@@ -216,8 +795,10 @@ export class FaceFilterApp {
   getStats() {
     return {
       performance: this.performanceManager.getStats(),
+      detection: { ...this.detectionScheduler.getStats(), ...this.regionTracker.getStats() },
       model: this.modelLoader.getModelInfo(),
-      camera: this.camera.getDimensions(),
+      camera: this.inputSource.getDimensions(),
+      input: this.inputSource.type,
       memory: this.memoryManager.getMemoryInfo(),
       filter: this.filterRenderer.getCurrentFilter(),
       browser: browserDetector.getCompatibilityInfo()
@@ -1,42 +1,122 @@
 /**
  * Model Loader
- * Handles TensorFlow.js and MediaPipe Face Mesh model loading
+ * Sets up TensorFlow.js and loads the selected face detector, in a worker
+ * where supported, on the fastest backend measured on this device
  */
 
-import { SAFARI_CONFIG, PERFORMANCE } from './config/constants.js';
+import { ASSETS, BACKEND, DETECTOR, SAFARI_CONFIG, PERFORMANCE } from './config/constants.js';
 import { browserDetector } from './utils/browserDetection.js';
+import { offsetFaces } from './utils/viewportUtils.js';
+import { FaceDetector } from './detectors/FaceDetector.js';
+import { WorkerDetector } from './detectors/WorkerDetector.js';
+import { createDetector } from './detectors/createDetector.js';
+import { loadOnBestBackend } from './detectors/tfBackend.js';
 
 export class ModelLoader {
   constructor(tf, faceLandmarksDetection) {
     this.tf = tf;
     this.faceLandmarksDetection = faceLandmarksDetection;
-    this.model = null;
+    this.detectorChoice = DETECTOR.DEFAULT_TYPE;
+    this.assetBase = ASSETS.BASE_PATH;
+    this.detector = null;
     this.backend = null;
+    this.backendTimings = null;
+    this.backendChoice = BACKEND.AUTO;
+    this.useWorker = true;
+    // Area searched by the last detectFaces call (null = whole input)
+    this.lastRegion = null;
+    this.cropCanvas = null;
   }
 
   /**
-   * Load face detection model
+   * Choose the TensorFlow.js backend used by the next load()
+   * @param {string} backend - One of BACKEND.CANDIDATES, or BACKEND.AUTO for the benchmarked fastest
+   */
+  setBackend(backend) {
+    this.backendChoice = backend;
+  }
+
+  /**
+   * Allow or prevent running detection in a worker
+   * @param {boolean} enabled
+   */
+  setUseWorker(enabled) {
+    this.useWorker = enabled;
+  }
+
+  /**
+   * Check if the next load() will try a worker
+   * Custom detector instances cannot be moved into a worker
+   * @returns {boolean}
+   */
+  canUseWorker() {
+    return this.useWorker &&
+      typeof this.detectorChoice === 'string' &&
+      browserDetector.supportsWorkerDetection();
+  }
+
+  /**
+   * Check if the loaded detector runs in a worker
+   * @returns {boolean}
+   */
+  isOffThread() {
+    return this.detector instanceof WorkerDetector;
+  }
+
+  /**
+   * Choose the detector used by the next load()
+   * @param {string|FaceDetector} detector - One of DETECTOR.TYPES or an instance
+   */
+  setDetector(detector) {
+    this.detectorChoice = detector;
+  }
+
+  /**
+   * Serve models from another path
+   * @param {string} base - Directory holding the fetched assets, relative to the page or absolute
+   */
+  setAssetBase(base) {
+    this.assetBase = base;
+  }
+
+  /**
+   * Get the type of the loaded detector, or the chosen one before load()
+   * @returns {string}
+   */
+  getDetectorType() {
+    return this.detector?.type || this.detectorChoice?.type || this.detectorChoice;
+  }
+
+  /**
+   * Create a detector for a type
+   * @param {string} type - One of DETECTOR.TYPES
+   * @returns {FaceDetector}
+   */
+  createDetector(type) {
+    return createDetector(type, this.faceLandmarksDetection);
+  }
+
+  /**
+   * Load the chosen face detector, replacing any loaded one
    * @param {string} performanceLevel - high, medium, or low
-   * @returns {Promise<object>}
+   * @returns {Promise<FaceDetector>}
    */
   async load(performanceLevel) {
     try {
-      // Setup TensorFlow backend
-      await this.setupBackend();
-
-      // Wait for backend to be ready
-      await this.tf.ready();
-
       // Determine max faces based on platform and performance
       const maxFaces = this.getMaxFaces(performanceLevel);
+      const options = { maxFaces, performanceLevel, assetBase: this.assetBase };
 
-      // Build model configuration
-      const modelConfig = this.buildModelConfig(maxFaces, performanceLevel);
+      const detector = (this.canUseWorker() && await this.loadWorkerDetector(options)) ||
+        await this.loadLocalDetector(options);
 
-      // Load model with retry logic
-      this.model = await this.loadModelWithRetry(modelConfig);
+      if (this.detector !== detector) {
+        this.dispose();
+      }
+      this.detector = detector;
+      this.lastRegion = null;
 
-      return this.model;
+      return detector;
     } catch (error) {
       this.handleLoadError(error);
       throw error;
@@ -44,129 +124,115 @@ export class ModelLoader {
   }
 
   /**
-   * Setup TensorFlow backend with Safari handling
-   * @returns {Promise<void>}
+   * Load the chosen detector in a worker
+   * @param {object} options - { maxFaces, performanceLevel, assetBase }
+   * @returns {Promise<WorkerDetector|null>} Null if the worker could not load it
    */
-  async setupBackend() {
-    if (browserDetector.isSafari) {
-      try {
-        // Try WebGL with Safari checks
-        const webglSupported =
-          this.tf.ENV.getBool('WEBGL_RENDER_FLOAT32_CAPABLE') &&
-          this.tf.ENV.getBool('WEBGL_VERSION') >= 1;
-
-        if (webglSupported) {
-          await this.tf.setBackend('webgl');
-          this.backend = 'webgl';
-        } else {
-          throw new Error('WebGL not fully supported in Safari');
-        }
-      } catch (e) {
-        await this.tf.setBackend('cpu');
-        this.backend = 'cpu';
-      }
-    } else {
-      // Non-Safari browsers
-      try {
-        await this.tf.setBackend('webgl');
-        this.backend = 'webgl';
-      } catch (e) {
-        await this.tf.setBackend('cpu');
-        this.backend = 'cpu';
-      }
+  async loadWorkerDetector(options) {
+    const detector = new WorkerDetector(this.detectorChoice);
+
+    try {
+      await detector.load({ ...options, backend: this.getPreferredBackend(true) });
+      this.saveBenchmark(true, detector.backend, detector.timings);
+      return detector;
+    } catch (error) {
+      // Fall back to the main thread
+      detector.dispose();
+      return null;
     }
   }
 
   /**
-   * Get max faces based on platform and performance
-   * @param {string} performanceLevel
-   * @returns {number}
+   * Load the chosen detector on the main thread
+   * @param {object} options - { maxFaces, performanceLevel, assetBase }
+   * @returns {Promise<FaceDetector>}
    */
-  getMaxFaces(performanceLevel) {
-    if (browserDetector.isSafari) {
-      return SAFARI_CONFIG.MAX_FACES[performanceLevel.toUpperCase()] || 1;
+  async loadLocalDetector(options) {
+    const detector = this.detectorChoice instanceof FaceDetector
+      ? this.detectorChoice
+      : this.createDetector(this.detectorChoice);
+
+    if (!detector.getCapabilities().usesTensorFlow) {
+      await detector.load(options);
+      return detector;
     }
 
-    const perfConfig = PERFORMANCE[performanceLevel.toUpperCase()];
-    return perfConfig?.maxFaces || 3;
+    const { backend, timings } = await loadOnBestBackend(this.tf, detector, {
+      ...options,
+      backend: this.getPreferredBackend(false)
+    });
+    this.backend = backend;
+    this.saveBenchmark(false, backend, timings);
+    return detector;
   }
 
   /**
-   * Build model configuration
-   * @param {number} maxFaces
-   * @param {string} performanceLevel
-   * @returns {object}
+   * Get the backend to load on: the user's choice, else the cached benchmark winner
+   * @param {boolean} offThread - Worker and main thread are benchmarked separately
+   * @returns {string|null} Null to benchmark every candidate
    */
-  buildModelConfig(maxFaces, performanceLevel) {
-    const config = {
-      maxFaces: maxFaces,
-      refineLandmarks: false,
-      detectionConfidence: browserDetector.isSafari
-        ? SAFARI_CONFIG.DETECTION_CONFIDENCE
-        : PERFORMANCE[performanceLevel.toUpperCase()].detectionConfidence,
-      maxContinuousChecks: browserDetector.isSafari
-        ? SAFARI_CONFIG.MAX_CONTINUOUS_CHECKS
-        : 5,
-      detectorModelUrl: undefined,
-      landmarkModelUrl: undefined
-    };
-
-    // Safari-specific optimizations
-    if (browserDetector.isSafari) {
-      config.scoreThreshold = SAFARI_CONFIG.SCORE_THRESHOLD;
-      config.iouThreshold = SAFARI_CONFIG.IOU_THRESHOLD;
-
-      if (browserDetector.isIOS) {
-        config.maxVideoSize = SAFARI_CONFIG.MAX_VIDEO_SIZE_IOS;
-      } else {
-        config.maxVideoSize = SAFARI_CONFIG.MAX_VIDEO_SIZE_DESKTOP;
-      }
+  getPreferredBackend(offThread) {
+    if (this.backendChoice !== BACKEND.AUTO) {
+      return this.backendChoice;
     }
+    return this.loadBenchmark(offThread)?.backend || null;
+  }
 
-    return config;
+  /**
+   * Get the cached benchmark for the chosen detector, if it was measured in this browser
+   * @param {boolean} offThread
+   * @returns {object|null} { backend, timings }
+   */
+  loadBenchmark(offThread) {
+    try {
+      const cache = JSON.parse(localStorage.getItem(BACKEND.CACHE_KEY)) || {};
+      const entry = cache[this.getBenchmarkKey(offThread)];
+      return entry?.userAgent === navigator.userAgent ? entry : null;
+    } catch (e) {
+      return null;
+    }
   }
 
   /**
-   * Load model with retry logic
-   * @param {object} modelConfig
-   * @returns {Promise<object>}
+   * Keep the timings behind the loaded backend, caching fresh ones so later loads skip the benchmark
+   * @param {boolean} offThread
+   * @param {string} backend - Loaded backend
+   * @param {object|null} timings - From benchmarkBackends; null if no benchmark ran
    */
-  async loadModelWithRetry(modelConfig) {
-    const maxAttempts = browserDetector.isSafari ? SAFARI_CONFIG.MODEL_LOAD_ATTEMPTS : 1;
-    let model = null;
-
-    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-      try {
-        // Progressive degradation for Safari
-        if (browserDetector.isSafari && attempt > 1) {
-          modelConfig.maxFaces = Math.max(1, Math.floor(modelConfig.maxFaces / 2));
-          modelConfig.detectionConfidence = Math.min(0.9, modelConfig.detectionConfidence + 0.1);
-        }
-
-        model = await this.faceLandmarksDetection.load(
-          this.faceLandmarksDetection.SupportedModels.MediaPipeFaceMesh,
-          modelConfig
-        );
-
-        if (model) {
-          break;
-        }
-      } catch (error) {
-
-        if (attempt >= maxAttempts) {
-          throw error;
-        }
-
-        // Wait before retry
-        await new Promise(resolve => setTimeout(resolve, SAFARI_CONFIG.RETRY_DELAY_MS));
-      }
+  saveBenchmark(offThread, backend, timings) {
+    this.backendTimings = timings || this.loadBenchmark(offThread)?.timings || null;
+    if (!timings) return;
+
+    try {
+      const cache = JSON.parse(localStorage.getItem(BACKEND.CACHE_KEY)) || {};
+      cache[this.getBenchmarkKey(offThread)] = { backend, timings, userAgent: navigator.userAgent };
+      localStorage.setItem(BACKEND.CACHE_KEY, JSON.stringify(cache));
+    } catch (e) {
+      // Could not persist benchmark; the next load measures again
     }
+  }
 
-    if (!model) {
-      throw new Error('Failed to load model after multiple attempts');
+  /**
+   * Get the benchmark cache key for the chosen detector
+   * @param {boolean} offThread
+   * @returns {string}
+   */
+  getBenchmarkKey(offThread) {
+    return `${this.getDetectorType()}:${offThread ? 'worker' : 'main'}`;
+  }
+
+  /**
+   * Get max faces based on platform and performance
+   * @param {string} performanceLevel
+   * @returns {number}
+   */
+  getMaxFaces(performanceLevel) {
+    if (browserDetector.isSafari) {
+      return SAFARI_CONFIG.MAX_FACES[performanceLevel.toUpperCase()] || 1;
     }
 
-    return model;
+    const perfConfig = PERFORMANCE[performanceLevel.toUpperCase()];
+    return perfConfig?.maxFaces || 3;
   }
 
   /**
@@ -182,62 +248,85 @@ export class ModelLoader {
   }
 
   /**
-   * Detect faces in video frame
-   * @param {HTMLVideoElement} video
-   * @returns {Promise<Array>}
+   * Detect faces in a video frame or still image
+   * @param {HTMLVideoElement|HTMLCanvasElement|HTMLImageElement} input - Live video or a still
+   * @param {object} [region] - { x, y, width, height } to search instead of the whole input
+   *   (only for detectors with the regionOfInterest capability)
+   * @returns {Promise<Array>} Faces in input pixel coordinates
    */
-  async detectFaces(video) {
-    if (!this.model || !video.videoWidth) {
+  async detectFaces(input, region = null) {
+    if (!this.detector || !(input.videoWidth || input.width)) {
       return [];
     }
 
     try {
-      // Safari-specific detection with retry
-      if (browserDetector.isSafari) {
-        return await this.detectFacesSafari(video);
+      // Faces followed from the last call sit elsewhere in a different view
+      if (!isSameRegion(region, this.lastRegion)) {
+        this.lastRegion = region;
+        await this.detector.resetTracking();
+      }
+
+      if (!region) {
+        return await this.detector.detect(input);
       }
 
-      return await this.model.estimateFaces(video, false);
+      // Workers crop while creating the frame bitmap; the main thread draws the crop
+      const faces = this.isOffThread()
+        ? await this.detector.detect(input, region)
+        : await this.detector.detect(this.cropFrame(input, region));
+      return offsetFaces(faces, region.x, region.y);
     } catch (error) {
       return [];
     }
   }
 
   /**
-   * Detect faces on Safari with retry logic
-   * @param {HTMLVideoElement} video
-   * @returns {Promise<Array>}
+   * Detect faces in a still image without carrying tracking state to or from live frames
+   * Callers must keep live detection from running at the same time
+   * @param {HTMLCanvasElement|HTMLImageElement} input
+   * @returns {Promise<Array>} Faces in input pixel coordinates
    */
-  async detectFacesSafari(video) {
-    const maxAttempts = 3;
-
-    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-      try {
-        const faces = await this.model.estimateFaces(video, false);
-
-        // Validate face mesh integrity
-        if (faces && faces.length > 0) {
-          const validFaces = faces.filter(
-            face => face.scaledMesh && face.scaledMesh.length >= 468
-          );
-
-          if (validFaces.length > 0) {
-            return validFaces;
-          }
-        }
-
-        // If no valid faces and not last attempt, retry
-        if (attempt < maxAttempts) {
-          await new Promise(resolve => setTimeout(resolve, 10));
-        }
-      } catch (error) {
-        if (attempt >= maxAttempts) {
-          return [];
-        }
-      }
+  async detectStill(input) {
+    if (!this.detector || !input.width) {
+      return [];
+    }
+
+    try {
+      await this.detector.resetTracking();
+      return await this.detector.detect(input);
+    } catch (error) {
+      return [];
+    } finally {
+      // The next live frame must not start from the still's face boxes
+      await this.detector?.resetTracking().catch(() => {});
+    }
+  }
+
+  /**
+   * Copy part of the input into a reused canvas
+   * @param {HTMLVideoElement|HTMLCanvasElement|HTMLImageElement} input
+   * @param {object} region - { x, y, width, height }
+   * @returns {HTMLCanvasElement}
+   */
+  cropFrame(input, { x, y, width, height }) {
+    if (!this.cropCanvas) {
+      this.cropCanvas = document.createElement('canvas');
+    }
+    if (this.cropCanvas.width !== width || this.cropCanvas.height !== height) {
+      this.cropCanvas.width = width;
+      this.cropCanvas.height = height;
     }
 
-    return [];
+    this.cropCanvas.getContext('2d').drawImage(input, x, y, width, height, 0, 0, width, height);
+    return this.cropCanvas;
+  }
+
+  /**
+   * Get what the loaded detector provides
+   * @returns {object|null} See FaceDetector.getCapabilities
+   */
+  getCapabilities() {
+    return this.detector?.getCapabilities() || null;
   }
 
   /**
@@ -246,9 +335,13 @@ export class ModelLoader {
    */
   getModelInfo() {
     return {
-      backend: this.backend,
-      loaded: this.model !== null,
-      maxFaces: this.model?.maxFaces
+      backend: this.isOffThread() ? this.detector.backend : this.backend,
+      backendChoice: this.backendChoice,
+      backendTimings: this.backendTimings,
+      loaded: this.detector !== null,
+      maxFaces: this.detector?.maxFaces,
+      detector: this.detector?.type || null,
+      worker: this.isOffThread()
     };
   }
 
@@ -256,11 +349,24 @@ export class ModelLoader {
    * Clean up resources
    */
   dispose() {
-    if (this.model) {
-      // MediaPipe models don't have a dispose method, but we can null the reference
-      this.model = null;
+    if (this.detector) {
+      this.detector.dispose();
+      this.detector = null;
     }
   }
 }
 
+/**
+ * Check if two detection regions cover the same area
+ * @param {object|null} a
+ * @param {object|null} b
+ * @returns {boolean}
+ */
+function isSameRegion(a, b) {
+  if (!a || !b) {
+    return a === b;
+  }
+  return a.x === b.x && a.y === b.y && a.width === b.width && a.height === b.height;
+}
+
 export default ModelLoader;
@@ -0,0 +1,25 @@
+/**
+ * Service Worker Registration
+ * Production builds only; the dev server has no generated worker
+ */
+
+import { OFFLINE } from '../config/constants.js';
+
+/**
+ * Register the offline service worker
+ * @returns {Promise<ServiceWorkerRegistration|null>}
+ */
+export async function registerServiceWorker() {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) {
+    return null;
+  }
+
+  try {
+    return await navigator.serviceWorker.register(OFFLINE.SERVICE_WORKER_URL);
+  } catch (error) {
+    // Offline support is optional; the app works online without it
+    return null;
+  }
+}
+
+export default registerServiceWorker;
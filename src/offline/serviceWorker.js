@@ -0,0 +1,61 @@
+/**
+ * Service Worker
+ * Precaches the app shell, self-hosted libraries and model shards so the app
+ * starts without a network. The build fills in the placeholders below
+ * (scripts/serviceWorkerPlugin.js); a new version replaces the old cache.
+ */
+
+const CACHE_PREFIX = '__CACHE_PREFIX__';
+const CACHE_NAME = `${CACHE_PREFIX}__CACHE_VERSION__`;
+const PRECACHE_URLS = __PRECACHE_URLS__;
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(PRECACHE_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET' || !request.url.startsWith('http')) return;
+
+  if (request.mode === 'navigate') {
+    // Network first so kiosks pick up new builds; the cached shell serves offline
+    event.respondWith(fetch(request).catch(() => caches.match('index.html')));
+    return;
+  }
+
+  event.respondWith(cacheFirst(request));
+});
+
+/**
+ * Serve from the cache, keeping network responses for the next offline start
+ * (covers CDN and TF Hub fallbacks when assets are not self-hosted)
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok && (response.type === 'basic' || response.type === 'cors')) {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.put(request, response.clone());
+  }
+  return response;
+}
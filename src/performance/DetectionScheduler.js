@@ -0,0 +1,167 @@
+/**
+ * Detection Scheduler
+ * Runs face detection once per new video frame, independently of the display
+ * refresh. Uses requestVideoFrameCallback where available and polls the video
+ * on animation frames otherwise. Frames arriving while a detection is still
+ * running are skipped, so results never queue up behind slow inference.
+ */
+
+export class DetectionScheduler {
+  constructor() {
+    this.video = null;
+    this.callback = null;
+    this.isRunning = false;
+    this.isBusy = false;
+    this.current = null;
+    this.handle = null;
+    this.lastPresentedFrames = null;
+    this.lastMediaTime = null;
+    this.stats = this.createStats();
+  }
+
+  /**
+   * Check if the browser reports new video frames
+   * @returns {boolean}
+   */
+  static supportsVideoFrameCallback() {
+    return typeof HTMLVideoElement !== 'undefined' &&
+      'requestVideoFrameCallback' in HTMLVideoElement.prototype;
+  }
+
+  /**
+   * Start calling back on new video frames
+   * @param {HTMLVideoElement} video
+   * @param {Function} callback - async (timestamp) => boolean|void; timestamp is when the
+   *   frame was captured or presented, in the performance.now() timebase. Resolving
+   *   false means the frame was skipped, so it is not timed as a detection
+   */
+  start(video, callback) {
+    if (this.isRunning) return;
+
+    this.video = video;
+    this.callback = callback;
+    this.isRunning = true;
+    this.lastPresentedFrames = null;
+    this.lastMediaTime = null;
+    this.scheduleNext();
+  }
+
+  /**
+   * Stop calling back; a detection already running still finishes
+   */
+  stop() {
+    if (!this.isRunning) return;
+
+    this.isRunning = false;
+    if (this.handle !== null) {
+      if (DetectionScheduler.supportsVideoFrameCallback()) {
+        this.video.cancelVideoFrameCallback(this.handle);
+      } else {
+        cancelAnimationFrame(this.handle);
+      }
+      this.handle = null;
+    }
+  }
+
+  /**
+   * Wait for a running detection to finish
+   * @returns {Promise<void>}
+   */
+  whenIdle() {
+    return this.current ? this.current.then(() => {}, () => {}) : Promise.resolve();
+  }
+
+  /**
+   * Wait for the next video frame
+   */
+  scheduleNext() {
+    if (DetectionScheduler.supportsVideoFrameCallback()) {
+      this.handle = this.video.requestVideoFrameCallback((now, metadata) => this.handleFrame(now, metadata));
+    } else {
+      this.handle = requestAnimationFrame(now => this.pollFrame(now));
+    }
+  }
+
+  /**
+   * Handle a frame reported by requestVideoFrameCallback
+   * @param {number} now
+   * @param {object} metadata - VideoFrameCallbackMetadata
+   */
+  handleFrame(now, metadata) {
+    if (!this.isRunning) return;
+    this.scheduleNext();
+
+    // Frames presented without a callback were dropped before we saw them
+    if (this.lastPresentedFrames !== null) {
+      this.stats.droppedFrames += Math.max(0, metadata.presentedFrames - this.lastPresentedFrames - 1);
+    }
+    this.lastPresentedFrames = metadata.presentedFrames;
+
+    this.runDetection(metadata.captureTime ?? metadata.expectedDisplayTime ?? now);
+  }
+
+  /**
+   * Check for a new frame on each animation frame (no requestVideoFrameCallback)
+   * @param {number} now
+   */
+  pollFrame(now) {
+    if (!this.isRunning) return;
+    this.scheduleNext();
+
+    const mediaTime = this.video.currentTime;
+    if (mediaTime === this.lastMediaTime) return;
+    this.lastMediaTime = mediaTime;
+
+    this.runDetection(now);
+  }
+
+  /**
+   * Run the callback unless the previous detection is still going
+   * @param {number} timestamp
+   */
+  async runDetection(timestamp) {
+    this.stats.frames++;
+    if (this.isBusy) {
+      this.stats.busyFrames++;
+      return;
+    }
+
+    this.isBusy = true;
+    const started = performance.now();
+    this.current = this.callback(timestamp);
+    try {
+      if (await this.current === false) {
+        this.stats.skippedFrames++;
+      } else {
+        this.stats.detections++;
+        this.stats.lastDetectionMs = performance.now() - started;
+      }
+    } catch (error) {
+      // A failed detection just leaves the last faces in place
+    } finally {
+      this.isBusy = false;
+      this.current = null;
+    }
+  }
+
+  /**
+   * Create empty counters
+   * @returns {object}
+   */
+  createStats() {
+    return { frames: 0, detections: 0, droppedFrames: 0, busyFrames: 0, skippedFrames: 0, lastDetectionMs: 0 };
+  }
+
+  /**
+   * Get frame and detection counters
+   * @returns {object} { frames, detections, droppedFrames, busyFrames, skippedFrames, lastDetectionMs, videoFrameCallback }
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      videoFrameCallback: DetectionScheduler.supportsVideoFrameCallback()
+    };
+  }
+}
+
+export default DetectionScheduler;
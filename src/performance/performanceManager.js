@@ -3,20 +3,28 @@
  * Handles performance detection, monitoring, and adaptive quality adjustments
  */
 
-import { PERFORMANCE, PERFORMANCE_DETECTION, MEMORY, TRACKING } from '../config/constants.js';
+import { PERFORMANCE, PERFORMANCE_DETECTION, MEMORY, TRACKING, CAMERA_CONFIG } from '../config/constants.js';
 import { browserDetector } from '../utils/browserDetection.js';
 import { mathUtils } from '../utils/mathUtils.js';
 
+const LEVELS = ['high', 'medium', 'low'];
+
 export class PerformanceManager {
   constructor() {
     this.performanceLevel = 'high';
+    this.baseLevel = 'high';
+    this.headroomChecks = 0;
+    this.onLevelChange = null;
     this.fps = 0;
+    this.detectionFps = 0;
+    this.detectionCount = 0;
+    this.detectionTimeSum = 0;
+    this.detectionSamples = 0;
     this.frameCount = 0;
     this.lastFrameTime = 0;
     this.dynamicSkipInterval = 1;
     this.memoryPressureLevel = 0;
     this.lastFaces = [];
-    this.cachedFaces = null;
     this.consecutiveStableFrames = 0;
   }
 
@@ -25,6 +33,7 @@ export class PerformanceManager {
    */
   async init() {
     await this.detectPerformance();
+    this.baseLevel = this.performanceLevel;
     mathUtils.init();
   }
 
@@ -123,23 +132,26 @@ export class PerformanceManager {
 
   /**
    * Get current quality settings based on performance level
+   * @param {string} performanceLevel - Defaults to the current level
+   * @param {number} memoryPressureLevel - Defaults to the current pressure
    * @returns {object}
    */
-  getQualitySettings() {
-    const settings = { ...PERFORMANCE[this.performanceLevel.toUpperCase()] };
+  getQualitySettings(performanceLevel = this.performanceLevel, memoryPressureLevel = this.memoryPressureLevel) {
+    const settings = { ...PERFORMANCE[performanceLevel.toUpperCase()] };
 
     // Adjust based on memory pressure
-    if (this.memoryPressureLevel > 0) {
-      settings.skipFrames = Math.min(settings.skipFrames + this.memoryPressureLevel, 5);
-      settings.particleCount = Math.max(settings.particleCount - this.memoryPressureLevel, 1);
-      settings.shadowBlur = Math.max(settings.shadowBlur - this.memoryPressureLevel * 2, 0);
+    if (memoryPressureLevel > 0) {
+      settings.skipFrames = Math.min(settings.skipFrames + memoryPressureLevel, 5);
+      settings.particleCount = Math.max(settings.particleCount - memoryPressureLevel, 1);
+      settings.shadowBlur = Math.max(settings.shadowBlur - memoryPressureLevel * 2, 0);
     }
 
     return settings;
   }
 
   /**
-   * Update FPS and adjust performance dynamically
+   * Update the render FPS shown in stats
+   * Rendering never waits for detection, so it does not drive the level
    * @param {number} deltaTime - Time since last frame in ms
    */
   updateFPS(deltaTime) {
@@ -147,23 +159,104 @@ export class PerformanceManager {
 
     if (this.frameCount % 30 === 0) {
       this.fps = Math.round(1000 / deltaTime);
+    }
+  }
 
-      // Dynamic performance adjustment
-      const targetFPS = PERFORMANCE[this.performanceLevel.toUpperCase()].targetFPS;
+  /**
+   * Track how many detections per second the device sustains and adjust performance dynamically
+   * @param {object} detectionStats - From DetectionScheduler.getStats
+   */
+  updateDetectionRate({ detections, lastDetectionMs }) {
+    if (detections === this.detectionCount || !lastDetectionMs) return;
+
+    this.detectionCount = detections;
+    this.detectionTimeSum += lastDetectionMs;
+    this.detectionSamples++;
+
+    if (this.detectionSamples >= PERFORMANCE_DETECTION.DETECTION_WINDOW) {
+      this.detectionFps = Math.round(1000 * this.detectionSamples / this.detectionTimeSum);
+      this.detectionTimeSum = 0;
+      this.detectionSamples = 0;
+      this.adjustLevel(this.detectionFps);
+    }
+  }
 
-      if (this.fps < targetFPS - 5) {
+  /**
+   * Step the level or the detection skip interval toward the target rate
+   * @param {number} rate - Detections per second the device sustains
+   */
+  adjustLevel(rate) {
+    const targetFPS = PERFORMANCE[this.performanceLevel.toUpperCase()].targetFPS;
+
+    const levelIndex = LEVELS.indexOf(this.performanceLevel);
+
+    if (rate < targetFPS - 5) {
+      this.headroomChecks = 0;
+
+      // Lower the level (and with it the capture size) before skipping detection frames
+      if (levelIndex < LEVELS.length - 1) {
+        this.setPerformanceLevel(LEVELS[levelIndex + 1]);
+      } else {
         this.dynamicSkipInterval = Math.min(this.dynamicSkipInterval + 1, 5);
-        if (this.performanceLevel === 'high') {
-          this.performanceLevel = 'medium';
-        } else if (this.performanceLevel === 'medium') {
-          this.performanceLevel = 'low';
-        }
-      } else if (this.fps > targetFPS + 5 && this.dynamicSkipInterval > 1) {
+      }
+    } else if (rate > targetFPS + 5) {
+      if (this.dynamicSkipInterval > 1) {
         this.dynamicSkipInterval = Math.max(this.dynamicSkipInterval - 1, 1);
+      } else if (
+        levelIndex > LEVELS.indexOf(this.baseLevel) &&
+        ++this.headroomChecks >= PERFORMANCE_DETECTION.UPGRADE_CHECKS
+      ) {
+        // Sustained headroom: step back up, but never above the detected level
+        this.setPerformanceLevel(LEVELS[levelIndex - 1]);
       }
+    } else {
+      this.headroomChecks = 0;
+    }
+  }
+
+  /**
+   * Change the performance level and notify the listener
+   * @param {string} level - high, medium, or low
+   */
+  setPerformanceLevel(level) {
+    if (level === this.performanceLevel) return;
+
+    this.performanceLevel = level;
+    this.headroomChecks = 0;
+    // Detections timed at the old level say little about the new one
+    this.detectionTimeSum = 0;
+    this.detectionSamples = 0;
+    if (this.onLevelChange) {
+      this.onLevelChange(level);
     }
   }
 
+  /**
+   * Get the capture size and frame rate for the current level
+   * Capture runs at the platform defaults until the level drops below the detected one
+   * @returns {object|null} { scale, frameRate }, or null for the defaults
+   */
+  getCaptureQuality() {
+    const stepsDown = LEVELS.indexOf(this.performanceLevel) - LEVELS.indexOf(this.baseLevel);
+    if (stepsDown <= 0) {
+      return null;
+    }
+
+    const scales = CAMERA_CONFIG.DOWNGRADE_SCALES;
+    return {
+      scale: scales[Math.min(stepsDown, scales.length - 1)],
+      frameRate: PERFORMANCE[this.performanceLevel.toUpperCase()].targetFPS
+    };
+  }
+
+  /**
+   * Set callback invoked when the level changes at runtime
+   * @param {Function} callback - Receives the new level
+   */
+  setLevelChangeCallback(callback) {
+    this.onLevelChange = callback;
+  }
+
   /**
    * Check if current frame should be skipped for detection
    * @param {number} skipFrameCounter
@@ -187,11 +280,10 @@ export class PerformanceManager {
     let totalMovement = 0;
     let pairCount = 0;
 
-    for (let i = 0; i < Math.min(newFaces.length, this.lastFaces.length); i++) {
-      const newFace = newFaces[i];
-      const oldFace = this.lastFaces[i];
+    newFaces.forEach((newFace, index) => {
+      const oldFace = findSameFace(newFace, index, this.lastFaces);
 
-      if (newFace.scaledMesh && oldFace.scaledMesh) {
+      if (oldFace && newFace.scaledMesh && oldFace.scaledMesh) {
         const newNose = newFace.scaledMesh[1]; // Nose tip
         const oldNose = oldFace.scaledMesh[1];
 
@@ -202,46 +294,12 @@ export class PerformanceManager {
         totalMovement += movement;
         pairCount++;
       }
-    }
+    });
 
     this.lastFaces = newFaces;
     return pairCount > 0 ? totalMovement / pairCount : Infinity;
   }
 
-  /**
-   * Interpolate face positions for smooth animation
-   * @param {Array} faces
-   * @param {number} progress - 0-1 interpolation factor
-   * @returns {Array}
-   */
-  interpolateFaces(faces, progress = 0.3) {
-    if (!this.cachedFaces || !faces.length) {
-      this.cachedFaces = faces;
-      return faces;
-    }
-
-    const interpolated = faces.map((face, index) => {
-      if (index >= this.cachedFaces.length) return face;
-
-      const cached = this.cachedFaces[index];
-      return {
-        ...face,
-        scaledMesh: face.scaledMesh.map((point, pointIndex) => {
-          if (pointIndex >= cached.scaledMesh.length) return point;
-          const cachedPoint = cached.scaledMesh[pointIndex];
-          return [
-            cachedPoint[0] + (point[0] - cachedPoint[0]) * progress,
-            cachedPoint[1] + (point[1] - cachedPoint[1]) * progress,
-            cachedPoint[2] + (point[2] - cachedPoint[2]) * progress
-          ];
-        })
-      };
-    });
-
-    this.cachedFaces = faces;
-    return interpolated;
-  }
-
   /**
    * Manage tensor memory
    * @param {object} tf - TensorFlow.js instance
@@ -272,6 +330,7 @@ export class PerformanceManager {
     return {
       performanceLevel: this.performanceLevel,
       fps: this.fps,
+      detectionFps: this.detectionFps,
       frameCount: this.frameCount,
       skipInterval: this.dynamicSkipInterval,
       memoryPressure: this.memoryPressureLevel
@@ -279,4 +338,18 @@ export class PerformanceManager {
   }
 }
 
+/**
+ * Find a face's previous state: by tracking ID, or by position in the list for untracked faces
+ * @param {object} face
+ * @param {number} index - Position of face in its list
+ * @param {Array} previousFaces
+ * @returns {object|undefined}
+ */
+function findSameFace(face, index, previousFaces) {
+  if (face.id === undefined) {
+    return previousFaces[index];
+  }
+  return previousFaces.find(previous => previous.id === face.id);
+}
+
 export default PerformanceManager;
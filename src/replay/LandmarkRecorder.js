@@ -0,0 +1,116 @@
+/**
+ * Landmark Recorder
+ * Collects the faces rendered each frame so a session can be replayed without a camera or model
+ */
+
+import { REPLAY } from '../config/constants.js';
+import { encodeLandmarkFile } from './landmarkFile.js';
+import { getFaceBox } from '../utils/viewportUtils.js';
+
+export class LandmarkRecorder {
+  constructor() {
+    this.frames = [];
+    this.startTime = 0;
+    this.width = 0;
+    this.height = 0;
+    this.mirrored = false;
+    this.recording = false;
+  }
+
+  /**
+   * Start a new recording
+   * @param {object} input - { width, height, mirrored } of the source
+   */
+  start({ width, height, mirrored }) {
+    this.frames = [];
+    this.startTime = performance.now();
+    this.width = width;
+    this.height = height;
+    this.mirrored = mirrored;
+    this.recording = true;
+  }
+
+  /**
+   * Record the faces of one rendered frame
+   * @param {Array} faces - Faces as passed to FilterRenderer.render
+   * @param {object} quality - { performanceLevel, memoryPressureLevel }
+   * @param {number} timestamp - performance.now() of the frame
+   * @returns {boolean} False once the maximum duration is reached
+   */
+  addFrame(faces, quality, timestamp = performance.now()) {
+    if (!this.recording) return false;
+
+    const time = timestamp - this.startTime;
+    if (time > REPLAY.MAX_RECORDING_S * 1000) {
+      return false;
+    }
+
+    this.frames.push({
+      time,
+      performanceLevel: quality.performanceLevel,
+      memoryPressureLevel: quality.memoryPressureLevel,
+      faces: (faces || []).filter(face => face.scaledMesh?.length > 0).map(packFace)
+    });
+    return true;
+  }
+
+  /**
+   * Stop recording and encode the file
+   * @returns {Promise<Blob|null>} Null if nothing was recorded
+   */
+  async stop() {
+    this.recording = false;
+    const frames = this.frames;
+    this.frames = [];
+
+    if (frames.length === 0) {
+      return null;
+    }
+
+    return encodeLandmarkFile({
+      width: this.width,
+      height: this.height,
+      mirrored: this.mirrored,
+      frames
+    });
+  }
+
+  /**
+   * Check if recording
+   * @returns {boolean}
+   */
+  isRecording() {
+    return this.recording;
+  }
+
+  /**
+   * Get the number of recorded frames
+   * @returns {number}
+   */
+  getFrameCount() {
+    return this.frames.length;
+  }
+}
+
+/**
+ * Copy a face's landmarks and bounding box into typed arrays
+ * @param {object} face - { id, scaledMesh, boundingBox }
+ * @returns {object} { id, box, points }
+ */
+function packFace(face) {
+  const mesh = face.scaledMesh;
+  const points = new Float32Array(mesh.length * 3);
+
+  mesh.forEach((point, index) => {
+    points[index * 3] = point[0];
+    points[index * 3 + 1] = point[1];
+    points[index * 3 + 2] = point[2] || 0;
+  });
+
+  // Derived from the mesh for faces that lack one
+  const box = Float32Array.from(getFaceBox(face));
+
+  return { id: face.id, box, points };
+}
+
+export default LandmarkRecorder;
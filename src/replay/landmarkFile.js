@@ -0,0 +1,186 @@
+/**
+ * Landmark File
+ * Binary format for recorded face landmarks (.ffl)
+ *
+ * Header (16 bytes, little-endian):
+ *   magic 'FFLM', version u8, flags u8, reserved u16, width u16, height u16, frame count u32
+ * Payload (gzipped when flag 1 is set), per frame:
+ *   time f32 (ms), performance level u8, memory pressure u8, face count u8
+ *   per face: tracking ID u32 (version 2+), point count u16, bounding box 4×f32, points (x, y, z)×f32
+ */
+
+const MAGIC = 'FFLM';
+const VERSION = 2;
+const HEADER_SIZE = 16;
+const FLAG_COMPRESSED = 1;
+const FLAG_MIRRORED = 2;
+const PERFORMANCE_LEVELS = ['high', 'medium', 'low'];
+
+/**
+ * Encode a recording
+ * @param {object} recording - { width, height, mirrored, frames }
+ *   frames: [{ time, performanceLevel, memoryPressureLevel, faces: [{ id, box, points }] }]
+ * @returns {Promise<Blob>}
+ */
+export async function encodeLandmarkFile({ width, height, mirrored, frames }) {
+  const payload = new DataView(new ArrayBuffer(getPayloadSize(frames)));
+  let offset = 0;
+
+  frames.forEach(frame => {
+    payload.setFloat32(offset, frame.time, true);
+    payload.setUint8(offset + 4, Math.max(0, PERFORMANCE_LEVELS.indexOf(frame.performanceLevel)));
+    payload.setUint8(offset + 5, frame.memoryPressureLevel || 0);
+    payload.setUint8(offset + 6, frame.faces.length);
+    offset += 7;
+
+    frame.faces.forEach(face => {
+      payload.setUint32(offset, face.id || 0, true);
+      payload.setUint16(offset + 4, face.points.length / 3, true);
+      offset += 6;
+      for (let i = 0; i < 4; i++, offset += 4) {
+        payload.setFloat32(offset, face.box[i], true);
+      }
+      for (let i = 0; i < face.points.length; i++, offset += 4) {
+        payload.setFloat32(offset, face.points[i], true);
+      }
+    });
+  });
+
+  const compressed = await gzip(new Uint8Array(payload.buffer));
+
+  const header = new DataView(new ArrayBuffer(HEADER_SIZE));
+  for (let i = 0; i < MAGIC.length; i++) {
+    header.setUint8(i, MAGIC.charCodeAt(i));
+  }
+  header.setUint8(4, VERSION);
+  header.setUint8(5, (compressed ? FLAG_COMPRESSED : 0) | (mirrored ? FLAG_MIRRORED : 0));
+  header.setUint16(8, width, true);
+  header.setUint16(10, height, true);
+  header.setUint32(12, frames.length, true);
+
+  return new Blob([header.buffer, compressed || payload.buffer], { type: 'application/octet-stream' });
+}
+
+/**
+ * Decode a recording
+ * @param {Blob} blob - .ffl file
+ * @returns {Promise<object>} { width, height, mirrored, frames } (same shape as encodeLandmarkFile)
+ */
+export async function decodeLandmarkFile(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  if (bytes.length < HEADER_SIZE || String.fromCharCode(...bytes.subarray(0, 4)) !== MAGIC) {
+    throw new Error('Not a landmark recording');
+  }
+
+  const header = new DataView(bytes.buffer, 0, HEADER_SIZE);
+  const version = header.getUint8(4);
+  if (version > VERSION) {
+    throw new Error('Landmark recording is from a newer version');
+  }
+
+  const flags = header.getUint8(5);
+  let payloadBytes = bytes.subarray(HEADER_SIZE);
+  if (flags & FLAG_COMPRESSED) {
+    payloadBytes = await gunzip(payloadBytes);
+  }
+
+  const payload = new DataView(payloadBytes.buffer, payloadBytes.byteOffset, payloadBytes.byteLength);
+  const frameCount = header.getUint32(12, true);
+  const frames = [];
+  let offset = 0;
+
+  try {
+    for (let f = 0; f < frameCount; f++) {
+      const frame = {
+        time: payload.getFloat32(offset, true),
+        performanceLevel: PERFORMANCE_LEVELS[payload.getUint8(offset + 4)] || PERFORMANCE_LEVELS[0],
+        memoryPressureLevel: payload.getUint8(offset + 5),
+        faces: []
+      };
+      const faceCount = payload.getUint8(offset + 6);
+      offset += 7;
+
+      for (let i = 0; i < faceCount; i++) {
+        // Version 1 had no tracking IDs; order within the frame is the best guess
+        let id = i + 1;
+        if (version >= 2) {
+          id = payload.getUint32(offset, true);
+          offset += 4;
+        }
+        const pointCount = payload.getUint16(offset, true);
+        offset += 2;
+
+        const box = new Float32Array(4);
+        for (let j = 0; j < 4; j++, offset += 4) {
+          box[j] = payload.getFloat32(offset, true);
+        }
+
+        const points = new Float32Array(pointCount * 3);
+        for (let j = 0; j < points.length; j++, offset += 4) {
+          points[j] = payload.getFloat32(offset, true);
+        }
+
+        frame.faces.push({ id, box, points });
+      }
+
+      frames.push(frame);
+    }
+  } catch (error) {
+    // DataView throws RangeError past the end
+    throw new Error('Landmark recording is truncated');
+  }
+
+  return {
+    width: header.getUint16(8, true),
+    height: header.getUint16(10, true),
+    mirrored: !!(flags & FLAG_MIRRORED),
+    frames
+  };
+}
+
+/**
+ * Get the uncompressed payload size in bytes
+ * @param {Array} frames
+ * @returns {number}
+ */
+function getPayloadSize(frames) {
+  return frames.reduce((size, frame) => {
+    return size + 7 + frame.faces.reduce((sum, face) => sum + 6 + 16 + face.points.length * 4, 0);
+  }, 0);
+}
+
+/**
+ * Gzip bytes, or return null if compression streams are unavailable
+ * @param {Uint8Array} data
+ * @returns {Promise<Uint8Array|null>}
+ */
+async function gzip(data) {
+  if (typeof CompressionStream === 'undefined') {
+    return null;
+  }
+
+  try {
+    const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('gzip'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Gunzip bytes
+ * @param {Uint8Array} data
+ * @returns {Promise<Uint8Array>}
+ */
+async function gunzip(data) {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('Compressed recordings are not supported in this browser');
+  }
+
+  try {
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('gzip'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  } catch (e) {
+    throw new Error('Landmark recording is corrupt');
+  }
+}
@@ -0,0 +1,193 @@
+/**
+ * Gallery Store
+ * Persists captures and their metadata in IndexedDB
+ */
+
+import { GALLERY } from '../config/constants.js';
+
+export class GalleryStore {
+  constructor() {
+    this.db = null;
+  }
+
+  /**
+   * Check if IndexedDB is available
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Open (and create if needed) the database
+   * @returns {Promise<void>}
+   */
+  async open() {
+    if (this.db) return;
+
+    if (!GalleryStore.isSupported()) {
+      throw new Error('IndexedDB is not supported in this browser');
+    }
+
+    this.db = await new Promise((resolve, reject) => {
+      const request = indexedDB.open(GALLERY.DB_NAME, GALLERY.DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(GALLERY.ITEMS_STORE)) {
+          const items = db.createObjectStore(GALLERY.ITEMS_STORE, { keyPath: 'id', autoIncrement: true });
+          items.createIndex('createdAt', 'createdAt');
+        }
+        if (!db.objectStoreNames.contains(GALLERY.BLOBS_STORE)) {
+          db.createObjectStore(GALLERY.BLOBS_STORE, { keyPath: 'id' });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('Gallery database is blocked by another tab'));
+    });
+  }
+
+  /**
+   * Add a capture
+   * Metadata and thumbnail live apart from the full file so browsing stays light
+   * @param {object} record - Metadata including thumbnail blob
+   * @param {Blob} blob - Full capture
+   * @returns {Promise<number>} New item id
+   */
+  async add(record, blob) {
+    const tx = this.db.transaction([GALLERY.ITEMS_STORE, GALLERY.BLOBS_STORE], 'readwrite');
+    const done = transactionDone(tx);
+
+    const itemRequest = tx.objectStore(GALLERY.ITEMS_STORE).add(record);
+
+    // Queue the blob inside the success handler so the transaction is still active
+    itemRequest.onsuccess = () => {
+      tx.objectStore(GALLERY.BLOBS_STORE).put({ id: itemRequest.result, blob });
+    };
+
+    await done;
+    return itemRequest.result;
+  }
+
+  /**
+   * List all items, newest first
+   * @returns {Promise<Array<object>>}
+   */
+  async list() {
+    const tx = this.db.transaction(GALLERY.ITEMS_STORE, 'readonly');
+    const items = await requestResult(tx.objectStore(GALLERY.ITEMS_STORE).index('createdAt').getAll());
+    return items.reverse();
+  }
+
+  /**
+   * Get a single item's metadata
+   * @param {number} id
+   * @returns {Promise<object|undefined>}
+   */
+  async get(id) {
+    const tx = this.db.transaction(GALLERY.ITEMS_STORE, 'readonly');
+    return requestResult(tx.objectStore(GALLERY.ITEMS_STORE).get(id));
+  }
+
+  /**
+   * Get the full capture file
+   * @param {number} id
+   * @returns {Promise<Blob|null>}
+   */
+  async getBlob(id) {
+    const tx = this.db.transaction(GALLERY.BLOBS_STORE, 'readonly');
+    const entry = await requestResult(tx.objectStore(GALLERY.BLOBS_STORE).get(id));
+    return entry?.blob || null;
+  }
+
+  /**
+   * Delete an item
+   * @param {number} id
+   * @returns {Promise<void>}
+   */
+  async remove(id) {
+    const tx = this.db.transaction([GALLERY.ITEMS_STORE, GALLERY.BLOBS_STORE], 'readwrite');
+    tx.objectStore(GALLERY.ITEMS_STORE).delete(id);
+    tx.objectStore(GALLERY.BLOBS_STORE).delete(id);
+    await transactionDone(tx);
+  }
+
+  /**
+   * Delete every item
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    const tx = this.db.transaction([GALLERY.ITEMS_STORE, GALLERY.BLOBS_STORE], 'readwrite');
+    tx.objectStore(GALLERY.ITEMS_STORE).clear();
+    tx.objectStore(GALLERY.BLOBS_STORE).clear();
+    await transactionDone(tx);
+  }
+
+  /**
+   * Get storage usage for this origin
+   * @returns {Promise<object|null>} { usage, quota } in bytes, or null if unknown
+   */
+  async estimate() {
+    if (!navigator.storage?.estimate) return null;
+
+    try {
+      const { usage, quota } = await navigator.storage.estimate();
+      return quota ? { usage, quota } : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Ask the browser not to evict stored captures
+   * @returns {Promise<boolean>}
+   */
+  async requestPersistence() {
+    if (!navigator.storage?.persist) return false;
+
+    try {
+      return (await navigator.storage.persisted()) || (await navigator.storage.persist());
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Close the database
+   */
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request
+ * @returns {Promise<any>}
+ */
+function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Resolve when a transaction commits
+ * @param {IDBTransaction} tx
+ * @returns {Promise<void>}
+ */
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+export default GalleryStore;
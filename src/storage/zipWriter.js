@@ -0,0 +1,87 @@
+/**
+ * ZIP Writer
+ * Builds uncompressed (stored) ZIP archives in the browser
+ */
+
+import { crc32 } from '../utils/crc32.js';
+
+const LOCAL_HEADER_SIZE = 30;
+const CENTRAL_HEADER_SIZE = 46;
+const END_RECORD_SIZE = 22;
+const UTF8_FLAG = 0x0800;
+const ZIP_VERSION = 20;
+
+/**
+ * Create a ZIP archive
+ * Media files are already compressed, so entries are stored as-is
+ * @param {Array<object>} files - { name, blob, date }
+ * @returns {Promise<Blob>}
+ */
+export async function createZip(files) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const data = new Uint8Array(await file.blob.arrayBuffer());
+    const name = encoder.encode(file.name);
+    const crc = crc32(data);
+    const { time, date } = toDosDateTime(file.date || new Date());
+
+    const local = new DataView(new ArrayBuffer(LOCAL_HEADER_SIZE));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, ZIP_VERSION, true);
+    local.setUint16(6, UTF8_FLAG, true);
+    local.setUint16(8, 0, true); // Stored
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+
+    const central = new DataView(new ArrayBuffer(CENTRAL_HEADER_SIZE));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, ZIP_VERSION, true);
+    central.setUint16(6, ZIP_VERSION, true);
+    central.setUint16(8, UTF8_FLAG, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+
+    parts.push(new Uint8Array(local.buffer), name, data);
+    centralParts.push(new Uint8Array(central.buffer), name);
+    offset += LOCAL_HEADER_SIZE + name.length + data.length;
+  }
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+
+  const end = new DataView(new ArrayBuffer(END_RECORD_SIZE));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...centralParts, new Uint8Array(end.buffer)], { type: 'application/zip' });
+}
+
+/**
+ * Convert a date to MS-DOS time/date fields
+ * @param {Date} value
+ * @returns {object} { time, date }
+ */
+function toDosDateTime(value) {
+  const d = new Date(value);
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+    date: ((Math.max(1980, d.getFullYear()) - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+  };
+}
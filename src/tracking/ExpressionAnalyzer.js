@@ -0,0 +1,209 @@
+/**
+ * Expression Analyzer
+ * Turns landmark ratios into expression values (0-1) and start/end events
+ * per tracked face. Ratios are relative to each person's own neutral face,
+ * calibrated over their first detections.
+ */
+
+import { EXPRESSIONS, LANDMARKS, TRACKING } from '../config/constants.js';
+
+// Expression name -> how to measure it and which way it moves
+const EXPRESSION_TYPES = {
+  mouthOpen: {
+    config: EXPRESSIONS.MOUTH_OPEN,
+    direction: 1,
+    measure: mesh => ratio(
+      mesh, LANDMARKS.MOUTH_TOP_CENTER, LANDMARKS.MOUTH_BOTTOM_CENTER,
+      LANDMARKS.MOUTH_LEFT_CORNER, LANDMARKS.MOUTH_RIGHT_CORNER
+    )
+  },
+  blink: {
+    config: EXPRESSIONS.BLINK,
+    direction: -1,
+    measure: mesh => average(
+      ratio(mesh, LANDMARKS.LEFT_EYE_TOP, LANDMARKS.LEFT_EYE_BOTTOM, LANDMARKS.LEFT_EYE_INNER, LANDMARKS.LEFT_EYE_OUTER),
+      ratio(mesh, LANDMARKS.RIGHT_EYE_TOP, LANDMARKS.RIGHT_EYE_BOTTOM, LANDMARKS.RIGHT_EYE_INNER, LANDMARKS.RIGHT_EYE_OUTER)
+    )
+  },
+  smile: {
+    config: EXPRESSIONS.SMILE,
+    direction: 1,
+    measure: mesh => ratio(
+      mesh, LANDMARKS.MOUTH_LEFT_CORNER, LANDMARKS.MOUTH_RIGHT_CORNER,
+      LANDMARKS.LEFT_EYE_OUTER, LANDMARKS.RIGHT_EYE_OUTER
+    )
+  },
+  browRaise: {
+    config: EXPRESSIONS.BROW_RAISE,
+    direction: 1,
+    measure: mesh => average(
+      ratio(mesh, LANDMARKS.LEFT_BROW, LANDMARKS.LEFT_EYE_TOP, LANDMARKS.LEFT_EYE_OUTER, LANDMARKS.RIGHT_EYE_OUTER),
+      ratio(mesh, LANDMARKS.RIGHT_BROW, LANDMARKS.RIGHT_EYE_TOP, LANDMARKS.LEFT_EYE_OUTER, LANDMARKS.RIGHT_EYE_OUTER)
+    )
+  }
+};
+
+export class ExpressionAnalyzer {
+  constructor() {
+    // Face ID -> { frames, neutral, active, startedAt, lastSeen }
+    this.states = new Map();
+    this.onExpression = null;
+  }
+
+  /**
+   * Measure expressions on tracked faces; call once per detection, not per drawn frame
+   * Adds `expressions` to each face: { calibrated, values, active, startedAt }.
+   * Values are null for expressions the detector's landmarks cannot measure.
+   * @param {Array} faces - Tracked faces (with `id`)
+   * @param {number} time - Animation time in seconds (stamps `startedAt`)
+   * @returns {Array} Copies of the faces with `expressions`
+   */
+  analyze(faces, time) {
+    this.pruneStates(time);
+
+    return faces.map(face => {
+      if (face.id === undefined || !face.scaledMesh) return face;
+
+      let state = this.states.get(face.id);
+      if (!state) {
+        state = { frames: 0, neutral: {}, active: {}, startedAt: {}, lastSeen: time };
+        this.states.set(face.id, state);
+      }
+      state.lastSeen = time;
+
+      const ratios = {};
+      Object.entries(EXPRESSION_TYPES).forEach(([name, type]) => {
+        ratios[name] = type.measure(face.scaledMesh);
+      });
+
+      // Average the first detections into the neutral face
+      if (state.frames < EXPRESSIONS.CALIBRATION_FRAMES) {
+        state.frames++;
+        Object.entries(ratios).forEach(([name, value]) => {
+          if (value === null) return;
+          const neutral = state.neutral[name] ?? value;
+          state.neutral[name] = neutral + (value - neutral) / state.frames;
+        });
+      }
+
+      const calibrated = state.frames >= EXPRESSIONS.CALIBRATION_FRAMES;
+      const values = {};
+      Object.entries(EXPRESSION_TYPES).forEach(([name, type]) => {
+        values[name] = this.updateExpression(face.id, state, name, type, ratios[name], calibrated, time);
+      });
+
+      return {
+        ...face,
+        expressions: {
+          calibrated,
+          values,
+          active: { ...state.active },
+          startedAt: { ...state.startedAt }
+        }
+      };
+    });
+  }
+
+  /**
+   * Score one expression and apply hysteresis
+   * @param {number} faceId
+   * @param {object} state - Face state, updated in place
+   * @param {string} name
+   * @param {object} type - Entry of EXPRESSION_TYPES
+   * @param {number|null} current - Measured ratio
+   * @param {boolean} calibrated
+   * @param {number} time - Seconds
+   * @returns {number|null} 0-1, or null when not measurable
+   */
+  updateExpression(faceId, state, name, type, current, calibrated, time) {
+    const neutral = state.neutral[name];
+    if (current === null || !neutral) return null;
+    if (!calibrated) return 0;
+
+    const change = (current - neutral) / neutral;
+    const value = Math.max(0, Math.min(1, (type.direction * change) / type.config.range));
+    const wasActive = !!state.active[name];
+    const active = wasActive ? value > type.config.off : value >= type.config.on;
+
+    if (active !== wasActive) {
+      state.active[name] = active;
+      if (active) {
+        state.startedAt[name] = time;
+      }
+      if (this.onExpression) {
+        this.onExpression(faceId, name, active);
+      }
+    } else if (!active) {
+      // Follow slow drift (lighting, posture) while the face is relaxed
+      state.neutral[name] = neutral + (current - neutral) * EXPRESSIONS.BASELINE_ADAPT_RATE;
+    }
+
+    return value;
+  }
+
+  /**
+   * Forget faces the tracker has given up on
+   * @param {number} time - Seconds
+   */
+  pruneStates(time) {
+    this.states.forEach((state, id) => {
+      // Also catches time running backwards (replay seek)
+      if (Math.abs(time - state.lastSeen) * 1000 > TRACKING.FACE_GRACE_MS) {
+        this.states.delete(id);
+      }
+    });
+  }
+
+  /**
+   * Forget all faces; each is calibrated again when next seen
+   */
+  reset() {
+    this.states.clear();
+  }
+
+  /**
+   * Set callback invoked when an expression starts or ends
+   * @param {Function} callback - Receives (faceId, expression, active)
+   */
+  setExpressionCallback(callback) {
+    this.onExpression = callback;
+  }
+}
+
+/**
+ * Distance between two landmarks over the distance between two others
+ * @param {Array} mesh - scaledMesh
+ * @param {number} a - Numerator landmarks
+ * @param {number} b
+ * @param {number} c - Denominator landmarks
+ * @param {number} d
+ * @returns {number|null} Null when a landmark is missing
+ */
+function ratio(mesh, a, b, c, d) {
+  if (!mesh[a] || !mesh[b] || !mesh[c] || !mesh[d]) return null;
+
+  const span = distance(mesh[c], mesh[d]);
+  return span === 0 ? null : distance(mesh[a], mesh[b]) / span;
+}
+
+/**
+ * Distance between two landmarks, including depth
+ * @param {Array<number>} p
+ * @param {Array<number>} q
+ * @returns {number}
+ */
+function distance(p, q) {
+  return Math.hypot(p[0] - q[0], p[1] - q[1], (p[2] || 0) - (q[2] || 0));
+}
+
+/**
+ * Mean of two ratios
+ * @param {number|null} a
+ * @param {number|null} b
+ * @returns {number|null}
+ */
+function average(a, b) {
+  return a === null || b === null ? null : (a + b) / 2;
+}
+
+export default ExpressionAnalyzer;
@@ -0,0 +1,160 @@
+/**
+ * Face Tracker
+ * Gives detected faces persistent IDs across frames by matching bounding-box
+ * overlap and landmark distance, so per-face state stays with the right person
+ */
+
+import { TRACKING, LANDMARKS } from '../config/constants.js';
+import { getFaceBox } from '../utils/viewportUtils.js';
+
+// Landmarks compared between frames (provided by every detector)
+const KEY_POINTS = [LANDMARKS.NOSE_TIP, LANDMARKS.LEFT_EYE, LANDMARKS.RIGHT_EYE, LANDMARKS.FOREHEAD_CENTER];
+
+export class FaceTracker {
+  constructor() {
+    this.tracks = [];
+    this.nextId = 1;
+  }
+
+  /**
+   * Match detected faces to known faces and attach their IDs
+   * @param {Array} faces - Detected faces
+   * @param {number} now - Timestamp in ms
+   * @returns {Array} Copies of the faces with `id` set
+   */
+  update(faces, now = performance.now()) {
+    // Faces gone longer than the grace period get a new ID if they return
+    this.tracks = this.tracks.filter(track => now - track.lastSeen <= TRACKING.FACE_GRACE_MS);
+
+    const matches = matchFaces(faces, this.tracks.map(track => track.face));
+
+    return faces.map((face, index) => {
+      const track = matches[index] >= 0 ? this.tracks[matches[index]] : this.createTrack();
+      track.face = face;
+      track.lastSeen = now;
+      return { ...face, id: track.id };
+    });
+  }
+
+  /**
+   * Start tracking a new face
+   * @returns {object} { id, face, lastSeen }
+   */
+  createTrack() {
+    const track = { id: this.nextId++, face: null, lastSeen: 0 };
+    this.tracks.push(track);
+    return track;
+  }
+
+  /**
+   * Forget all faces (IDs keep counting up so old state never matches new faces)
+   */
+  reset() {
+    this.tracks = [];
+  }
+}
+
+/**
+ * Pair faces with reference faces, best matches first
+ * @param {Array} faces
+ * @param {Array} references
+ * @returns {Array<number>} Index into references per face, -1 if unmatched
+ */
+export function matchFaces(faces, references) {
+  const pairs = [];
+  faces.forEach((face, faceIndex) => {
+    references.forEach((reference, referenceIndex) => {
+      const score = getSimilarity(face, reference);
+      if (score >= TRACKING.MATCH_MIN_SCORE) {
+        pairs.push({ faceIndex, referenceIndex, score });
+      }
+    });
+  });
+
+  const matches = new Array(faces.length).fill(-1);
+  const taken = new Set();
+  pairs
+    .sort((a, b) => b.score - a.score)
+    .forEach(({ faceIndex, referenceIndex }) => {
+      if (matches[faceIndex] === -1 && !taken.has(referenceIndex)) {
+        matches[faceIndex] = referenceIndex;
+        taken.add(referenceIndex);
+      }
+    });
+
+  return matches;
+}
+
+/**
+ * Copy IDs from reference faces onto re-detected faces (e.g. on a still)
+ * @param {Array} faces - Faces without IDs
+ * @param {Array} references - Tracked faces in the same coordinates
+ * @returns {Array} Faces with `id` set where a reference matched
+ */
+export function matchFaceIds(faces, references = []) {
+  const matches = matchFaces(faces, references);
+
+  return faces.map((face, index) => {
+    const id = references[matches[index]]?.id;
+    return id === undefined ? face : { ...face, id };
+  });
+}
+
+/**
+ * Score how likely two faces are the same person
+ * @param {object} face
+ * @param {object} reference
+ * @returns {number} 0-1
+ */
+function getSimilarity(face, reference) {
+  const box = getFaceBox(face);
+  const referenceBox = getFaceBox(reference);
+  const overlap = getIoU(box, referenceBox);
+
+  // Landmark distance relative to the face size, so it works at any distance from the camera
+  const size = Math.hypot(referenceBox[2] - referenceBox[0], referenceBox[3] - referenceBox[1]);
+  const distance = getLandmarkDistance(face, reference);
+  const closeness = distance === null || !size ? overlap : Math.max(0, 1 - distance / size);
+
+  return overlap * TRACKING.MATCH_IOU_WEIGHT + closeness * (1 - TRACKING.MATCH_IOU_WEIGHT);
+}
+
+/**
+ * Intersection over union of two boxes
+ * @param {Array<number>} a - [minX, minY, maxX, maxY]
+ * @param {Array<number>} b
+ * @returns {number} 0-1
+ */
+function getIoU(a, b) {
+  const width = Math.min(a[2], b[2]) - Math.max(a[0], b[0]);
+  const height = Math.min(a[3], b[3]) - Math.max(a[1], b[1]);
+  if (width <= 0 || height <= 0) return 0;
+
+  const intersection = width * height;
+  const union = (a[2] - a[0]) * (a[3] - a[1]) + (b[2] - b[0]) * (b[3] - b[1]) - intersection;
+  return union > 0 ? intersection / union : 0;
+}
+
+/**
+ * Mean distance between the key landmarks both faces have
+ * @param {object} face
+ * @param {object} reference
+ * @returns {number|null} Pixels, or null if no landmark is shared
+ */
+function getLandmarkDistance(face, reference) {
+  let total = 0;
+  let count = 0;
+
+  KEY_POINTS.forEach(index => {
+    const point = face.scaledMesh?.[index];
+    const referencePoint = reference.scaledMesh?.[index];
+    if (point && referencePoint) {
+      total += Math.hypot(point[0] - referencePoint[0], point[1] - referencePoint[1]);
+      count++;
+    }
+  });
+
+  return count > 0 ? total / count : null;
+}
+
+export default FaceTracker;
@@ -0,0 +1,98 @@
+/**
+ * Landmark Extrapolator
+ * Predicts where each tracked face is at render time from its last two
+ * detections, so drawing at the display rate stays smooth between detections
+ */
+
+import { TRACKING } from '../config/constants.js';
+
+export class LandmarkExtrapolator {
+  constructor() {
+    // Face ID -> { face, velocities, timestamp }
+    this.tracks = new Map();
+    this.faces = [];
+  }
+
+  /**
+   * Record a detection result
+   * @param {Array} faces - Tracked faces (with `id`)
+   * @param {number} timestamp - Frame time in ms
+   */
+  update(faces, timestamp) {
+    const tracks = new Map();
+
+    faces.forEach(face => {
+      const previous = this.tracks.get(face.id);
+      const dt = previous ? timestamp - previous.timestamp : 0;
+      const velocities = dt > 0 && dt <= TRACKING.FACE_GRACE_MS
+        ? getVelocities(previous.face.scaledMesh, face.scaledMesh, dt)
+        : null;
+
+      tracks.set(face.id, { face, velocities, timestamp });
+    });
+
+    this.tracks = tracks;
+    this.faces = faces;
+  }
+
+  /**
+   * Get faces predicted for a moment
+   * @param {number} now - Render time in ms
+   * @returns {Array}
+   */
+  predict(now) {
+    return this.faces.map(face => {
+      const track = this.tracks.get(face.id);
+      if (!track?.velocities) return face;
+
+      // Never predict far past the last detection; a stalled detector should freeze, not drift
+      const ahead = Math.min(Math.max(now - track.timestamp, 0), TRACKING.EXTRAPOLATION_MAX_MS);
+      if (ahead === 0) return face;
+
+      const { velocities } = track;
+      return {
+        ...face,
+        scaledMesh: face.scaledMesh.map((point, index) => {
+          const k = index * 3;
+          return [
+            point[0] + velocities[k] * ahead,
+            point[1] + velocities[k + 1] * ahead,
+            (point[2] || 0) + velocities[k + 2] * ahead
+          ];
+        })
+      };
+    });
+  }
+
+  /**
+   * Forget all faces
+   */
+  reset() {
+    this.tracks.clear();
+    this.faces = [];
+  }
+}
+
+/**
+ * Per-landmark velocity between two meshes
+ * @param {Array} previous - Earlier scaledMesh
+ * @param {Array} current - Later scaledMesh
+ * @param {number} dt - ms between them
+ * @returns {Float64Array|null} x, y, z per point in px/ms; null if the meshes differ
+ */
+function getVelocities(previous, current, dt) {
+  if (!previous || previous.length !== current.length) return null;
+
+  const velocities = new Float64Array(current.length * 3);
+  current.forEach((point, index) => {
+    const before = previous[index];
+    if (!before) return;
+
+    velocities[index * 3] = (point[0] - before[0]) / dt;
+    velocities[index * 3 + 1] = (point[1] - before[1]) / dt;
+    velocities[index * 3 + 2] = ((point[2] || 0) - (before[2] || 0)) / dt;
+  });
+  return velocities;
+}
+
+export default LandmarkExtrapolator;
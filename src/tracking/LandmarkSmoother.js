@@ -0,0 +1,120 @@
+/**
+ * Landmark Smoother
+ * One Euro filter on every landmark of every tracked face. Still faces get a
+ * low cutoff (no jitter); fast movement raises the cutoff so stickers keep up.
+ * See Casiez et al., "1€ Filter" (CHI 2012).
+ */
+
+import { TRACKING } from '../config/constants.js';
+import { getFaceBox } from '../utils/viewportUtils.js';
+
+export class LandmarkSmoother {
+  constructor() {
+    // Face ID -> { values, speeds, timestamp }
+    this.states = new Map();
+  }
+
+  /**
+   * Smooth detected faces
+   * @param {Array} faces - Tracked faces (with `id`)
+   * @param {number} timestamp - Detection time in ms
+   * @returns {Array} Copies of the faces with smoothed scaledMesh
+   */
+  smooth(faces, timestamp = performance.now()) {
+    const states = new Map();
+
+    const smoothed = faces.map(face => {
+      if (face.id === undefined || !face.scaledMesh) return face;
+
+      const state = this.states.get(face.id);
+      const dt = state ? (timestamp - state.timestamp) / 1000 : 0;
+      const fresh = !state || state.values.length !== face.scaledMesh.length * 3 ||
+        dt <= 0 || dt * 1000 > TRACKING.SMOOTHING_RESET_MS;
+
+      if (fresh) {
+        states.set(face.id, createState(face.scaledMesh, timestamp));
+        return face;
+      }
+
+      state.timestamp = timestamp;
+      states.set(face.id, state);
+      return { ...face, scaledMesh: filterMesh(face, state, dt) };
+    });
+
+    // Faces not seen this frame start fresh if they come back
+    this.states = states;
+    return smoothed;
+  }
+
+  /**
+   * Forget all filter state
+   */
+  reset() {
+    this.states.clear();
+  }
+}
+
+/**
+ * Seed filter state with raw landmarks
+ * @param {Array} mesh - scaledMesh
+ * @param {number} timestamp
+ * @returns {object} { values, speeds, timestamp }
+ */
+function createState(mesh, timestamp) {
+  const values = new Float64Array(mesh.length * 3);
+  mesh.forEach((point, index) => {
+    values[index * 3] = point[0];
+    values[index * 3 + 1] = point[1];
+    values[index * 3 + 2] = point[2] || 0;
+  });
+
+  return { values, speeds: new Float64Array(mesh.length), timestamp };
+}
+
+/**
+ * Advance the filter for every landmark of a face
+ * @param {object} face
+ * @param {object} state - Updated in place
+ * @param {number} dt - Seconds since the previous detection
+ * @returns {Array} Smoothed mesh (sparse where the input is)
+ */
+function filterMesh(face, state, dt) {
+  const { values, speeds } = state;
+  const mesh = face.scaledMesh;
+  const box = getFaceBox(face);
+  const faceWidth = box[2] - box[0] || 1;
+  const speedAlpha = smoothingFactor(TRACKING.SMOOTHING_DERIVATE_CUTOFF, dt);
+  const smoothed = new Array(mesh.length);
+
+  for (let i = 0; i < mesh.length; i++) {
+    const point = mesh[i];
+    if (!point) continue;
+
+    const k = i * 3;
+    // Speed in face widths per second, so tuning holds at any distance from the camera
+    const speed = Math.hypot(point[0] - values[k], point[1] - values[k + 1]) / dt / faceWidth;
+    speeds[i] += speedAlpha * (speed - speeds[i]);
+
+    const alpha = smoothingFactor(TRACKING.SMOOTHING_MIN_CUTOFF + TRACKING.SMOOTHING_BETA * speeds[i], dt);
+    values[k] += alpha * (point[0] - values[k]);
+    values[k + 1] += alpha * (point[1] - values[k + 1]);
+    values[k + 2] += alpha * ((point[2] || 0) - values[k + 2]);
+
+    smoothed[i] = [values[k], values[k + 1], values[k + 2]];
+  }
+
+  return smoothed;
+}
+
+/**
+ * Exponential smoothing factor for a cutoff frequency
+ * @param {number} cutoff - Hz
+ * @param {number} dt - Seconds
+ * @returns {number} 0-1
+ */
+function smoothingFactor(cutoff, dt) {
+  const tau = 1 / (2 * Math.PI * cutoff);
+  return 1 / (1 + tau / dt);
+}
+
+export default LandmarkSmoother;
@@ -0,0 +1,133 @@
+/**
+ * Region Tracker
+ * Picks a padded box around faces that hold still, so the detector searches a
+ * small crop instead of the whole frame. The box stays put while the faces stay
+ * well inside it, and full-frame scans on a schedule catch faces entering the frame.
+ */
+
+import { TRACKING } from '../config/constants.js';
+import { getFaceBox } from '../utils/viewportUtils.js';
+
+export class RegionTracker {
+  constructor() {
+    this.region = null;
+    // Region the running detection searched (null = full frame)
+    this.searched = null;
+    this.faceCount = 0;
+    this.detectionsSinceScan = 0;
+    this.regionDetections = 0;
+    this.fullScans = 0;
+  }
+
+  /**
+   * Get the area to search in the next frame
+   * @returns {object|null} { x, y, width, height } in frame pixels, or null for the full frame
+   */
+  next() {
+    if (!this.region || this.detectionsSinceScan >= TRACKING.ROI_FULL_SCAN_INTERVAL) {
+      this.searched = null;
+      this.detectionsSinceScan = 0;
+      this.fullScans++;
+    } else {
+      this.searched = this.region;
+      this.detectionsSinceScan++;
+      this.regionDetections++;
+    }
+
+    return this.searched;
+  }
+
+  /**
+   * Update the region from a detection result
+   * @param {Array} faces - Tracked faces in frame pixels
+   * @param {number} movement - Average movement in pixels (see calculateFaceMovement)
+   * @param {number} width - Frame width
+   * @param {number} height - Frame height
+   */
+  update(faces, movement, width, height) {
+    // A face missing from a crop may have left it; look at the whole frame before cropping again
+    const lostFace = this.searched !== null && faces.length < this.faceCount;
+
+    if (!faces.length || lostFace || !(movement < TRACKING.MOVEMENT_THRESHOLD)) {
+      this.region = null;
+    } else if (!this.region || !faces.every(face => isWellInside(getFaceBox(face), this.region))) {
+      this.region = fitRegion(faces, width, height);
+    }
+
+    this.faceCount = faces.length;
+  }
+
+  /**
+   * Forget the region, e.g. when the input changes
+   */
+  reset() {
+    this.region = null;
+    this.searched = null;
+    this.faceCount = 0;
+    this.detectionsSinceScan = 0;
+  }
+
+  /**
+   * Get region statistics
+   * @returns {object}
+   */
+  getStats() {
+    return {
+      region: this.region,
+      regionDetections: this.regionDetections,
+      fullScans: this.fullScans
+    };
+  }
+}
+
+/**
+ * Check if a face box stays clear of a region's edges
+ * @param {Array<number>} box - [minX, minY, maxX, maxY]
+ * @param {object} region
+ * @returns {boolean}
+ */
+function isWellInside(box, region) {
+  const marginX = region.width * TRACKING.ROI_MARGIN;
+  const marginY = region.height * TRACKING.ROI_MARGIN;
+
+  return box[0] >= region.x + marginX &&
+    box[1] >= region.y + marginY &&
+    box[2] <= region.x + region.width - marginX &&
+    box[3] <= region.y + region.height - marginY;
+}
+
+/**
+ * Fit a padded region around every face
+ * @param {Array} faces
+ * @param {number} width - Frame width
+ * @param {number} height - Frame height
+ * @returns {object|null} Null if the region would cover too much of the frame to help
+ */
+function fitRegion(faces, width, height) {
+  const bounds = [Infinity, Infinity, -Infinity, -Infinity];
+
+  faces.forEach(face => {
+    const box = getFaceBox(face);
+    const padX = (box[2] - box[0]) * TRACKING.ROI_PADDING;
+    const padY = (box[3] - box[1]) * TRACKING.ROI_PADDING;
+    bounds[0] = Math.min(bounds[0], box[0] - padX);
+    bounds[1] = Math.min(bounds[1], box[1] - padY);
+    bounds[2] = Math.max(bounds[2], box[2] + padX);
+    bounds[3] = Math.max(bounds[3], box[3] + padY);
+  });
+
+  const x = Math.max(0, Math.floor(bounds[0]));
+  const y = Math.max(0, Math.floor(bounds[1]));
+  const regionWidth = Math.min(width, Math.ceil(bounds[2])) - x;
+  const regionHeight = Math.min(height, Math.ceil(bounds[3])) - y;
+
+  // NaN sizes (faces without points) fail these checks too
+  if (!(regionWidth > 0 && regionHeight > 0) ||
+      regionWidth * regionHeight > width * height * TRACKING.ROI_MAX_AREA) {
+    return null;
+  }
+
+  return { x, y, width: regionWidth, height: regionHeight };
+}
+
+export default RegionTracker;
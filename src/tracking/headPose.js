@@ -0,0 +1,138 @@
+/**
+ * Head Pose
+ * Yaw, pitch and roll solved from the 3D landmark mesh, plus a face-local
+ * frame for placing filter parts
+ */
+
+import { LANDMARKS } from '../config/constants.js';
+
+// Used when the mesh lacks the points the solver needs
+const UPRIGHT = Object.freeze({
+  yaw: 0,
+  pitch: 0,
+  roll: 0,
+  origin: null,
+  xAxis: [1, 0],
+  yAxis: [0, 1],
+  scale: null
+});
+
+/**
+ * Estimate head orientation
+ * Angles are in radians: yaw is positive when the face turns toward the
+ * image's right, pitch when the chin lifts, roll when the head tilts
+ * clockwise on screen. Meshes without depth (BlazeFace) only yield roll.
+ * @param {object} face - { scaledMesh }
+ * @returns {object|null} { yaw, pitch, roll, origin, xAxis, yAxis, scale }
+ */
+export function estimateHeadPose(face) {
+  const mesh = face.scaledMesh || [];
+  const leftEye = mesh[LANDMARKS.LEFT_EYE];
+  const rightEye = mesh[LANDMARKS.RIGHT_EYE];
+  const forehead = mesh[LANDMARKS.FOREHEAD_CENTER];
+  const chin = mesh[LANDMARKS.CHIN_TIP] || mesh[LANDMARKS.MOUTH_TOP_CENTER];
+  if (!leftEye || !rightEye || !forehead || !chin) return null;
+
+  const across = subtract(rightEye, leftEye);
+  const scale = length(across);
+  if (scale === 0) return null;
+
+  // Face axes in camera space: eye line to the right, forehead-to-chin
+  // (made perpendicular to the eye line) downward
+  const right = across.map(value => value / scale);
+  const down = normalize(reject(subtract(chin, forehead), right));
+  if (!down) return null;
+
+  return {
+    yaw: Math.asin(clamp(right[2])),
+    pitch: Math.asin(clamp(-down[2])),
+    roll: Math.atan2(right[1], right[0]),
+    origin: [(leftEye[0] + rightEye[0]) / 2, (leftEye[1] + rightEye[1]) / 2],
+    // Projected onto the screen, so they shorten as the head turns away
+    xAxis: [right[0], right[1]],
+    yAxis: [down[0], down[1]],
+    scale
+  };
+}
+
+/**
+ * Get a face's pose, solving it if the pipeline has not
+ * @param {object} face
+ * @returns {object} Pose (upright when it cannot be solved)
+ */
+export function getHeadPose(face) {
+  return face.pose || estimateHeadPose(face) || UPRIGHT;
+}
+
+/**
+ * Attach a pose to each face
+ * @param {Array} faces
+ * @returns {Array} Copies of the faces with `pose`
+ */
+export function attachHeadPoses(faces) {
+  return faces.map(face => ({ ...face, pose: estimateHeadPose(face) || UPRIGHT }));
+}
+
+/**
+ * Offset a point within the face-local frame
+ * @param {object} pose
+ * @param {Array<number>} anchor - [x, y] on the canvas
+ * @param {number} dx - Pixels toward the face's right
+ * @param {number} dy - Pixels toward the face's chin
+ * @returns {object} { x, y } on the canvas
+ */
+export function offsetInFace(pose, anchor, dx, dy) {
+  return {
+    x: anchor[0] + dx * pose.xAxis[0] + dy * pose.yAxis[0],
+    y: anchor[1] + dx * pose.xAxis[1] + dy * pose.yAxis[1]
+  };
+}
+
+/**
+ * Difference of two points, missing depth treated as 0
+ * @param {Array<number>} a
+ * @param {Array<number>} b
+ * @returns {Array<number>} [x, y, z]
+ */
+function subtract(a, b) {
+  return [a[0] - b[0], a[1] - b[1], (a[2] || 0) - (b[2] || 0)];
+}
+
+/**
+ * Length of a 3D vector
+ * @param {Array<number>} v
+ * @returns {number}
+ */
+function length(v) {
+  return Math.hypot(v[0], v[1], v[2]);
+}
+
+/**
+ * Scale a 3D vector to unit length
+ * @param {Array<number>} v
+ * @returns {Array<number>|null} Null for a zero vector
+ */
+function normalize(v) {
+  const len = length(v);
+  return len === 0 ? null : v.map(value => value / len);
+}
+
+/**
+ * Remove the component of a vector along a unit axis
+ * @param {Array<number>} v
+ * @param {Array<number>} axis - Unit vector
+ * @returns {Array<number>}
+ */
+function reject(v, axis) {
+  const dot = v[0] * axis[0] + v[1] * axis[1] + v[2] * axis[2];
+  return v.map((value, i) => value - dot * axis[i]);
+}
+
+/**
+ * Clamp to the domain of asin
+ * @param {number} value
+ * @returns {number}
+ */
+function clamp(value) {
+  return Math.max(-1, Math.min(1, value));
+}
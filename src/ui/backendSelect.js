@@ -0,0 +1,124 @@
+/**
+ * Backend Select
+ * TensorFlow.js backend picker; Auto uses the fastest one benchmarked on this device
+ */
+
+import { BACKEND } from '../config/constants.js';
+
+const SELECTABLE = [BACKEND.AUTO, ...BACKEND.CANDIDATES];
+
+export class BackendSelect {
+  constructor() {
+    this.select = null;
+    this.onChange = null;
+  }
+
+  /**
+   * Initialize the picker
+   * @param {string} choice - BACKEND.AUTO or a backend name
+   */
+  init(choice) {
+    this.select = document.getElementById('backendSelect');
+    if (!this.select) return;
+
+    SELECTABLE.forEach(option => {
+      this.select.add(new Option(BACKEND.LABELS[option], option));
+    });
+    this.select.value = choice;
+
+    this.select.addEventListener('change', () => {
+      if (this.onChange) {
+        this.onChange(this.select.value);
+      }
+    });
+  }
+
+  /**
+   * Get the backend to start with: ?backend= override, then the saved choice
+   * @returns {string} BACKEND.AUTO or a backend name
+   */
+  getInitialChoice() {
+    const requested = new URLSearchParams(window.location.search).get(BACKEND.QUERY_PARAM);
+    if (SELECTABLE.includes(requested)) {
+      return requested;
+    }
+
+    return this.loadChoice() || BACKEND.AUTO;
+  }
+
+  /**
+   * Show a choice as selected
+   * @param {string} choice
+   */
+  setValue(choice) {
+    if (this.select) {
+      this.select.value = choice;
+    }
+  }
+
+  /**
+   * Label each backend with its benchmark time and Auto with the backend it picked
+   * @param {object|null} timings - Backend name -> mean detection ms, or null if unavailable
+   * @param {string|null} active - Backend in use
+   */
+  showTimings(timings, active) {
+    if (!this.select) return;
+
+    Array.from(this.select.options).forEach(option => {
+      const label = BACKEND.LABELS[option.value];
+      if (option.value === BACKEND.AUTO) {
+        option.text = active ? `${label}: ${BACKEND.LABELS[active] || active}` : label;
+      } else if (timings && option.value in timings) {
+        const ms = timings[option.value];
+        option.text = ms === null ? `${label} (unavailable)` : `${label} (${Math.round(ms)} ms)`;
+      } else {
+        option.text = label;
+      }
+    });
+  }
+
+  /**
+   * Disable the picker while the model reloads
+   * @param {boolean} busy
+   */
+  setBusy(busy) {
+    if (this.select) {
+      this.select.disabled = busy;
+    }
+  }
+
+  /**
+   * Set callback invoked when the user picks a backend
+   * @param {Function} callback - Receives BACKEND.AUTO or a backend name
+   */
+  setChangeCallback(callback) {
+    this.onChange = callback;
+  }
+
+  /**
+   * Load the saved choice
+   * @returns {string|null}
+   */
+  loadChoice() {
+    try {
+      const stored = localStorage.getItem(BACKEND.STORAGE_KEY);
+      return SELECTABLE.includes(stored) ? stored : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Remember a choice for next time
+   * @param {string} choice
+   */
+  saveChoice(choice) {
+    try {
+      localStorage.setItem(BACKEND.STORAGE_KEY, choice);
+    } catch (e) {
+      // Could not persist backend preference
+    }
+  }
+}
+
+export default BackendSelect;
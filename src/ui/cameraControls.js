@@ -0,0 +1,112 @@
+/**
+ * Camera Controls
+ * Camera switch button and device picker
+ */
+
+export class CameraControls {
+  constructor(camera) {
+    this.camera = camera;
+    this.switchBtn = null;
+    this.deviceSelect = null;
+    this.enabled = true;
+  }
+
+  /**
+   * Initialize camera controls
+   */
+  init() {
+    this.switchBtn = document.getElementById('cameraSwitchBtn');
+    this.deviceSelect = document.getElementById('cameraSelect');
+
+    this.switchBtn?.addEventListener('click', () => this.switchToNext());
+    this.deviceSelect?.addEventListener('change', () => this.switchTo(this.deviceSelect.value));
+
+    this.camera.setDevicesChangeCallback(() => this.render());
+    this.render();
+  }
+
+  /**
+   * Update device list and button visibility
+   */
+  render() {
+    const devices = this.enabled ? this.camera.devices : [];
+
+    if (this.switchBtn) {
+      this.switchBtn.hidden = devices.length < 2;
+    }
+
+    if (this.deviceSelect) {
+      this.deviceSelect.innerHTML = '';
+      devices.forEach(device => {
+        this.deviceSelect.add(new Option(device.label, device.deviceId));
+      });
+      this.deviceSelect.value = this.camera.deviceId || '';
+      this.deviceSelect.disabled = devices.length < 2;
+    }
+  }
+
+  /**
+   * Enable or disable switching (only meaningful while the camera is the input)
+   * @param {boolean} enabled
+   */
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    this.render();
+  }
+
+  /**
+   * Switch to a specific camera
+   * @param {string} deviceId
+   */
+  async switchTo(deviceId) {
+    await this.run(() => this.camera.switchDevice(deviceId));
+  }
+
+  /**
+   * Switch to the next camera
+   */
+  async switchToNext() {
+    await this.run(() => this.camera.switchToNext());
+  }
+
+  /**
+   * Run a switch with button state and status feedback
+   * @param {Function} action
+   */
+  async run(action) {
+    if (this.camera.isSwitching) return;
+
+    this.switchBtn?.classList.add('switching');
+    this.updateStatus('Switching camera...');
+
+    try {
+      await action();
+      const device = this.camera.getCurrentDevice();
+      this.updateStatus(device ? `Using ${device.label}` : 'Camera switched', true);
+    } catch (error) {
+      this.updateStatus(error.message, true);
+    } finally {
+      this.switchBtn?.classList.remove('switching');
+      this.render();
+    }
+  }
+
+  /**
+   * Update status message
+   * @param {string} message
+   * @param {boolean} transient - Reset to 'Ready' after a moment
+   */
+  updateStatus(message, transient = false) {
+    const statusEl = document.getElementById('statusText');
+    if (statusEl) {
+      statusEl.textContent = message;
+      if (transient) {
+        setTimeout(() => {
+          statusEl.textContent = 'Ready';
+        }, 2000);
+      }
+    }
+  }
+}
+
+export default CameraControls;
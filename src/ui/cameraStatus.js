@@ -0,0 +1,98 @@
+/**
+ * Camera Status
+ * Recovery notice shown when the camera is lost or permission is withdrawn
+ */
+
+import { CAMERA_CONFIG } from '../config/constants.js';
+
+const { STATES } = CAMERA_CONFIG;
+
+const MESSAGES = {
+  [STATES.LOST]: {
+    title: 'Camera disconnected',
+    text: 'Reconnect the camera or close the app using it, then try again. ' +
+      'You can also pick another camera or open a file in Settings.'
+  },
+  [STATES.DENIED]: {
+    title: 'Camera access blocked',
+    text: 'Allow camera access in your browser\'s site settings, then try again. ' +
+      'You can also open a video or image in Settings.'
+  }
+};
+
+export class CameraStatus {
+  constructor(camera) {
+    this.camera = camera;
+    this.noticeEl = null;
+    this.titleEl = null;
+    this.textEl = null;
+    this.retryBtn = null;
+  }
+
+  /**
+   * Initialize the notice
+   */
+  init() {
+    this.noticeEl = document.getElementById('cameraNotice');
+    this.titleEl = document.getElementById('cameraNoticeTitle');
+    this.textEl = document.getElementById('cameraNoticeText');
+    this.retryBtn = document.getElementById('cameraRetry');
+
+    this.retryBtn?.addEventListener('click', () => this.retry());
+  }
+
+  /**
+   * Show or hide the notice for a lifecycle state
+   * @param {string} state - One of CAMERA_CONFIG.STATES
+   * @param {Error} [error]
+   */
+  render(state, error = null) {
+    if (!this.noticeEl) return;
+
+    if (state === STATES.REQUESTING) {
+      // Keep the notice up while a retry is in flight
+      if (this.retryBtn) {
+        this.retryBtn.disabled = true;
+        this.retryBtn.textContent = 'Connecting...';
+      }
+      return;
+    }
+
+    const message = MESSAGES[state];
+    this.noticeEl.hidden = !message;
+    if (this.retryBtn) {
+      this.retryBtn.disabled = false;
+      this.retryBtn.textContent = 'Try again';
+    }
+    if (!message) return;
+
+    if (this.titleEl) {
+      this.titleEl.textContent = message.title;
+    }
+    if (this.textEl) {
+      this.textEl.textContent = error?.message ? `${error.message}. ${message.text}` : message.text;
+    }
+  }
+
+  /**
+   * Try to reopen the camera
+   */
+  async retry() {
+    try {
+      await this.camera.resume();
+    } catch (error) {
+      // The resulting state change updates the notice
+    }
+  }
+
+  /**
+   * Hide the notice
+   */
+  hide() {
+    if (this.noticeEl) {
+      this.noticeEl.hidden = true;
+    }
+  }
+}
+
+export default CameraStatus;
@@ -0,0 +1,131 @@
+/**
+ * Contact Sheet
+ * Lets the user pick which burst shots to keep
+ */
+
+export class ContactSheet {
+  constructor() {
+    this.sheetEl = null;
+    this.gridEl = null;
+    this.saveBtn = null;
+    this.selectAllBtn = null;
+    this.discardBtn = null;
+    this.items = [];
+    this.resolve = null;
+  }
+
+  /**
+   * Initialize contact sheet
+   */
+  init() {
+    this.sheetEl = document.getElementById('contactSheet');
+    this.gridEl = document.getElementById('contactSheetGrid');
+    this.saveBtn = document.getElementById('contactSheetSave');
+    this.selectAllBtn = document.getElementById('contactSheetSelectAll');
+    this.discardBtn = document.getElementById('contactSheetDiscard');
+
+    this.saveBtn?.addEventListener('click', () => {
+      this.close(this.items.filter(item => item.selected).map(item => item.blob));
+    });
+    this.selectAllBtn?.addEventListener('click', () => this.selectAll());
+    this.discardBtn?.addEventListener('click', () => this.close([]));
+  }
+
+  /**
+   * Show shots and wait for the user's choice
+   * @param {Array<Blob>} blobs
+   * @returns {Promise<Array<Blob>>} Selected shots (empty if discarded)
+   */
+  show(blobs) {
+    if (!this.sheetEl || !this.gridEl) {
+      return Promise.resolve(blobs);
+    }
+
+    // Resolve any sheet still open
+    this.close([]);
+
+    this.items = blobs.map((blob, index) => {
+      const url = URL.createObjectURL(blob);
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'contact-sheet-item';
+      button.setAttribute('aria-pressed', 'false');
+      button.title = `Shot ${index + 1}`;
+
+      const img = document.createElement('img');
+      img.src = url;
+      img.alt = `Shot ${index + 1}`;
+      button.appendChild(img);
+
+      button.addEventListener('click', () => this.toggleItem(index));
+      this.gridEl.appendChild(button);
+
+      return { blob, url, button, selected: false };
+    });
+
+    this.updateSaveButton();
+    this.sheetEl.hidden = false;
+
+    return new Promise(resolve => {
+      this.resolve = resolve;
+    });
+  }
+
+  /**
+   * Toggle selection of a shot
+   * @param {number} index
+   */
+  toggleItem(index) {
+    const item = this.items[index];
+    if (!item) return;
+
+    item.selected = !item.selected;
+    item.button.classList.toggle('selected', item.selected);
+    item.button.setAttribute('aria-pressed', String(item.selected));
+    this.updateSaveButton();
+  }
+
+  /**
+   * Select every shot
+   */
+  selectAll() {
+    this.items.forEach((item, index) => {
+      if (!item.selected) this.toggleItem(index);
+    });
+  }
+
+  /**
+   * Update save button label and state
+   */
+  updateSaveButton() {
+    if (!this.saveBtn) return;
+
+    const count = this.items.filter(item => item.selected).length;
+    this.saveBtn.disabled = count === 0;
+    this.saveBtn.textContent = count > 0 ? `Save ${count}` : 'Save';
+  }
+
+  /**
+   * Hide sheet and resolve with the given shots
+   * @param {Array<Blob>} selected
+   */
+  close(selected) {
+    if (this.sheetEl) {
+      this.sheetEl.hidden = true;
+    }
+
+    this.items.forEach(item => URL.revokeObjectURL(item.url));
+    this.items = [];
+    if (this.gridEl) {
+      this.gridEl.innerHTML = '';
+    }
+
+    if (this.resolve) {
+      const resolve = this.resolve;
+      this.resolve = null;
+      resolve(selected);
+    }
+  }
+}
+
+export default ContactSheet;
@@ -9,6 +9,8 @@ export class UIControls {
   constructor(filterRenderer) {
     this.filterRenderer = filterRenderer;
     this.filterButtons = [];
+    this.settingsBtn = null;
+    this.settingsPanel = null;
     this.onFilterChange = null;
   }
 
@@ -17,6 +19,7 @@ export class UIControls {
    */
   init() {
     this.setupFilterButtons();
+    this.setupSettingsPanel();
     if (browserDetector.isSafari) {
       browserDetector.setupSafariViewport();
     }
@@ -36,6 +39,21 @@ export class UIControls {
     });
   }
 
+  /**
+   * Setup settings panel toggle
+   */
+  setupSettingsPanel() {
+    this.settingsBtn = document.getElementById('settingsBtn');
+    this.settingsPanel = document.getElementById('settingsPanel');
+
+    if (this.settingsBtn && this.settingsPanel) {
+      this.settingsBtn.addEventListener('click', () => {
+        const open = this.settingsPanel.classList.toggle('open');
+        this.settingsBtn.setAttribute('aria-expanded', String(open));
+      });
+    }
+  }
+
   /**
    * Select a filter
    * @param {string} filterName
@@ -64,6 +82,16 @@ export class UIControls {
     });
   }
 
+  /**
+   * Disable buttons for filters the face detector cannot drive
+   */
+  updateFilterAvailability() {
+    this.filterButtons.forEach(btn => {
+      btn.disabled = !this.filterRenderer.isFilterSupported(btn.dataset.filter);
+    });
+    this.updateActiveButton(this.filterRenderer.getCurrentFilter());
+  }
+
   /**
    * Update status message
    * @param {string} message
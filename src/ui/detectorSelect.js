@@ -0,0 +1,107 @@
+/**
+ * Detector Select
+ * Face tracking picker that trades landmark detail for speed
+ */
+
+import { DETECTOR } from '../config/constants.js';
+
+const SELECTABLE = [DETECTOR.TYPES.MEDIAPIPE, DETECTOR.TYPES.BLAZEFACE];
+
+export class DetectorSelect {
+  constructor() {
+    this.select = null;
+    this.onChange = null;
+  }
+
+  /**
+   * Initialize the picker
+   * @param {string} type - Detector in use
+   */
+  init(type) {
+    this.select = document.getElementById('detectorSelect');
+    if (!this.select) return;
+
+    // Scripted detectors are only reachable through the URL; list them while active
+    const types = SELECTABLE.includes(type) ? SELECTABLE : [...SELECTABLE, type];
+    types.forEach(option => {
+      this.select.add(new Option(DETECTOR.LABELS[option] || option, option));
+    });
+    this.select.value = type;
+
+    this.select.addEventListener('change', () => {
+      if (this.onChange) {
+        this.onChange(this.select.value);
+      }
+    });
+  }
+
+  /**
+   * Get the detector to start with: ?detector= override, then the saved choice
+   * @returns {string} One of DETECTOR.TYPES
+   */
+  getInitialType() {
+    const requested = new URLSearchParams(window.location.search).get(DETECTOR.QUERY_PARAM);
+    if (Object.values(DETECTOR.TYPES).includes(requested)) {
+      return requested;
+    }
+
+    return this.loadType() || DETECTOR.DEFAULT_TYPE;
+  }
+
+  /**
+   * Show a detector as selected
+   * @param {string} type
+   */
+  setValue(type) {
+    if (this.select) {
+      this.select.value = type;
+    }
+  }
+
+  /**
+   * Disable the picker while a detector loads
+   * @param {boolean} busy
+   */
+  setBusy(busy) {
+    if (this.select) {
+      this.select.disabled = busy;
+    }
+  }
+
+  /**
+   * Set callback invoked when the user picks a detector
+   * @param {Function} callback - Receives the detector type
+   */
+  setChangeCallback(callback) {
+    this.onChange = callback;
+  }
+
+  /**
+   * Load the saved detector
+   * @returns {string|null}
+   */
+  loadType() {
+    try {
+      const stored = localStorage.getItem(DETECTOR.STORAGE_KEY);
+      return SELECTABLE.includes(stored) ? stored : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Remember a detector for next time
+   * @param {string} type
+   */
+  saveType(type) {
+    if (!SELECTABLE.includes(type)) return;
+
+    try {
+      localStorage.setItem(DETECTOR.STORAGE_KEY, type);
+    } catch (e) {
+      // Could not persist detector preference
+    }
+  }
+}
+
+export default DetectorSelect;
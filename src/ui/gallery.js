@@ -0,0 +1,441 @@
+/**
+ * Gallery
+ * In-app browser for captures stored in IndexedDB
+ */
+
+import { GALLERY, CAPTURE } from '../config/constants.js';
+import { GalleryStore } from '../storage/galleryStore.js';
+import { createZip } from '../storage/zipWriter.js';
+
+export class Gallery {
+  constructor() {
+    this.store = new GalleryStore();
+    this.available = false;
+    this.galleryBtn = null;
+    this.panelEl = null;
+    this.gridEl = null;
+    this.emptyEl = null;
+    this.warningEl = null;
+    this.usageEl = null;
+    this.exportBtn = null;
+    this.clearBtn = null;
+    this.closeBtn = null;
+    this.thumbnailUrls = [];
+  }
+
+  /**
+   * Initialize gallery
+   * @returns {Promise<boolean>} True if storage is available
+   */
+  async init() {
+    this.galleryBtn = document.getElementById('galleryBtn');
+    this.panelEl = document.getElementById('galleryPanel');
+    this.gridEl = document.getElementById('galleryGrid');
+    this.emptyEl = document.getElementById('galleryEmpty');
+    this.warningEl = document.getElementById('galleryWarning');
+    this.usageEl = document.getElementById('galleryUsage');
+    this.exportBtn = document.getElementById('galleryExport');
+    this.clearBtn = document.getElementById('galleryClear');
+    this.closeBtn = document.getElementById('galleryClose');
+
+    try {
+      await this.store.open();
+      this.available = true;
+    } catch (error) {
+      // Private browsing or unsupported: gallery stays hidden
+      if (this.galleryBtn) this.galleryBtn.hidden = true;
+      return false;
+    }
+
+    this.store.requestPersistence();
+
+    this.galleryBtn?.addEventListener('click', () => this.open());
+    this.closeBtn?.addEventListener('click', () => this.close());
+    this.exportBtn?.addEventListener('click', () => this.exportZip());
+    this.clearBtn?.addEventListener('click', () => this.clearAll());
+
+    await this.checkQuota();
+    return true;
+  }
+
+  /**
+   * Store a capture
+   * @param {Blob} blob - Captured file
+   * @param {object} details - { extension, previewBlob, filterName, filterDisplayName, filtered, metadata }
+   * @returns {Promise<number|null>} New item id
+   */
+  async add(blob, details) {
+    if (!this.available) return null;
+
+    try {
+      const { thumbnail, width, height } = await this.createThumbnail(details.previewBlob || blob);
+
+      const id = await this.store.add({
+        createdAt: Date.now(),
+        filterName: details.filterName,
+        filterDisplayName: details.filterDisplayName || details.filterName,
+        filtered: details.filtered !== false,
+        extension: details.extension,
+        type: blob.type,
+        size: blob.size,
+        width,
+        height,
+        thumbnail,
+        metadata: details.metadata || null
+      }, blob);
+
+      await this.checkQuota();
+      if (this.isOpen()) {
+        await this.render();
+      }
+      return id;
+    } catch (error) {
+      if (error?.name === 'QuotaExceededError') {
+        this.showWarning('Gallery is full. Export or delete captures to free space.');
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Create a thumbnail and read dimensions
+   * @param {Blob} imageBlob
+   * @returns {Promise<object>} { thumbnail, width, height }
+   */
+  async createThumbnail(imageBlob) {
+    const image = await loadImage(imageBlob);
+    const width = image.width;
+    const height = image.height;
+    const scale = Math.min(1, GALLERY.THUMBNAIL_SIZE / Math.max(width, height));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(width * scale));
+    canvas.height = Math.max(1, Math.round(height * scale));
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+    image.close?.();
+
+    const thumbnail = await new Promise(resolve =>
+      canvas.toBlob(resolve, GALLERY.THUMBNAIL_TYPE, GALLERY.THUMBNAIL_QUALITY)
+    );
+
+    return { thumbnail, width, height };
+  }
+
+  /**
+   * Open gallery panel
+   */
+  async open() {
+    if (!this.panelEl) return;
+
+    this.panelEl.hidden = false;
+    await this.render();
+    await this.checkQuota();
+  }
+
+  /**
+   * Close gallery panel
+   */
+  close() {
+    if (this.panelEl) {
+      this.panelEl.hidden = true;
+    }
+    this.releaseThumbnails();
+  }
+
+  /**
+   * Check if gallery panel is visible
+   * @returns {boolean}
+   */
+  isOpen() {
+    return !!this.panelEl && !this.panelEl.hidden;
+  }
+
+  /**
+   * Render gallery grid
+   */
+  async render() {
+    if (!this.gridEl) return;
+
+    const items = await this.store.list();
+
+    this.releaseThumbnails();
+    this.gridEl.innerHTML = '';
+
+    if (this.emptyEl) {
+      this.emptyEl.hidden = items.length > 0;
+    }
+    if (this.exportBtn) {
+      this.exportBtn.disabled = items.length === 0;
+    }
+
+    items.forEach(item => {
+      this.gridEl.appendChild(this.createCard(item));
+    });
+  }
+
+  /**
+   * Create a gallery card
+   * @param {object} item
+   * @returns {HTMLElement}
+   */
+  createCard(item) {
+    const card = document.createElement('figure');
+    card.className = 'gallery-item';
+
+    const img = document.createElement('img');
+    if (item.thumbnail) {
+      const url = URL.createObjectURL(item.thumbnail);
+      this.thumbnailUrls.push(url);
+      img.src = url;
+    }
+    img.alt = `${item.filterDisplayName} capture`;
+    card.appendChild(img);
+
+    if (item.extension !== 'png') {
+      const badge = document.createElement('span');
+      badge.className = 'gallery-item-badge';
+      badge.textContent = item.extension.toUpperCase();
+      card.appendChild(badge);
+    }
+
+    const caption = document.createElement('figcaption');
+    const date = new Date(item.createdAt).toLocaleString();
+    caption.textContent = `${item.filterDisplayName} · ${item.width}×${item.height} · ${date}`;
+    card.appendChild(caption);
+
+    const actions = document.createElement('div');
+    actions.className = 'gallery-item-actions';
+
+    const downloadBtn = document.createElement('button');
+    downloadBtn.type = 'button';
+    downloadBtn.textContent = 'Download';
+    downloadBtn.addEventListener('click', () => this.download(item));
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.type = 'button';
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.addEventListener('click', () => this.remove(item.id));
+
+    actions.append(downloadBtn, deleteBtn);
+    card.appendChild(actions);
+
+    return card;
+  }
+
+  /**
+   * Download a stored capture again
+   * @param {object} item
+   */
+  async download(item) {
+    try {
+      const blob = await this.store.getBlob(item.id);
+      if (!blob) {
+        this.updateStatus('Capture is missing');
+        return;
+      }
+
+      downloadBlob(blob, getFilename(item));
+    } catch (error) {
+      this.updateStatus('Failed to download capture');
+    }
+  }
+
+  /**
+   * Delete a stored capture
+   * @param {number} id
+   */
+  async remove(id) {
+    try {
+      await this.store.remove(id);
+      await this.render();
+      await this.checkQuota();
+    } catch (error) {
+      this.updateStatus('Failed to delete capture');
+    }
+  }
+
+  /**
+   * Delete every stored capture
+   */
+  async clearAll() {
+    if (!window.confirm('Delete all captures from the gallery?')) return;
+
+    try {
+      await this.store.clear();
+      await this.render();
+      await this.checkQuota();
+    } catch (error) {
+      this.updateStatus('Failed to clear gallery');
+    }
+  }
+
+  /**
+   * Export all captures as a ZIP
+   */
+  async exportZip() {
+    const items = await this.store.list();
+    if (items.length === 0) return;
+
+    if (this.exportBtn) this.exportBtn.disabled = true;
+    this.updateStatus('Preparing ZIP...');
+
+    try {
+      const files = [];
+      let exported = 0;
+      for (const item of items) {
+        const blob = await this.store.getBlob(item.id);
+        if (blob) {
+          files.push({ name: getFilename(item), blob, date: new Date(item.createdAt) });
+          exported++;
+        }
+        if (item.metadata) {
+          files.push({
+            name: getFilename(item, 'json'),
+            blob: createMetadataBlob(item.metadata),
+            date: new Date(item.createdAt)
+          });
+        }
+      }
+
+      const zip = await createZip(files);
+      downloadBlob(zip, `${GALLERY.ZIP_FILENAME_PREFIX}-${Date.now()}.zip`);
+      this.updateStatus(`Exported ${exported} captures`);
+    } catch (error) {
+      this.updateStatus('Failed to export gallery');
+    } finally {
+      if (this.exportBtn) this.exportBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Show usage and warn when storage is nearly full
+   */
+  async checkQuota() {
+    const estimate = await this.store.estimate();
+    if (!estimate) return;
+
+    const ratio = estimate.usage / estimate.quota;
+
+    if (this.usageEl) {
+      this.usageEl.textContent = `${formatBytes(estimate.usage)} of ${formatBytes(estimate.quota)}`;
+    }
+
+    if (ratio >= GALLERY.QUOTA_WARNING_RATIO) {
+      this.showWarning(
+        `Storage ${Math.round(ratio * 100)}% full. Export or delete captures to keep saving.`
+      );
+    } else if (this.warningEl) {
+      this.warningEl.hidden = true;
+    }
+  }
+
+  /**
+   * Show storage warning
+   * @param {string} message
+   */
+  showWarning(message) {
+    if (this.warningEl) {
+      this.warningEl.textContent = message;
+      this.warningEl.hidden = false;
+    }
+    this.updateStatus(message);
+  }
+
+  /**
+   * Revoke thumbnail object URLs
+   */
+  releaseThumbnails() {
+    this.thumbnailUrls.forEach(url => URL.revokeObjectURL(url));
+    this.thumbnailUrls = [];
+  }
+
+  /**
+   * Update status message
+   * @param {string} message
+   */
+  updateStatus(message) {
+    const statusEl = document.getElementById('statusText');
+    if (statusEl) {
+      statusEl.textContent = message;
+      setTimeout(() => {
+        statusEl.textContent = 'Ready';
+      }, 2000);
+    }
+  }
+
+  /**
+   * Release resources
+   */
+  destroy() {
+    this.releaseThumbnails();
+    this.store.close();
+  }
+}
+
+/**
+ * Decode an image blob
+ * @param {Blob} blob
+ * @returns {Promise<ImageBitmap|HTMLImageElement>}
+ */
+async function loadImage(blob) {
+  if (typeof createImageBitmap === 'function') {
+    return createImageBitmap(blob);
+  }
+
+  const url = URL.createObjectURL(blob);
+  try {
+    const img = new Image();
+    img.src = url;
+    await img.decode();
+    return img;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * Trigger a browser download
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Build the download filename for an item
+ * @param {object} item
+ * @param {string} [extension] - Defaults to the capture's own extension
+ * @returns {string}
+ */
+function getFilename(item, extension = item.extension) {
+  // Captures saved in the same millisecond share createdAt; the id keeps names unique
+  return `${CAPTURE.FILENAME_PREFIX}-${item.createdAt}-${item.id}.${extension}`;
+}
+
+/**
+ * Serialize capture metadata for a sidecar file
+ * @param {object} metadata
+ * @returns {Blob}
+ */
+function createMetadataBlob(metadata) {
+  return new Blob([JSON.stringify(metadata, null, 2)], { type: 'application/json' });
+}
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${Math.round(bytes / 1024)} KB`;
+}
+
+export default Gallery;
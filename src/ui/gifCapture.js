@@ -0,0 +1,206 @@
+/**
+ * GIF Capture Handler
+ * Manages GIF button, GIF settings and encoding progress
+ */
+
+import { GIF } from '../config/constants.js';
+import { GifRecorder } from '../capture/GifRecorder.js';
+
+export class GifCapture {
+  constructor(video, compositor, photoCapture) {
+    this.video = video;
+    this.compositor = compositor;
+    this.photoCapture = photoCapture;
+    this.recorder = new GifRecorder(compositor);
+    this.gifBtn = null;
+    this.frameRateSelect = null;
+    this.sizeSelect = null;
+    this.boomerangInput = null;
+    this.isEncoding = false;
+    this.getFrameState = null;
+    this.filter = null;
+    this.settings = this.loadSettings();
+  }
+
+  /**
+   * Initialize GIF capture
+   */
+  init() {
+    this.gifBtn = document.getElementById('gifBtn');
+    this.frameRateSelect = document.getElementById('gifFrameRate');
+    this.sizeSelect = document.getElementById('gifSize');
+    this.boomerangInput = document.getElementById('gifBoomerang');
+
+    if (this.gifBtn) {
+      this.gifBtn.addEventListener('click', () => this.start());
+    }
+
+    this.setupSettingsControls();
+  }
+
+  /**
+   * Set callback that returns the state of the last rendered frame
+   * @param {Function} callback
+   */
+  setFrameProvider(callback) {
+    this.getFrameState = callback;
+  }
+
+  /**
+   * Populate and bind frame rate, size and boomerang controls
+   */
+  setupSettingsControls() {
+    if (this.frameRateSelect) {
+      this.frameRateSelect.innerHTML = '';
+      GIF.FRAME_RATES.forEach(rate => {
+        this.frameRateSelect.add(new Option(`${rate} fps`, String(rate)));
+      });
+      this.frameRateSelect.value = String(this.settings.frameRate);
+      this.frameRateSelect.addEventListener('change', () => {
+        this.updateSettings({ frameRate: Number(this.frameRateSelect.value) });
+      });
+    }
+
+    if (this.sizeSelect) {
+      this.sizeSelect.innerHTML = '';
+      Object.entries(GIF.SIZES).forEach(([name, width]) => {
+        const label = name.charAt(0) + name.slice(1).toLowerCase();
+        this.sizeSelect.add(new Option(`${label} (${width}px)`, name));
+      });
+      this.sizeSelect.value = this.settings.size;
+      this.sizeSelect.addEventListener('change', () => {
+        this.updateSettings({ size: this.sizeSelect.value });
+      });
+    }
+
+    if (this.boomerangInput) {
+      this.boomerangInput.checked = this.settings.boomerang;
+      this.boomerangInput.addEventListener('change', () => {
+        this.updateSettings({ boomerang: this.boomerangInput.checked });
+      });
+    }
+  }
+
+  /**
+   * Start collecting GIF frames
+   */
+  start() {
+    if (this.recorder.isRecording() || this.isEncoding || !this.video.videoWidth) return;
+
+    this.recorder.start(
+      {
+        frameRate: this.settings.frameRate,
+        width: GIF.SIZES[this.settings.size] || GIF.SIZES[GIF.DEFAULT_SIZE],
+        boomerang: this.settings.boomerang
+      },
+      this.video.videoWidth,
+      this.video.videoHeight
+    );
+
+    this.filter = this.photoCapture.getShotFilter(this.getFrameState?.(), true);
+    this.gifBtn?.classList.add('recording');
+    this.updateStatus('Recording GIF...');
+  }
+
+  /**
+   * Feed the current frame to the recorder
+   * @param {object} frameState - { faces, qualitySettings } from the render loop
+   */
+  captureFrame(frameState) {
+    if (!this.recorder.isRecording()) return;
+
+    if (this.recorder.captureFrame(frameState)) {
+      this.finish();
+    }
+  }
+
+  /**
+   * Encode and save the GIF
+   */
+  async finish() {
+    this.isEncoding = true;
+    this.gifBtn?.classList.remove('recording');
+    this.gifBtn?.classList.add('encoding');
+
+    try {
+      const blob = await this.recorder.encode(progress => {
+        this.updateStatus(`Encoding GIF ${Math.round(progress * 100)}%`);
+      });
+
+      this.photoCapture.saveCapture(blob, 'gif', blob, null, this.filter);
+      this.updateStatus('GIF saved!', true);
+    } catch (error) {
+      this.updateStatus('Failed to create GIF', true);
+    } finally {
+      this.isEncoding = false;
+      this.gifBtn?.classList.remove('encoding');
+    }
+  }
+
+  /**
+   * Merge and persist settings
+   * @param {object} changes
+   */
+  updateSettings(changes) {
+    this.settings = { ...this.settings, ...changes };
+
+    try {
+      localStorage.setItem(GIF.SETTINGS_STORAGE_KEY, JSON.stringify(this.settings));
+    } catch (e) {
+      // Could not persist GIF settings
+    }
+  }
+
+  /**
+   * Load persisted settings
+   * @returns {object} { frameRate, size, boomerang }
+   */
+  loadSettings() {
+    const defaults = {
+      frameRate: GIF.DEFAULT_FRAME_RATE,
+      size: GIF.DEFAULT_SIZE,
+      boomerang: GIF.DEFAULT_BOOMERANG
+    };
+
+    try {
+      const stored = JSON.parse(localStorage.getItem(GIF.SETTINGS_STORAGE_KEY));
+      if (stored) {
+        return {
+          frameRate: GIF.FRAME_RATES.includes(stored.frameRate) ? stored.frameRate : defaults.frameRate,
+          size: GIF.SIZES[stored.size] ? stored.size : defaults.size,
+          boomerang: typeof stored.boomerang === 'boolean' ? stored.boomerang : defaults.boomerang
+        };
+      }
+    } catch (e) {
+      // Invalid or unavailable storage, use defaults
+    }
+
+    return defaults;
+  }
+
+  /**
+   * Update status message
+   * @param {string} message
+   * @param {boolean} transient - Reset to 'Ready' after a moment
+   */
+  updateStatus(message, transient = false) {
+    const statusEl = document.getElementById('statusText');
+    if (statusEl) {
+      statusEl.textContent = message;
+      if (transient) {
+        setTimeout(() => {
+          statusEl.textContent = 'Ready';
+        }, 2000);
+      }
+    }
+  }
+
+  /**
+   * Drop any frames in progress
+   */
+  destroy() {
+    this.recorder.cancel();
+  }
+}
+
+export default GifCapture;
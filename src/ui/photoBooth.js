@@ -0,0 +1,257 @@
+/**
+ * Photo Booth
+ * Takes a timed sequence of shots and saves them as a printable layout
+ */
+
+import { LAYOUT, APP, CAPTURE } from '../config/constants.js';
+import { LayoutComposer } from '../capture/LayoutComposer.js';
+import { embedPngMetadata } from '../capture/pngMetadata.js';
+
+export class PhotoBooth {
+  constructor(photoCapture) {
+    this.photoCapture = photoCapture;
+    this.composer = new LayoutComposer();
+    this.templateSelect = null;
+    this.borderSelect = null;
+    this.backgroundInput = null;
+    this.captionInput = null;
+    this.logoInput = null;
+    this.logoClearBtn = null;
+    this.logo = null;
+    this.settings = this.loadSettings();
+  }
+
+  /**
+   * Initialize layout controls
+   */
+  init() {
+    this.templateSelect = document.getElementById('layoutTemplate');
+    this.borderSelect = document.getElementById('layoutBorder');
+    this.backgroundInput = document.getElementById('layoutBackground');
+    this.captionInput = document.getElementById('layoutCaption');
+    this.logoInput = document.getElementById('layoutLogo');
+    this.logoClearBtn = document.getElementById('layoutLogoClear');
+
+    if (this.templateSelect) {
+      this.templateSelect.innerHTML = '';
+      this.templateSelect.add(new Option('Off', 'off'));
+      Object.entries(LAYOUT.TEMPLATES).forEach(([name, template]) => {
+        this.templateSelect.add(new Option(template.label, name));
+      });
+      this.templateSelect.value = this.settings.template;
+      this.templateSelect.addEventListener('change', () => {
+        this.updateSettings({ template: this.templateSelect.value });
+      });
+    }
+
+    if (this.borderSelect) {
+      this.borderSelect.innerHTML = '';
+      Object.keys(LAYOUT.BORDERS_IN).forEach(name => {
+        this.borderSelect.add(new Option(name, name));
+      });
+      this.borderSelect.value = this.settings.border;
+      this.borderSelect.addEventListener('change', () => {
+        this.updateSettings({ border: this.borderSelect.value });
+      });
+    }
+
+    if (this.backgroundInput) {
+      this.backgroundInput.value = this.settings.background;
+      this.backgroundInput.addEventListener('change', () => {
+        this.updateSettings({ background: this.backgroundInput.value });
+      });
+    }
+
+    if (this.captionInput) {
+      this.captionInput.maxLength = LAYOUT.CAPTION_MAX_LENGTH;
+      this.captionInput.value = this.settings.caption;
+      this.captionInput.addEventListener('change', () => {
+        this.updateSettings({ caption: this.captionInput.value });
+      });
+    }
+
+    this.logoInput?.addEventListener('change', () => {
+      const file = this.logoInput.files?.[0];
+      if (file) this.setLogo(file);
+    });
+    this.logoClearBtn?.addEventListener('click', () => this.clearLogo());
+
+    if (this.settings.logo) {
+      this.loadLogo(this.settings.logo);
+    }
+    this.updateLogoControls();
+  }
+
+  /**
+   * Check if a layout is selected
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return !!LAYOUT.TEMPLATES[this.settings.template];
+  }
+
+  /**
+   * Take one shot per layout cell, then compose and save the layout
+   * Uses the self-timer delay between shots (or LAYOUT.SHOT_DELAY_S if off)
+   */
+  async run() {
+    const capture = this.photoCapture;
+    const { shots: count } = LayoutComposer.getSize(this.settings.template);
+    const delay = capture.settings.timer || LAYOUT.SHOT_DELAY_S;
+    const shots = [];
+    let frameState = null;
+
+    for (let i = 0; i < count; i++) {
+      capture.setStatus(`Shot ${i + 1}/${count}`);
+
+      if (!await capture.runCountdown(delay)) {
+        capture.updateStatus('Photo booth cancelled');
+        return;
+      }
+
+      frameState = capture.getFrameState ? capture.getFrameState() : null;
+      shots.push(capture.renderCapture(frameState));
+      capture.showFlash();
+    }
+
+    capture.setStatus('Building layout...');
+
+    const canvas = this.composer.compose(shots, { ...this.settings, logo: this.logo });
+    const blob = await this.encode(canvas);
+
+    capture.saveCapture(blob, 'png', blob, null, capture.getShotFilter(frameState));
+    capture.updateStatus(`${LAYOUT.TEMPLATES[this.settings.template].label} saved!`);
+  }
+
+  /**
+   * Encode a layout as PNG tagged with the print DPI
+   * @param {HTMLCanvasElement} canvas
+   * @returns {Promise<Blob>}
+   */
+  async encode(canvas) {
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, CAPTURE.IMAGE_TYPE));
+    if (!blob) {
+      throw new Error('Could not encode layout');
+    }
+
+    try {
+      return await embedPngMetadata(blob, {
+        text: {
+          Software: `${APP.NAME} ${APP.VERSION}`,
+          'Creation Time': new Date().toISOString()
+        },
+        dpi: LAYOUT.DPI
+      });
+    } catch (error) {
+      return blob;
+    }
+  }
+
+  /**
+   * Use an image file as the layout logo
+   * @param {File} file
+   */
+  async setLogo(file) {
+    const dataUrl = await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(file);
+    });
+
+    if (await this.loadLogo(dataUrl)) {
+      this.updateSettings({ logo: dataUrl });
+    } else {
+      this.photoCapture.updateStatus('Could not read logo');
+    }
+    this.updateLogoControls();
+  }
+
+  /**
+   * Decode the logo image
+   * @param {string} dataUrl
+   * @returns {Promise<boolean>} True if the image decoded
+   */
+  async loadLogo(dataUrl) {
+    try {
+      const img = new Image();
+      img.src = dataUrl;
+      await img.decode();
+      this.logo = img;
+      return true;
+    } catch (error) {
+      this.logo = null;
+      return false;
+    }
+  }
+
+  /**
+   * Remove the layout logo
+   */
+  clearLogo() {
+    this.logo = null;
+    this.updateSettings({ logo: null });
+    if (this.logoInput) {
+      this.logoInput.value = '';
+    }
+    this.updateLogoControls();
+  }
+
+  /**
+   * Show the remove button only when a logo is set
+   */
+  updateLogoControls() {
+    if (this.logoClearBtn) {
+      this.logoClearBtn.hidden = !this.settings.logo;
+    }
+  }
+
+  /**
+   * Merge and persist layout settings
+   * @param {object} changes
+   */
+  updateSettings(changes) {
+    this.settings = { ...this.settings, ...changes };
+
+    try {
+      localStorage.setItem(LAYOUT.SETTINGS_STORAGE_KEY, JSON.stringify(this.settings));
+    } catch (e) {
+      // Could not persist layout settings (large logos can exceed the quota)
+    }
+  }
+
+  /**
+   * Load persisted settings
+   * @returns {object} { template, border, background, caption, logo }
+   */
+  loadSettings() {
+    const defaults = {
+      template: LAYOUT.DEFAULT_TEMPLATE,
+      border: LAYOUT.DEFAULT_BORDER,
+      background: LAYOUT.DEFAULT_BACKGROUND,
+      caption: '',
+      logo: null
+    };
+
+    try {
+      const stored = JSON.parse(localStorage.getItem(LAYOUT.SETTINGS_STORAGE_KEY));
+      if (stored) {
+        return {
+          template: LAYOUT.TEMPLATES[stored.template] ? stored.template : defaults.template,
+          border: LAYOUT.BORDERS_IN[stored.border] !== undefined ? stored.border : defaults.border,
+          background: /^#[0-9a-f]{6}$/i.test(stored.background) ? stored.background : defaults.background,
+          caption: typeof stored.caption === 'string'
+            ? stored.caption.slice(0, LAYOUT.CAPTION_MAX_LENGTH)
+            : defaults.caption,
+          logo: typeof stored.logo === 'string' ? stored.logo : defaults.logo
+        };
+      }
+    } catch (e) {
+      // Invalid or unavailable storage, use defaults
+    }
+
+    return defaults;
+  }
+}
+
+export default PhotoBooth;
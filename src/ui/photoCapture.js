@@ -3,15 +3,43 @@
  * Manages photo capture functionality
  */
 
-import { UI } from '../config/constants.js';
+import { UI, CAPTURE, TIMER, BURST, GALLERY, APP, METADATA } from '../config/constants.js';
+import { ContactSheet } from './contactSheet.js';
+import { PhotoBooth } from './photoBooth.js';
+import { buildCaptureMetadata } from '../capture/captureMetadata.js';
+import { embedPngMetadata } from '../capture/pngMetadata.js';
+import { StillCapture } from '../capture/StillCapture.js';
+import { scaleFaces } from '../utils/viewportUtils.js';
+import { matchFaceIds } from '../tracking/FaceTracker.js';
 
 export class PhotoCapture {
-  constructor(video) {
+  constructor(video, compositor) {
     this.video = video;
+    this.compositor = compositor;
     this.captureBtn = null;
+    this.modeBtn = null;
+    this.timerBtn = null;
+    this.burstCountSelect = null;
+    this.burstIntervalSelect = null;
+    this.autoDownloadInput = null;
+    this.metadataSelect = null;
+    this.fullResolutionInput = null;
     this.flashEl = null;
     this.capturedImageEl = null;
     this.isCapturing = false;
+    this.mode = CAPTURE.DEFAULT_MODE;
+    this.getFrameState = null;
+    this.detectFaces = null;
+    this.onCapture = null;
+    this.onStill = null;
+    this.settings = this.loadSettings();
+    this.contactSheet = new ContactSheet();
+    this.booth = new PhotoBooth(this);
+    this.stillCapture = new StillCapture(video);
+
+    // Self-timer state
+    this.countdownEnd = 0;
+    this.cancelCountdown = null;
   }
 
   /**
@@ -19,18 +47,133 @@ export class PhotoCapture {
    */
   init() {
     this.captureBtn = document.getElementById('captureBtn');
+    this.modeBtn = document.getElementById('captureModeBtn');
+    this.timerBtn = document.getElementById('timerBtn');
+    this.burstCountSelect = document.getElementById('burstCount');
+    this.burstIntervalSelect = document.getElementById('burstInterval');
+    this.autoDownloadInput = document.getElementById('autoDownload');
+    this.metadataSelect = document.getElementById('metadataMode');
+    this.fullResolutionInput = document.getElementById('fullResolution');
     this.flashEl = document.querySelector('.preview-flash');
     this.capturedImageEl = document.getElementById('capturedImage');
 
+    this.mode = this.loadMode();
+
     if (this.captureBtn) {
       this.captureBtn.addEventListener('click', () => this.capture());
     }
+
+    if (this.modeBtn) {
+      this.modeBtn.addEventListener('click', () => this.toggleMode());
+      this.updateModeButton();
+    }
+
+    if (this.timerBtn) {
+      this.timerBtn.addEventListener('click', () => this.cycleTimer());
+      this.updateTimerButton();
+    }
+
+    this.setupBurstControls();
+    this.contactSheet.init();
+    this.booth.init();
+  }
+
+  /**
+   * Populate and bind burst count and interval controls
+   */
+  setupBurstControls() {
+    if (this.burstCountSelect) {
+      this.burstCountSelect.innerHTML = '';
+      BURST.COUNTS.forEach(count => {
+        this.burstCountSelect.add(new Option(count === 1 ? 'Off' : `${count} shots`, String(count)));
+      });
+      this.burstCountSelect.value = String(this.settings.burstCount);
+      this.burstCountSelect.addEventListener('change', () => {
+        this.updateSettings({ burstCount: Number(this.burstCountSelect.value) });
+      });
+    }
+
+    if (this.burstIntervalSelect) {
+      this.burstIntervalSelect.innerHTML = '';
+      BURST.INTERVALS_MS.forEach(interval => {
+        this.burstIntervalSelect.add(new Option(`${interval / 1000}s`, String(interval)));
+      });
+      this.burstIntervalSelect.value = String(this.settings.burstInterval);
+      this.burstIntervalSelect.addEventListener('change', () => {
+        this.updateSettings({ burstInterval: Number(this.burstIntervalSelect.value) });
+      });
+    }
+
+    if (this.metadataSelect) {
+      this.metadataSelect.value = this.settings.metadataMode;
+      this.metadataSelect.addEventListener('change', () => {
+        this.updateSettings({ metadataMode: this.metadataSelect.value });
+      });
+    }
+
+    if (this.fullResolutionInput) {
+      // Only offered where ImageCapture exists
+      const label = this.fullResolutionInput.closest('label');
+      if (label) label.hidden = !StillCapture.isSupported();
+
+      this.fullResolutionInput.checked = this.settings.fullResolution;
+      this.fullResolutionInput.addEventListener('change', () => {
+        this.updateSettings({ fullResolution: this.fullResolutionInput.checked });
+      });
+    }
+
+    if (this.autoDownloadInput) {
+      this.autoDownloadInput.checked = this.settings.autoDownload;
+      this.autoDownloadInput.addEventListener('change', () => {
+        this.updateSettings({ autoDownload: this.autoDownloadInput.checked });
+      });
+    }
   }
 
   /**
-   * Capture photo (unfiltered)
+   * Set callback that returns the faces and quality settings of the last rendered frame
+   * @param {Function} callback
+   */
+  setFrameProvider(callback) {
+    this.getFrameState = callback;
+  }
+
+  /**
+   * Set callback that detects faces on a still image
+   * @param {Function} callback - Receives a canvas, resolves to faces
+   */
+  setFaceDetector(callback) {
+    this.detectFaces = callback;
+  }
+
+  /**
+   * Set callback invoked with every saved capture
+   * @param {Function} callback - Receives { blob, extension, previewBlob, metadata, filter }
+   */
+  setCaptureCallback(callback) {
+    this.onCapture = callback;
+  }
+
+  /**
+   * Set callback invoked with the raw still behind each saved photo
+   * @param {Function} callback - Receives { canvas, frameState }
+   */
+  setStillCallback(callback) {
+    this.onStill = callback;
+  }
+
+  /**
+   * Capture photo (filtered or raw, depending on mode)
+   * Runs the self-timer first and takes a burst if configured;
+   * with a booth layout selected, takes a timed sequence instead
    */
   async capture() {
+    // Pressing the shutter during the countdown cancels it
+    if (this.cancelCountdown) {
+      this.cancelCountdown();
+      return;
+    }
+
     if (this.isCapturing || !this.video.videoWidth) {
       return;
     }
@@ -38,50 +181,570 @@ export class PhotoCapture {
     this.isCapturing = true;
 
     try {
-      // Create temporary canvas for capture
-      const canvas = document.createElement('canvas');
-      canvas.width = this.video.videoWidth;
-      canvas.height = this.video.videoHeight;
+      if (this.booth.isEnabled()) {
+        await this.booth.run();
+        return;
+      }
+
+      if (this.settings.timer > 0) {
+        const completed = await this.runCountdown(this.settings.timer);
+        if (!completed) {
+          this.updateStatus('Timer cancelled');
+          return;
+        }
+      }
+
+      if (this.settings.burstCount > 1) {
+        await this.captureBurst(this.settings.burstCount, this.settings.burstInterval);
+      } else {
+        await this.captureSingle();
+      }
+    } catch (error) {
+      this.updateStatus('Failed to capture photo');
+    } finally {
+      this.isCapturing = false;
+    }
+  }
+
+  /**
+   * Take and save one photo
+   * Uses a full-resolution still when enabled; bursts and booth sequences
+   * keep the canvas path so their timing holds
+   */
+  async captureSingle() {
+    const shot = (this.settings.fullResolution && await this.takeFullResolutionShot()) ||
+      await this.takeShot();
+    const { blob, metadata, still, filter } = shot;
+    this.saveCapture(blob, 'png', blob, metadata, filter);
+    this.onStill?.(still);
+
+    // Update status
+    this.updateStatus(this.isFiltered() ? 'Photo captured!' : 'Photo captured (unfiltered)');
+  }
+
+  /**
+   * Take several photos and let the user pick which to keep
+   * @param {number} count
+   * @param {number} intervalMs
+   */
+  async captureBurst(count, intervalMs) {
+    const shots = [];
+    const startTime = performance.now();
 
-      const ctx = canvas.getContext('2d');
+    for (let i = 0; i < count; i++) {
+      this.setStatus(`Burst ${i + 1}/${count}`);
+      shots.push(await this.takeShot());
 
-      // Draw unfiltered video frame (flip horizontally)
-      ctx.save();
-      ctx.scale(-1, 1);
-      ctx.drawImage(this.video, -canvas.width, 0, canvas.width, canvas.height);
-      ctx.restore();
+      if (i < count - 1) {
+        // Schedule against the start so encoding time doesn't stretch the interval
+        const wait = startTime + (i + 1) * intervalMs - performance.now();
+        if (wait > 0) {
+          await new Promise(resolve => setTimeout(resolve, wait));
+        }
+      }
+    }
+
+    this.setStatus('Pick the shots to keep');
+    const selected = await this.contactSheet.show(shots.map(shot => shot.blob));
+
+    const kept = shots.filter(shot => selected.includes(shot.blob));
+    kept.forEach((shot, i) => this.saveCapture(shot.blob, 'png', shot.blob, shot.metadata, shot.filter, i + 1));
+    if (kept.length > 0) {
+      this.onStill?.(kept[kept.length - 1].still);
+    }
+    this.updateStatus(selected.length > 0 ? `Saved ${selected.length} photos` : 'Burst discarded');
+  }
+
+  /**
+   * Render the current frame to a PNG with flash feedback
+   * @returns {Promise<object>} { blob, metadata, still, filter }
+   */
+  async takeShot() {
+    // Snapshot the frame state before any await so the filter matches the preview
+    const frameState = this.getFrameState ? this.getFrameState() : null;
+    const filter = this.getShotFilter(frameState);
+    const still = { canvas: this.grabStill(), frameState };
+    const canvas = this.renderCapture(frameState);
+
+    // Show flash effect
+    this.showFlash();
+
+    const { blob, metadata } = await this.encodeShot(canvas, frameState, {
+      filtered: filter.filtered,
+      sourceWidth: this.video.videoWidth,
+      sourceHeight: this.video.videoHeight
+    });
+
+    return { blob, metadata, still, filter };
+  }
+
+  /**
+   * Describe the filter a shot is rendered with, fixed when the shutter fires
+   * @param {object|null} frameState
+   * @param {boolean} [filtered] - Whether the filter is drawn (defaults to the unfiltered toggle)
+   * @returns {object} { filterName, filtered }
+   */
+  getShotFilter(frameState, filtered = this.isFiltered()) {
+    return { filterName: frameState?.filterName || 'none', filtered };
+  }
+
+  /**
+   * Take a full-sensor photo, re-detect faces on it and render the filter at that size
+   * @returns {Promise<object|null>} { blob, metadata, still, filter }, or null to use the canvas path
+   */
+  async takeFullResolutionShot() {
+    if (!this.compositor || !StillCapture.isSupported()) return null;
+
+    const frameState = this.getFrameState ? this.getFrameState() : null;
+    const filter = this.getShotFilter(frameState);
+    const image = await this.stillCapture.capture();
+    if (!image) return null;
+
+    // Not worth re-detecting if the camera gave us no more than the preview
+    if (image.width <= this.video.videoWidth) {
+      image.close?.();
+      return null;
+    }
 
-      // Convert to blob
-      const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    this.showFlash();
+    this.setStatus('Processing photo...');
 
-      // Create download link
-      const url = URL.createObjectURL(blob);
+    const source = document.createElement('canvas');
+    source.width = image.width;
+    source.height = image.height;
+    source.getContext('2d').drawImage(image, 0, 0);
+    image.close?.();
+
+    const stillState = { ...frameState, faces: await this.detectStillFaces(source, frameState) };
+    const canvas = this.compositor.compose(document.createElement('canvas'), stillState, {
+      filtered: filter.filtered,
+      source
+    });
+
+    const { blob, metadata } = await this.encodeShot(canvas, stillState, {
+      filtered: filter.filtered,
+      sourceWidth: source.width,
+      sourceHeight: source.height
+    });
+
+    return { blob, metadata, still: { canvas: source, frameState: stillState }, filter };
+  }
+
+  /**
+   * Detect faces on a still, in the still's own coordinates
+   * @param {HTMLCanvasElement} source - Unmirrored still
+   * @param {object} frameState - Live frame state, used as a fallback
+   * @returns {Promise<Array>}
+   */
+  async detectStillFaces(source, frameState) {
+    const faces = await this.detectScaledFaces(source);
+    const liveFaces = scaleFaces(
+      frameState?.faces || [],
+      source.width / this.video.videoWidth,
+      source.height / this.video.videoHeight
+    );
+
+    if (faces.length > 0) {
+      // Keep each person's ID (and animation phase) from the preview
+      return matchFaceIds(faces, liveFaces);
+    }
+
+    // Live landmarks still line up if the still has the preview's framing
+    const videoAspect = this.video.videoWidth / this.video.videoHeight;
+    const stillAspect = source.width / source.height;
+    if (liveFaces.length > 0 && Math.abs(videoAspect - stillAspect) < CAPTURE.ASPECT_TOLERANCE) {
+      return liveFaces;
+    }
+
+    return [];
+  }
+
+  /**
+   * Detect faces on a still, downscaled for the model, in the still's own coordinates
+   * @param {HTMLCanvasElement} source
+   * @returns {Promise<Array>}
+   */
+  async detectScaledFaces(source) {
+    if (!this.detectFaces) return [];
+
+    // Downscale for the model; very large inputs are slow or exceed texture limits
+    const scale = Math.min(1, CAPTURE.MAX_DETECTION_SIZE / Math.max(source.width, source.height));
+    if (scale === 1) {
+      return this.detectFaces(source);
+    }
+
+    const input = document.createElement('canvas');
+    input.width = Math.round(source.width * scale);
+    input.height = Math.round(source.height * scale);
+    input.getContext('2d').drawImage(source, 0, 0, input.width, input.height);
+
+    const faces = await this.detectFaces(input);
+    return scaleFaces(faces, source.width / input.width, source.height / input.height);
+  }
+
+  /**
+   * Encode a rendered photo as PNG with metadata per the metadata setting
+   * @param {HTMLCanvasElement} canvas - Rendered photo, as saved
+   * @param {object} frameState - { faces, qualitySettings, filterName, animationTime }
+   * @param {object} details - { filtered, sourceWidth, sourceHeight } of the frame the faces were detected on
+   * @returns {Promise<object>} { blob, metadata }
+   */
+  async encodeShot(canvas, frameState, details) {
+    const metadata = this.settings.metadataMode === METADATA.MODES.OFF
+      ? null
+      : buildCaptureMetadata(frameState, {
+        captureWidth: canvas.width,
+        captureHeight: canvas.height,
+        cameraWidth: details.sourceWidth,
+        cameraHeight: details.sourceHeight,
+        filtered: details.filtered,
+        mirrored: this.isMirrored()
+      });
+
+    let blob = await new Promise(resolve => canvas.toBlob(resolve, CAPTURE.IMAGE_TYPE));
+    if (!blob) {
+      throw new Error('Could not encode photo');
+    }
+
+    if (metadata && this.settings.metadataMode === METADATA.MODES.EMBEDDED) {
+      blob = await this.embedMetadata(blob, metadata);
+    }
+
+    return { blob, metadata };
+  }
+
+  /**
+   * Copy the unmirrored, unfiltered video frame so it can be edited later
+   * @returns {HTMLCanvasElement}
+   */
+  grabStill() {
+    const canvas = document.createElement('canvas');
+    canvas.width = this.video.videoWidth;
+    canvas.height = this.video.videoHeight;
+    canvas.getContext('2d').drawImage(this.video, 0, 0, canvas.width, canvas.height);
+    return canvas;
+  }
+
+  /**
+   * Write metadata into the PNG's text chunks
+   * @param {Blob} blob
+   * @param {object} metadata
+   * @returns {Promise<Blob>} Tagged PNG, or the original if embedding fails
+   */
+  async embedMetadata(blob, metadata) {
+    try {
+      return await embedPngMetadata(blob, {
+        text: {
+          Software: `${APP.NAME} ${APP.VERSION}`,
+          'Creation Time': metadata.capturedAt
+        },
+        international: {
+          [METADATA.PNG_KEYWORD]: JSON.stringify(metadata)
+        }
+      });
+    } catch (error) {
+      return blob;
+    }
+  }
+
+  /**
+   * Wait for the self-timer
+   * @param {number} seconds
+   * @returns {Promise<boolean>} False if cancelled
+   */
+  runCountdown(seconds) {
+    return new Promise(resolve => {
+      let timeoutId = null;
+
+      const finish = completed => {
+        clearTimeout(timeoutId);
+        this.countdownEnd = 0;
+        this.cancelCountdown = null;
+        this.captureBtn?.classList.remove('counting');
+        resolve(completed);
+      };
+
+      this.countdownEnd = performance.now() + seconds * 1000;
+      this.cancelCountdown = () => finish(false);
+      this.captureBtn?.classList.add('counting');
+      timeoutId = setTimeout(() => finish(true), seconds * 1000);
+    });
+  }
+
+  /**
+   * Draw the countdown on the overlay canvas
+   * @param {CanvasRenderingContext2D} ctx
+   */
+  drawOverlay(ctx) {
+    if (!this.countdownEnd) return;
+
+    const remaining = this.countdownEnd - performance.now();
+    if (remaining <= 0) return;
+
+    const digit = Math.ceil(remaining / 1000);
+    const secondProgress = 1 - (remaining % 1000) / 1000;
+    const scale = 1 + TIMER.PULSE_SCALE * (1 - secondProgress);
+    const { width, height } = ctx.canvas;
+    const fontSize = height * TIMER.FONT_SIZE_RATIO;
+
+    ctx.save();
+
+    // Overlay is mirrored by CSS for front cameras, so mirror the text back
+    ctx.translate(width / 2, height / 2);
+    ctx.scale(this.isMirrored() ? -scale : scale, scale);
+
+    ctx.globalAlpha = 0.5 + 0.5 * (1 - secondProgress);
+    ctx.fillStyle = TIMER.COLOR;
+    ctx.shadowColor = TIMER.SHADOW_COLOR;
+    ctx.shadowBlur = TIMER.SHADOW_BLUR;
+    ctx.font = `700 ${fontSize}px ${TIMER.FONT_FAMILY}`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(String(digit), 0, 0);
+
+    ctx.restore();
+  }
+
+  /**
+   * Cycle self-timer through the available delays
+   */
+  cycleTimer() {
+    const index = TIMER.OPTIONS_S.indexOf(this.settings.timer);
+    const timer = TIMER.OPTIONS_S[(index + 1) % TIMER.OPTIONS_S.length];
+    this.updateSettings({ timer });
+    this.updateTimerButton();
+    this.updateStatus(timer > 0 ? `Timer: ${timer}s` : 'Timer off');
+  }
+
+  /**
+   * Update timer button state
+   */
+  updateTimerButton() {
+    if (!this.timerBtn) return;
+
+    const timer = this.settings.timer;
+    this.timerBtn.classList.toggle('active', timer > 0);
+    this.timerBtn.title = timer > 0 ? `Self-timer: ${timer}s` : 'Self-timer off';
+
+    const label = this.timerBtn.querySelector('.timer-label');
+    if (label) {
+      label.textContent = timer > 0 ? String(timer) : '';
+    }
+  }
+
+  /**
+   * Merge and persist photo settings
+   * @param {object} changes
+   */
+  updateSettings(changes) {
+    this.settings = { ...this.settings, ...changes };
+
+    try {
+      localStorage.setItem(CAPTURE.SETTINGS_STORAGE_KEY, JSON.stringify(this.settings));
+    } catch (e) {
+      // Could not persist photo settings
+    }
+  }
+
+  /**
+   * Load persisted photo settings
+   * @returns {object} { timer, burstCount, burstInterval, autoDownload, metadataMode, fullResolution }
+   */
+  loadSettings() {
+    const defaults = {
+      timer: TIMER.DEFAULT_S,
+      burstCount: BURST.DEFAULT_COUNT,
+      burstInterval: BURST.DEFAULT_INTERVAL_MS,
+      autoDownload: GALLERY.DEFAULT_AUTO_DOWNLOAD,
+      metadataMode: METADATA.DEFAULT_MODE,
+      fullResolution: CAPTURE.DEFAULT_FULL_RESOLUTION
+    };
+
+    try {
+      const stored = JSON.parse(localStorage.getItem(CAPTURE.SETTINGS_STORAGE_KEY));
+      if (stored) {
+        return {
+          timer: TIMER.OPTIONS_S.includes(stored.timer) ? stored.timer : defaults.timer,
+          burstCount: BURST.COUNTS.includes(stored.burstCount) ? stored.burstCount : defaults.burstCount,
+          burstInterval: BURST.INTERVALS_MS.includes(stored.burstInterval)
+            ? stored.burstInterval
+            : defaults.burstInterval,
+          autoDownload: typeof stored.autoDownload === 'boolean' ? stored.autoDownload : defaults.autoDownload,
+          metadataMode: Object.values(METADATA.MODES).includes(stored.metadataMode)
+            ? stored.metadataMode
+            : defaults.metadataMode,
+          fullResolution: typeof stored.fullResolution === 'boolean'
+            ? stored.fullResolution
+            : defaults.fullResolution
+        };
+      }
+    } catch (e) {
+      // Invalid or unavailable storage, use defaults
+    }
+
+    return defaults;
+  }
+
+  /**
+   * Download a capture and show it in the thumbnail
+   * @param {Blob} blob - Captured file
+   * @param {string} extension - File extension without the dot
+   * @param {Blob} [previewBlob] - Image shown as thumbnail (defaults to the capture itself)
+   * @param {object} [metadata] - Capture metadata, saved as a JSON sidecar in sidecar mode
+   * @param {object} [filter] - { filterName, filtered } the capture was rendered with
+   *   (null lets the capture handler assume the live filter)
+   * @param {number} [sequence] - Number of a shot saved in the same millisecond as others,
+   *   appended to the filename so bursts get distinct names
+   */
+  saveCapture(blob, extension, previewBlob = blob, metadata = null, filter = null, sequence = null) {
+    const url = URL.createObjectURL(blob);
+    const suffix = sequence === null ? '' : `-${sequence}`;
+    const basename = `${CAPTURE.FILENAME_PREFIX}-${Date.now()}${suffix}`;
+    const sidecar = this.settings.metadataMode === METADATA.MODES.SIDECAR ? metadata : null;
+
+    // Without a capture handler the download is the only copy
+    if (this.settings.autoDownload || !this.onCapture) {
       const a = document.createElement('a');
       a.href = url;
-      a.download = `face-filter-${Date.now()}.png`;
+      a.download = `${basename}.${extension}`;
       a.click();
 
-      // Show flash effect
-      this.showFlash();
+      if (sidecar) {
+        this.downloadSidecar(sidecar, `${basename}.json`);
+      }
+    }
 
-      // Show thumbnail
-      if (this.capturedImageEl) {
-        this.capturedImageEl.src = url;
-        this.capturedImageEl.classList.add('show');
+    const previewUrl = previewBlob === blob ? url : URL.createObjectURL(previewBlob);
+
+    // Show thumbnail
+    if (this.capturedImageEl) {
+      this.capturedImageEl.src = previewUrl;
+      this.capturedImageEl.classList.add('show');
+    }
 
-        setTimeout(() => {
-          this.capturedImageEl.classList.remove('show');
-          URL.revokeObjectURL(url);
-        }, UI.THUMBNAIL_DISPLAY_DURATION_MS);
+    setTimeout(() => {
+      this.capturedImageEl?.classList.remove('show');
+      URL.revokeObjectURL(url);
+      if (previewUrl !== url) {
+        URL.revokeObjectURL(previewUrl);
       }
+    }, UI.THUMBNAIL_DISPLAY_DURATION_MS);
 
-      // Update status
-      this.updateStatus('Photo captured!');
-    } catch (error) {
-      this.updateStatus('Failed to capture photo');
-    } finally {
-      this.isCapturing = false;
+    if (this.onCapture) {
+      this.onCapture({ blob, extension, previewBlob, metadata, filter });
+    }
+  }
+
+  /**
+   * Download metadata as a JSON file next to the capture
+   * @param {object} metadata
+   * @param {string} filename
+   */
+  downloadSidecar(metadata, filename) {
+    const blob = new Blob([JSON.stringify(metadata, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Render the current frame into a new canvas
+   * @param {object} frameState - { faces, qualitySettings } from the render loop
+   * @returns {HTMLCanvasElement}
+   */
+  renderCapture(frameState) {
+    const canvas = document.createElement('canvas');
+
+    if (this.compositor) {
+      return this.compositor.compose(canvas, frameState, { filtered: this.isFiltered() });
+    }
+
+    // No compositor available: draw unfiltered video frame (flip horizontally)
+    canvas.width = this.video.videoWidth;
+    canvas.height = this.video.videoHeight;
+
+    const ctx = canvas.getContext('2d');
+    ctx.save();
+    ctx.scale(-1, 1);
+    ctx.drawImage(this.video, -canvas.width, 0, canvas.width, canvas.height);
+    ctx.restore();
+
+    return canvas;
+  }
+
+  /**
+   * Check if captures include the active filter
+   * @returns {boolean}
+   */
+  isFiltered() {
+    return this.mode === CAPTURE.MODES.FILTERED;
+  }
+
+  /**
+   * Check if captures are mirrored (front camera)
+   * @returns {boolean}
+   */
+  isMirrored() {
+    return this.compositor ? this.compositor.isMirrored() : true;
+  }
+
+  /**
+   * Set capture mode
+   * @param {string} mode - 'filtered' or 'raw'
+   */
+  setMode(mode) {
+    if (!Object.values(CAPTURE.MODES).includes(mode)) {
+      return;
     }
+
+    this.mode = mode;
+    this.updateModeButton();
+
+    try {
+      localStorage.setItem(CAPTURE.MODE_STORAGE_KEY, mode);
+    } catch (e) {
+      // Could not persist capture mode
+    }
+  }
+
+  /**
+   * Toggle between filtered and raw capture
+   */
+  toggleMode() {
+    this.setMode(this.isFiltered() ? CAPTURE.MODES.RAW : CAPTURE.MODES.FILTERED);
+    this.updateStatus(this.isFiltered() ? 'Photos save with filter' : 'Photos save unfiltered');
+  }
+
+  /**
+   * Load persisted capture mode
+   * @returns {string}
+   */
+  loadMode() {
+    try {
+      const stored = localStorage.getItem(CAPTURE.MODE_STORAGE_KEY);
+      if (Object.values(CAPTURE.MODES).includes(stored)) {
+        return stored;
+      }
+    } catch (e) {
+      // Storage unavailable, use default
+    }
+    return CAPTURE.DEFAULT_MODE;
+  }
+
+  /**
+   * Update mode toggle button state
+   */
+  updateModeButton() {
+    if (!this.modeBtn) return;
+
+    const filtered = this.isFiltered();
+    this.modeBtn.classList.toggle('active', filtered);
+    this.modeBtn.textContent = filtered ? 'FX' : 'RAW';
+    this.modeBtn.title = filtered ? 'Saving with filter' : 'Saving unfiltered';
+    this.modeBtn.setAttribute('aria-pressed', String(filtered));
   }
 
   /**
@@ -96,6 +759,17 @@ export class PhotoCapture {
     }, UI.CAPTURE_FLASH_DURATION_MS);
   }
 
+  /**
+   * Set status message without resetting it
+   * @param {string} message
+   */
+  setStatus(message) {
+    const statusEl = document.getElementById('statusText');
+    if (statusEl) {
+      statusEl.textContent = message;
+    }
+  }
+
   /**
    * Update status message
    * @param {string} message
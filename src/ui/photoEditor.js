@@ -0,0 +1,277 @@
+/**
+ * Photo Editor
+ * Re-applies any filter to the last captured still and re-exports it
+ */
+
+import { EDITOR } from '../config/constants.js';
+import { matchFaceIds } from '../tracking/FaceTracker.js';
+
+export class PhotoEditor {
+  constructor(filterRenderer, compositor, photoCapture) {
+    this.filterRenderer = filterRenderer;
+    this.compositor = compositor;
+    this.photoCapture = photoCapture;
+    this.editBtn = null;
+    this.panelEl = null;
+    this.canvas = null;
+    this.filtersEl = null;
+    this.timeInput = null;
+    this.timeLabel = null;
+    this.saveBtn = null;
+    this.cancelBtn = null;
+    this.still = null;
+    this.faces = [];
+    this.filterName = 'none';
+    this.animationTime = 0;
+    this.renderFrameId = null;
+    this.isSaving = false;
+  }
+
+  /**
+   * Initialize editor
+   */
+  init() {
+    this.editBtn = document.getElementById('editBtn');
+    this.panelEl = document.getElementById('photoEditor');
+    this.canvas = document.getElementById('editorCanvas');
+    this.filtersEl = document.getElementById('editorFilters');
+    this.timeInput = document.getElementById('editorTime');
+    this.timeLabel = document.getElementById('editorTimeLabel');
+    this.saveBtn = document.getElementById('editorSave');
+    this.cancelBtn = document.getElementById('editorCancel');
+
+    if (this.editBtn) {
+      this.editBtn.hidden = true;
+      this.editBtn.addEventListener('click', () => this.open());
+    }
+
+    if (this.timeInput) {
+      this.timeInput.min = '0';
+      this.timeInput.max = String(EDITOR.TIME_RANGE_S);
+      this.timeInput.step = String(EDITOR.TIME_STEP_S);
+      this.timeInput.addEventListener('input', () => {
+        this.setAnimationTime(Number(this.timeInput.value));
+      });
+    }
+
+    this.saveBtn?.addEventListener('click', () => this.save());
+    this.cancelBtn?.addEventListener('click', () => this.close());
+
+    this.createFilterButtons();
+  }
+
+  /**
+   * Create one button per available filter
+   */
+  createFilterButtons() {
+    if (!this.filtersEl) return;
+
+    this.filtersEl.innerHTML = '';
+    this.filterRenderer.getAvailableFilters().forEach(filter => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'editor-filter';
+      button.dataset.filter = filter.name;
+      button.textContent = filter.displayName;
+      button.setAttribute('aria-pressed', 'false');
+      button.addEventListener('click', () => this.setFilter(filter.name));
+      this.filtersEl.appendChild(button);
+    });
+  }
+
+  /**
+   * Remember the still behind the latest photo
+   * @param {object} still - { canvas, frameState } from PhotoCapture
+   */
+  setStill(still) {
+    this.still = still;
+    if (this.editBtn) {
+      this.editBtn.hidden = !still;
+    }
+  }
+
+  /**
+   * Open the editor on the latest still
+   */
+  async open() {
+    if (!this.still || !this.panelEl) return;
+
+    const { canvas, frameState } = this.still;
+
+    this.filterName = frameState?.filterName || 'none';
+    this.setAnimationTime(frameState?.animationTime || 0);
+    this.updateFilterButtons();
+    this.panelEl.hidden = false;
+
+    this.updateStatus('Finding faces...');
+    const liveFaces = frameState?.faces || [];
+    // Same downscaled detection as the capture, so full-sensor stills stay within model limits
+    const detected = await this.photoCapture.detectScaledFaces(canvas);
+
+    // Closed (or reopened on a newer still) while detecting
+    if (!this.isOpen() || this.still?.canvas !== canvas) return;
+
+    const faces = matchFaceIds(detected, liveFaces);
+
+    // Fall back to the live detection if the still yields nothing
+    this.faces = faces.length > 0 ? faces : liveFaces;
+    this.updateStatus(this.faces.length > 0 ? 'Pick a filter' : 'No faces found', true);
+    this.render();
+  }
+
+  /**
+   * Close the editor without saving
+   */
+  close() {
+    if (this.panelEl) {
+      this.panelEl.hidden = true;
+    }
+    if (this.renderFrameId) {
+      cancelAnimationFrame(this.renderFrameId);
+      this.renderFrameId = null;
+    }
+    this.faces = [];
+  }
+
+  /**
+   * Select the filter to apply
+   * @param {string} filterName
+   */
+  setFilter(filterName) {
+    this.filterName = filterName;
+    this.updateFilterButtons();
+    this.scheduleRender();
+  }
+
+  /**
+   * Select the animation phase
+   * @param {number} seconds
+   */
+  setAnimationTime(seconds) {
+    // Live animation time keeps growing; wrap it into the scrub range
+    this.animationTime = seconds % EDITOR.TIME_RANGE_S;
+
+    if (this.timeInput) {
+      this.timeInput.value = String(this.animationTime);
+    }
+    if (this.timeLabel) {
+      this.timeLabel.textContent = `${this.animationTime.toFixed(2)}s`;
+    }
+    this.scheduleRender();
+  }
+
+  /**
+   * Highlight the selected filter and disable ones the face detector cannot drive
+   */
+  updateFilterButtons() {
+    this.filtersEl?.querySelectorAll('.editor-filter').forEach(button => {
+      const active = button.dataset.filter === this.filterName;
+      button.classList.toggle('active', active);
+      button.setAttribute('aria-pressed', String(active));
+      button.disabled = !active && !this.filterRenderer.isFilterSupported(button.dataset.filter);
+    });
+  }
+
+  /**
+   * Render at most once per frame while scrubbing
+   */
+  scheduleRender() {
+    if (this.renderFrameId || !this.isOpen()) return;
+
+    this.renderFrameId = requestAnimationFrame(() => {
+      this.renderFrameId = null;
+      this.render();
+    });
+  }
+
+  /**
+   * Draw the still with the selected filter
+   * @param {HTMLCanvasElement} [target] - Defaults to the preview canvas
+   * @returns {HTMLCanvasElement}
+   */
+  render(target = this.canvas) {
+    if (!this.still || !target) return target;
+
+    return this.compositor.compose(target, this.getFrameState(), {
+      filtered: this.filterName !== 'none',
+      source: this.still.canvas
+    });
+  }
+
+  /**
+   * Build frame state for the selected filter and phase
+   * @returns {object}
+   */
+  getFrameState() {
+    return {
+      faces: this.faces,
+      qualitySettings: this.still?.frameState?.qualitySettings,
+      filterName: this.filterName,
+      animationTime: this.animationTime
+    };
+  }
+
+  /**
+   * Export the edited photo
+   */
+  async save() {
+    if (!this.still || this.isSaving) return;
+
+    this.isSaving = true;
+    if (this.saveBtn) this.saveBtn.disabled = true;
+
+    try {
+      const canvas = this.render(document.createElement('canvas'));
+      const filtered = this.filterName !== 'none';
+      const { blob, metadata } = await this.photoCapture.encodeShot(canvas, this.getFrameState(), {
+        filtered,
+        sourceWidth: this.still.canvas.width,
+        sourceHeight: this.still.canvas.height
+      });
+
+      this.photoCapture.saveCapture(blob, 'png', blob, metadata, { filterName: this.filterName, filtered });
+      this.close();
+      this.updateStatus('Edited photo saved!', true);
+    } catch (error) {
+      this.updateStatus('Failed to save photo', true);
+    } finally {
+      this.isSaving = false;
+      if (this.saveBtn) this.saveBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Check if editor is visible
+   * @returns {boolean}
+   */
+  isOpen() {
+    return !!this.panelEl && !this.panelEl.hidden;
+  }
+
+  /**
+   * Update status message
+   * @param {string} message
+   * @param {boolean} transient - Reset to 'Ready' after a moment
+   */
+  updateStatus(message, transient = false) {
+    const statusEl = document.getElementById('statusText');
+    if (statusEl) {
+      statusEl.textContent = message;
+      if (transient) {
+        setTimeout(() => {
+          statusEl.textContent = 'Ready';
+        }, 2000);
+      }
+    }
+  }
+
+  /**
+   * Release the still
+   */
+  destroy() {
+    this.close();
+    this.still = null;
+  }
+}
+
+export default PhotoEditor;
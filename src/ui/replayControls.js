@@ -0,0 +1,206 @@
+/**
+ * Replay Controls
+ * Landmark recording button and the play/pause/seek bar for replays
+ */
+
+import { CAPTURE, REPLAY } from '../config/constants.js';
+
+export class ReplayControls {
+  constructor(recorder) {
+    this.recorder = recorder;
+    this.recordBtn = null;
+    this.barEl = null;
+    this.playBtn = null;
+    this.prevBtn = null;
+    this.nextBtn = null;
+    this.seekInput = null;
+    this.label = null;
+    this.source = null;
+    this.getInput = null;
+    this.isStopping = false;
+  }
+
+  /**
+   * Initialize controls
+   */
+  init() {
+    this.recordBtn = document.getElementById('landmarkRecord');
+    this.barEl = document.getElementById('replayBar');
+    this.playBtn = document.getElementById('replayPlay');
+    this.prevBtn = document.getElementById('replayPrev');
+    this.nextBtn = document.getElementById('replayNext');
+    this.seekInput = document.getElementById('replaySeek');
+    this.label = document.getElementById('replayLabel');
+
+    this.recordBtn?.addEventListener('click', () => this.toggleRecording());
+    this.playBtn?.addEventListener('click', () => this.source?.togglePlay());
+    this.prevBtn?.addEventListener('click', () => this.source?.step(-1));
+    this.nextBtn?.addEventListener('click', () => this.source?.step(1));
+    this.seekInput?.addEventListener('input', () => {
+      this.source?.pause();
+      this.source?.seek(Number(this.seekInput.value));
+    });
+
+    this.updateRecordButton();
+  }
+
+  /**
+   * Set provider for the active input source
+   * @param {Function} provider - Returns the current InputSource
+   */
+  setInputProvider(provider) {
+    this.getInput = provider;
+  }
+
+  /**
+   * Show the replay bar for replay sources and hide it otherwise
+   * @param {InputSource} source
+   */
+  setSource(source) {
+    if (this.source) {
+      this.source.setChangeCallback(null);
+    }
+
+    this.source = source?.providesFaces ? source : null;
+    if (this.barEl) {
+      this.barEl.hidden = !this.source;
+    }
+
+    if (this.source) {
+      this.source.setChangeCallback(state => this.render(state));
+      this.render(this.source.getState());
+    }
+  }
+
+  /**
+   * Update the bar for a playback position
+   * @param {object} state - { frameIndex, frameCount, time, playing } from ReplaySource
+   */
+  render({ frameIndex, frameCount, time, playing }) {
+    if (this.seekInput) {
+      this.seekInput.max = String(Math.max(0, frameCount - 1));
+      this.seekInput.value = String(frameIndex);
+    }
+    if (this.label) {
+      this.label.textContent = `${frameIndex + 1}/${frameCount} · ${(time / 1000).toFixed(2)}s`;
+    }
+    if (this.playBtn) {
+      this.playBtn.textContent = playing ? 'Pause' : 'Play';
+      this.playBtn.setAttribute('aria-pressed', String(playing));
+    }
+  }
+
+  /**
+   * Start or stop recording landmarks
+   */
+  async toggleRecording() {
+    if (this.recorder.isRecording()) {
+      await this.stopRecording();
+      return;
+    }
+
+    const input = this.getInput?.();
+    const { width, height } = input?.getDimensions() || {};
+    if (!width || !height) {
+      this.updateStatus('No input to record', true);
+      return;
+    }
+
+    this.recorder.start({ width, height, mirrored: input.isMirrored() });
+    this.updateRecordButton();
+    this.updateStatus('Recording landmarks...');
+  }
+
+  /**
+   * Record the faces of a rendered frame
+   * @param {Array} faces
+   * @param {object} quality - { performanceLevel, memoryPressureLevel }
+   * @param {number} timestamp
+   */
+  captureFrame(faces, quality, timestamp) {
+    if (!this.recorder.isRecording()) return;
+
+    if (!this.recorder.addFrame(faces, quality, timestamp)) {
+      // Maximum duration reached
+      this.stopRecording();
+    }
+  }
+
+  /**
+   * Stop recording and download the landmark file
+   */
+  async stopRecording() {
+    if (this.isStopping) return;
+
+    this.isStopping = true;
+    const frameCount = this.recorder.getFrameCount();
+
+    try {
+      const blob = await this.recorder.stop();
+      if (blob) {
+        this.download(blob);
+        this.updateStatus(`Saved ${frameCount} frames of landmarks`, true);
+      } else {
+        this.updateStatus('No frames recorded', true);
+      }
+    } catch (error) {
+      this.updateStatus('Failed to save landmarks', true);
+    } finally {
+      this.isStopping = false;
+      this.updateRecordButton();
+    }
+  }
+
+  /**
+   * Download a landmark file
+   * @param {Blob} blob
+   */
+  download(blob) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${CAPTURE.FILENAME_PREFIX}-${Date.now()}.${REPLAY.FILE_EXTENSION}`;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Reflect the recording state on the record button
+   */
+  updateRecordButton() {
+    if (!this.recordBtn) return;
+
+    const recording = this.recorder.isRecording();
+    this.recordBtn.textContent = recording ? 'Stop and save landmarks' : 'Record landmarks';
+    this.recordBtn.classList.toggle('recording', recording);
+  }
+
+  /**
+   * Update status message
+   * @param {string} message
+   * @param {boolean} transient - Reset to 'Ready' after a moment
+   */
+  updateStatus(message, transient = false) {
+    const statusEl = document.getElementById('statusText');
+    if (statusEl) {
+      statusEl.textContent = message;
+      if (transient) {
+        setTimeout(() => {
+          statusEl.textContent = 'Ready';
+        }, 2000);
+      }
+    }
+  }
+
+  /**
+   * Stop recording and detach from the replay source
+   */
+  destroy() {
+    if (this.recorder.isRecording()) {
+      this.recorder.stop();
+    }
+    this.setSource(null);
+  }
+}
+
+export default ReplayControls;
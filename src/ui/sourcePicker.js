@@ -0,0 +1,100 @@
+/**
+ * Source Picker
+ * Lets the user replace the camera with a video file, still image or landmark recording
+ */
+
+import { CameraSource } from '../input/CameraSource.js';
+import { VideoFileSource } from '../input/VideoFileSource.js';
+import { ImageSource } from '../input/ImageSource.js';
+import { ReplaySource } from '../input/ReplaySource.js';
+import { INPUT, REPLAY } from '../config/constants.js';
+
+export class SourcePicker {
+  constructor(camera) {
+    this.camera = camera;
+    this.fileInput = null;
+    this.cameraBtn = null;
+    this.onSelect = null;
+  }
+
+  /**
+   * Initialize source controls
+   */
+  init() {
+    this.fileInput = document.getElementById('sourceFile');
+    this.cameraBtn = document.getElementById('sourceCamera');
+
+    if (this.fileInput) {
+      this.fileInput.accept = ImageSource.isSupported()
+        ? `video/*,image/*,.${REPLAY.FILE_EXTENSION}`
+        : 'video/*';
+      this.fileInput.addEventListener('change', () => {
+        const file = this.fileInput.files?.[0];
+        if (file) this.selectFile(file);
+        this.fileInput.value = '';
+      });
+    }
+
+    this.cameraBtn?.addEventListener('click', () => this.select(new CameraSource(this.camera)));
+  }
+
+  /**
+   * Create a source for a local file
+   * @param {File} file
+   */
+  selectFile(file) {
+    if (file.name.endsWith(`.${REPLAY.FILE_EXTENSION}`)) {
+      this.select(new ReplaySource(file));
+    } else if (file.type.startsWith('image/')) {
+      this.select(new ImageSource(file));
+    } else if (file.type.startsWith('video/')) {
+      this.select(new VideoFileSource(file));
+    } else {
+      this.updateStatus('Choose a video, image or landmark file');
+    }
+  }
+
+  /**
+   * Hand a source to the app
+   * @param {InputSource} source
+   */
+  select(source) {
+    if (this.onSelect) {
+      this.onSelect(source);
+    }
+  }
+
+  /**
+   * Show the camera button only while another source is active
+   * @param {string|null} type - Active source type, or null if none started
+   */
+  setActiveType(type) {
+    if (this.cameraBtn) {
+      this.cameraBtn.hidden = type === INPUT.TYPES.CAMERA;
+    }
+  }
+
+  /**
+   * Set callback invoked with the chosen source
+   * @param {Function} callback
+   */
+  setSelectCallback(callback) {
+    this.onSelect = callback;
+  }
+
+  /**
+   * Update status message
+   * @param {string} message
+   */
+  updateStatus(message) {
+    const statusEl = document.getElementById('statusText');
+    if (statusEl) {
+      statusEl.textContent = message;
+      setTimeout(() => {
+        statusEl.textContent = 'Ready';
+      }, 2000);
+    }
+  }
+}
+
+export default SourcePicker;
@@ -0,0 +1,215 @@
+/**
+ * Video Capture Handler
+ * Manages record button, progress ring and clip saving
+ */
+
+import { RECORDING, CAPTURE } from '../config/constants.js';
+import { VideoRecorder } from '../capture/VideoRecorder.js';
+
+export class VideoCapture {
+  constructor(compositor, photoCapture) {
+    this.compositor = compositor;
+    this.photoCapture = photoCapture;
+    this.recordBtn = null;
+    this.pauseBtn = null;
+    this.progressEl = null;
+    this.canvas = null;
+    this.recorder = null;
+    this.isStopping = false;
+    this.getFrameState = null;
+    this.filter = null;
+    this.circumference = 2 * Math.PI * RECORDING.PROGRESS_RING_RADIUS;
+  }
+
+  /**
+   * Initialize video capture
+   */
+  init() {
+    this.recordBtn = document.getElementById('recordBtn');
+    this.pauseBtn = document.getElementById('recordPauseBtn');
+    this.progressEl = document.getElementById('recordProgress');
+
+    if (!VideoRecorder.isSupported()) {
+      if (this.recordBtn) this.recordBtn.hidden = true;
+      if (this.pauseBtn) this.pauseBtn.hidden = true;
+      return;
+    }
+
+    this.canvas = document.createElement('canvas');
+    this.recorder = new VideoRecorder(this.canvas);
+
+    if (this.progressEl) {
+      this.progressEl.style.strokeDasharray = `${this.circumference}`;
+      this.updateProgress(0);
+    }
+
+    if (this.recordBtn) {
+      this.recordBtn.addEventListener('click', () => this.toggleRecording());
+    }
+
+    if (this.pauseBtn) {
+      this.pauseBtn.addEventListener('click', () => this.togglePause());
+    }
+  }
+
+  /**
+   * Set callback that returns the faces and quality settings of the last rendered frame
+   * @param {Function} callback
+   */
+  setFrameProvider(callback) {
+    this.getFrameState = callback;
+  }
+
+  /**
+   * Start or stop recording
+   */
+  async toggleRecording() {
+    if (this.recorder?.isRecording()) {
+      await this.stop();
+    } else {
+      this.start();
+    }
+  }
+
+  /**
+   * Start recording
+   */
+  start() {
+    if (!this.recorder || this.recorder.isRecording() || this.isStopping) return;
+
+    try {
+      // Draw one frame first so the capture stream has dimensions
+      const frameState = this.getFrameState?.();
+      this.compositor.compose(this.canvas, frameState, { filtered: true });
+      this.recorder.start();
+      this.filter = this.photoCapture.getShotFilter(frameState, true);
+
+      this.recordBtn?.classList.add('recording');
+      this.recordBtn?.setAttribute('title', 'Stop Recording');
+      if (this.pauseBtn && VideoRecorder.supportsPause()) {
+        this.pauseBtn.hidden = false;
+      }
+      this.updateStatus('Recording...');
+    } catch (error) {
+      this.updateStatus('Recording is not available');
+    }
+  }
+
+  /**
+   * Stop recording and save the clip
+   */
+  async stop() {
+    if (!this.recorder?.isRecording() || this.isStopping) return;
+
+    this.isStopping = true;
+
+    try {
+      // Last composited frame becomes the thumbnail
+      const poster = await new Promise(resolve => this.canvas.toBlob(resolve, CAPTURE.IMAGE_TYPE));
+      const clip = await this.recorder.stop();
+
+      this.photoCapture.saveCapture(clip, this.recorder.getFileExtension(), poster || clip, null, this.filter);
+      this.updateStatus('Video saved!', true);
+    } catch (error) {
+      this.updateStatus('Failed to save video', true);
+    } finally {
+      this.isStopping = false;
+      this.resetControls();
+    }
+  }
+
+  /**
+   * Pause or resume recording
+   */
+  togglePause() {
+    if (!this.recorder?.isRecording()) return;
+
+    if (this.recorder.isPaused()) {
+      this.recorder.resume();
+      this.pauseBtn?.classList.remove('paused');
+      this.pauseBtn?.setAttribute('title', 'Pause Recording');
+      this.updateStatus('Recording...');
+    } else {
+      this.recorder.pause();
+      this.pauseBtn?.classList.add('paused');
+      this.pauseBtn?.setAttribute('title', 'Resume Recording');
+      this.updateStatus('Recording paused');
+    }
+  }
+
+  /**
+   * Composite the current frame into the recording
+   * @param {object} frameState - { faces, qualitySettings } from the render loop
+   */
+  captureFrame(frameState) {
+    if (!this.recorder?.isRecording() || this.recorder.isPaused() || this.isStopping) return;
+
+    this.compositor.compose(this.canvas, frameState, { filtered: true });
+
+    const elapsed = this.recorder.getElapsed();
+    this.updateProgress(elapsed / RECORDING.MAX_DURATION_MS);
+
+    if (elapsed >= RECORDING.MAX_DURATION_MS) {
+      this.stop();
+    }
+  }
+
+  /**
+   * Update progress ring
+   * @param {number} fraction - 0-1
+   */
+  updateProgress(fraction) {
+    if (!this.progressEl) return;
+
+    const clamped = Math.max(0, Math.min(1, fraction));
+    this.progressEl.style.strokeDashoffset = `${this.circumference * (1 - clamped)}`;
+  }
+
+  /**
+   * Reset buttons after recording ends
+   */
+  resetControls() {
+    this.updateProgress(0);
+    this.recordBtn?.classList.remove('recording');
+    this.recordBtn?.setAttribute('title', 'Record Video');
+    if (this.pauseBtn) {
+      this.pauseBtn.hidden = true;
+      this.pauseBtn.classList.remove('paused');
+      this.pauseBtn.setAttribute('title', 'Pause Recording');
+    }
+  }
+
+  /**
+   * Check if a recording is in progress
+   * @returns {boolean}
+   */
+  isRecording() {
+    return !!this.recorder?.isRecording();
+  }
+
+  /**
+   * Update status message
+   * @param {string} message
+   * @param {boolean} transient - Reset to 'Ready' after a moment
+   */
+  updateStatus(message, transient = false) {
+    const statusEl = document.getElementById('statusText');
+    if (statusEl) {
+      statusEl.textContent = message;
+      if (transient) {
+        setTimeout(() => {
+          statusEl.textContent = 'Ready';
+        }, 2000);
+      }
+    }
+  }
+
+  /**
+   * Stop any recording and release resources
+   */
+  destroy() {
+    this.recorder?.cancel();
+  }
+}
+
+export default VideoCapture;
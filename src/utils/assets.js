@@ -0,0 +1,121 @@
+/**
+ * Asset Utilities
+ * Resolve self-hosted libraries and models, falling back to hosted copies.
+ * Also used inside the detection worker, which has no document.
+ */
+
+import { ASSETS } from '../config/constants.js';
+
+/**
+ * Resolve a path under the asset base
+ * @param {string} path - Relative to the asset base
+ * @param {string} [base] - Asset base, relative to the page or absolute
+ * @returns {string} Absolute URL
+ */
+export function resolveAsset(path, base = ASSETS.BASE_PATH) {
+  const page = typeof document !== 'undefined' ? document.baseURI : self.location.href;
+  return new URL(path, new URL(base, page)).href;
+}
+
+/**
+ * Get the local model.json URL if the model is self-hosted
+ * @param {object} model - Entry of ASSETS.MODELS
+ * @param {string} [base] - Asset base
+ * @returns {Promise<string|undefined>} Undefined lets the library use its hosted default
+ */
+export async function resolveModelUrl(model, base = ASSETS.BASE_PATH) {
+  const url = resolveAsset(`${model.dir}/model.json`, base);
+
+  try {
+    const response = await fetch(url);
+    // Dev servers answer missing files with the app page, so check the body too
+    const json = response.ok ? await response.json() : null;
+    return json?.weightsManifest ? url : undefined;
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * Get the local wasm binary directory if the wasm backend is self-hosted
+ * @param {string} [base] - Asset base
+ * @returns {Promise<string>} Directory URL, local or hosted
+ */
+export async function resolveWasmPath(base = ASSETS.BASE_PATH) {
+  const dir = resolveAsset(ASSETS.WASM.dir, base);
+
+  try {
+    const response = await fetch(`${dir}${ASSETS.WASM.files[0]}`, { method: 'HEAD' });
+    // Dev servers answer missing files with the app page, so check the type too
+    return response.ok && response.headers.get('content-type')?.includes('wasm') ? dir : ASSETS.WASM.url;
+  } catch (error) {
+    return ASSETS.WASM.url;
+  }
+}
+
+/**
+ * Load a library script, preferring the self-hosted copy
+ * @param {object} library - Entry of ASSETS.LIBRARIES
+ * @param {string} globalName - Global the script defines; dotted for namespaces like 'tf.wasm'
+ * @param {string} [base] - Asset base
+ * @returns {Promise<object>} The library global
+ */
+export async function loadLibrary(library, globalName, base = ASSETS.BASE_PATH) {
+  if (!getGlobal(globalName)) {
+    try {
+      await loadScript(resolveAsset(library.file, base));
+    } catch (error) {
+      // Not self-hosted; try the CDN below
+    }
+  }
+
+  if (!getGlobal(globalName)) {
+    await loadScript(library.url);
+  }
+
+  const loaded = getGlobal(globalName);
+  if (!loaded) {
+    throw new Error(`Failed to load ${library.file}`);
+  }
+
+  return loaded;
+}
+
+/**
+ * Look up a global by dotted path
+ * @param {string} path - e.g. 'tf' or 'tf.wasm'
+ * @returns {*} Undefined if any part is missing
+ */
+function getGlobal(path) {
+  return path.split('.').reduce((scope, key) => scope?.[key], globalThis);
+}
+
+/**
+ * Load a classic script
+ * @param {string} src
+ * @returns {Promise<void>}
+ */
+export async function loadScript(src) {
+  if (typeof document === 'undefined') {
+    // Workers: importScripts in classic workers, import() in module workers
+    // (the UMD builds attach their global either way)
+    try {
+      importScripts(src);
+    } catch (error) {
+      await import(/* @vite-ignore */ src);
+    }
+    return;
+  }
+
+  return new Promise((resolve, reject) => {
+    const script = document.createElement('script');
+    script.src = src;
+    script.async = true;
+    script.addEventListener('load', () => resolve(), { once: true });
+    script.addEventListener('error', () => {
+      script.remove();
+      reject(new Error(`Failed to load ${src}`));
+    }, { once: true });
+    document.head.appendChild(script);
+  });
+}
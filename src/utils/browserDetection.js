@@ -103,6 +103,17 @@ class BrowserDetector {
     return typeof Worker !== 'undefined' && !this.isSafari;
   }
 
+  /**
+   * Check if face detection can run in a worker
+   * (frames are transferred as ImageBitmaps and read back with OffscreenCanvas)
+   * @returns {boolean}
+   */
+  supportsWorkerDetection() {
+    return this.supportsWebWorkers() &&
+      typeof OffscreenCanvas !== 'undefined' &&
+      typeof createImageBitmap === 'function';
+  }
+
   /**
    * Get recommended performance level based on platform
    * @param {string} detectedLevel - Performance level from performance detection
@@ -0,0 +1,31 @@
+/**
+ * CRC-32 Utility
+ * Checksum used by ZIP archives and PNG chunks
+ */
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * Compute CRC-32 checksum
+ * @param {Uint8Array} bytes
+ * @param {number} start - First byte to include
+ * @param {number} end - Byte after the last to include
+ * @returns {number}
+ */
+export function crc32(bytes, start = 0, end = bytes.length) {
+  let crc = 0xffffffff;
+  for (let i = start; i < end; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
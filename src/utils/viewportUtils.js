@@ -5,6 +5,18 @@
 
 import { CULLING, LANDMARKS } from '../config/constants.js';
 
+// Iris center (refined landmarks) and the eye contour used when it is missing
+const EYES = {
+  left: {
+    iris: LANDMARKS.LEFT_EYE_CENTER,
+    contour: [LANDMARKS.LEFT_EYE_OUTER, LANDMARKS.LEFT_EYE_INNER, LANDMARKS.LEFT_EYE_TOP, LANDMARKS.LEFT_EYE_BOTTOM]
+  },
+  right: {
+    iris: LANDMARKS.RIGHT_EYE_CENTER,
+    contour: [LANDMARKS.RIGHT_EYE_OUTER, LANDMARKS.RIGHT_EYE_INNER, LANDMARKS.RIGHT_EYE_TOP, LANDMARKS.RIGHT_EYE_BOTTOM]
+  }
+};
+
 /**
  * Check if a point with radius is within viewport
  * @param {number} x
@@ -50,18 +62,44 @@ export function getFacePoints(face) {
     leftMouth: mesh[LANDMARKS.LEFT_MOUTH],
     rightMouth: mesh[LANDMARKS.RIGHT_MOUTH],
     leftCheek: mesh[LANDMARKS.LEFT_CHEEK],
-    rightCheek: mesh[LANDMARKS.RIGHT_CHEEK]
+    rightCheek: mesh[LANDMARKS.RIGHT_CHEEK],
+    leftEyeCenter: getEyeCenter(mesh, 'left'),
+    rightEyeCenter: getEyeCenter(mesh, 'right')
   };
 }
 
+/**
+ * Get the center of an eye: the iris point with refined landmarks,
+ * otherwise the middle of the eye contour
+ * @param {Array} mesh - scaledMesh
+ * @param {string} side - 'left' or 'right' (LANDMARKS naming)
+ * @returns {Array<number>|undefined} [x, y, z]
+ */
+export function getEyeCenter(mesh, side) {
+  const { iris, contour } = EYES[side];
+  if (mesh[iris]) return mesh[iris];
+
+  const points = contour.map(index => mesh[index]).filter(Boolean);
+  if (points.length === 0) return undefined;
+
+  const center = [0, 0, 0];
+  points.forEach(point => {
+    center[0] += point[0] / points.length;
+    center[1] += point[1] / points.length;
+    center[2] += (point[2] || 0) / points.length;
+  });
+  return center;
+}
+
 /**
  * Get face dimensions and eye center
+ * Distances are measured in 3D so tilting or turning the head does not shrink them
  * @param {object} points - Face points from getFacePoints
  * @returns {object}
  */
 export function getFaceDimensions(points) {
-  const faceWidth = Math.abs(points.rightEye[0] - points.leftEye[0]);
-  const faceHeight = Math.abs(points.foreheadCenter[1] - points.noseTip[1]);
+  const faceWidth = getDistance(points.leftEye, points.rightEye);
+  const faceHeight = getDistance(points.foreheadCenter, points.noseTip);
   const eyeCenter = [
     (points.leftEye[0] + points.rightEye[0]) / 2,
     (points.leftEye[1] + points.rightEye[1]) / 2
@@ -70,6 +108,16 @@ export function getFaceDimensions(points) {
   return { faceWidth, faceHeight, eyeCenter };
 }
 
+/**
+ * Distance between two landmarks, including depth when present
+ * @param {Array<number>} a
+ * @param {Array<number>} b
+ * @returns {number}
+ */
+function getDistance(a, b) {
+  return Math.hypot(a[0] - b[0], a[1] - b[1], (a[2] || 0) - (b[2] || 0));
+}
+
 /**
  * Bilinear interpolation for smooth pixel sampling
  * @param {Uint8ClampedArray} imageData
@@ -116,3 +164,86 @@ export function bilinearSample(imageData, x, y, width, height) {
 
   return result;
 }
+
+/**
+ * Get a face's bounding box, derived from the mesh when the detector gave none
+ * @param {object} face - { scaledMesh, boundingBox }
+ * @returns {Array<number>} [minX, minY, maxX, maxY]
+ */
+export function getFaceBox(face) {
+  const { topLeft, bottomRight } = face.boundingBox || {};
+  if (topLeft && bottomRight) {
+    return [topLeft[0], topLeft[1], bottomRight[0], bottomRight[1]];
+  }
+
+  const box = [Infinity, Infinity, -Infinity, -Infinity];
+  (face.scaledMesh || []).forEach(point => {
+    box[0] = Math.min(box[0], point[0]);
+    box[1] = Math.min(box[1], point[1]);
+    box[2] = Math.max(box[2], point[0]);
+    box[3] = Math.max(box[3], point[1]);
+  });
+  return box;
+}
+
+/**
+ * Scale face landmarks from one canvas size to another
+ * @param {Array} faces - Face detection results
+ * @param {number} scaleX
+ * @param {number} scaleY
+ * @returns {Array} New face objects with scaled coordinates
+ */
+export function scaleFaces(faces, scaleX, scaleY) {
+  if (scaleX === 1 && scaleY === 1) {
+    return faces;
+  }
+
+  const scalePoint = point => [point[0] * scaleX, point[1] * scaleY, (point[2] || 0) * scaleX];
+
+  return faces.map(face => {
+    const scaled = {
+      ...face,
+      scaledMesh: face.scaledMesh.map(scalePoint)
+    };
+
+    if (face.boundingBox) {
+      scaled.boundingBox = {
+        topLeft: scalePoint(face.boundingBox.topLeft),
+        bottomRight: scalePoint(face.boundingBox.bottomRight)
+      };
+    }
+
+    return scaled;
+  });
+}
+
+/**
+ * Move face landmarks found in a crop back into frame coordinates
+ * @param {Array} faces - Face detection results
+ * @param {number} dx - Left edge of the crop in the frame
+ * @param {number} dy - Top edge of the crop in the frame
+ * @returns {Array} New face objects with offset coordinates
+ */
+export function offsetFaces(faces, dx, dy) {
+  if (dx === 0 && dy === 0) {
+    return faces;
+  }
+
+  const offsetPoint = point => [point[0] + dx, point[1] + dy, point[2] || 0];
+
+  return faces.map(face => {
+    const offset = {
+      ...face,
+      scaledMesh: face.scaledMesh.map(offsetPoint)
+    };
+
+    if (face.boundingBox) {
+      offset.boundingBox = {
+        topLeft: offsetPoint(face.boundingBox.topLeft),
+        bottomRight: offsetPoint(face.boundingBox.bottomRight)
+      };
+    }
+
+    return offset;
+  });
+}
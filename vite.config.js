@@ -1,8 +1,10 @@
 import { defineConfig } from 'vite';
+import { serviceWorkerPlugin } from './scripts/serviceWorkerPlugin.js';
 
 export default defineConfig({
   root: '.',
   publicDir: 'public',
+  plugins: [serviceWorkerPlugin()],
   build: {
     outDir: 'dist',
     assetsDir: 'assets',